@@ -0,0 +1,155 @@
+/**
+ * AuthGate.js
+ *
+ * Renders <AuthScreen /> while signed out and your app (children) while signed in:
+ *
+ *   <AuthGate supabase={supabase} options={...}>
+ *     <App />
+ *   </AuthGate>
+ *
+ * Session state comes from the provider layer (onAuthStateChange + getCurrentUser),
+ * so it works with `supabase` or any `adapter`. Inside the gate, useAuthSession()
+ * returns { user, session, signOut }.
+ *
+ * Signing in fires SIGNED_IN before the flow is over: a new OTP user is still asked for
+ * a name (and options.profileFields). AuthScreen stays mounted while it reports
+ * onFinishingChange(true), i.e. until onSuccess; a session from anywhere else (another
+ * tab, a restored one) shows children right away.
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { ActivityIndicator, StyleSheet, View } from 'react-native';
+import { AuthScreen } from './AuthScreen.ui';
+import { createAuthProviders } from './auth.providers';
+
+const AuthSessionContext = createContext(null);
+
+/**
+ * Tracks the current session. `status` is 'loading' until the stored session has
+ * been restored, then 'signedIn' | 'signedOut'.
+ */
+function useSessionState(providers) {
+  const [state, setState] = useState({ status: 'loading', user: null, session: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    // Auth events are the source of truth; getCurrentUser only settles the initial state.
+    let sawSessionEvent = false;
+
+    const apply = (session, user) => {
+      if (cancelled) return;
+      const nextUser = user ?? session?.user ?? null;
+      setState({
+        status: session || nextUser ? 'signedIn' : 'signedOut',
+        user: nextUser,
+        session: session ?? null,
+      });
+    };
+
+    const unsubscribe = providers.emailPassword.onAuthStateChange(({ event, session }) => {
+      // Recovery sessions belong to the reset flow inside AuthScreen, not the app.
+      if (event === 'PASSWORD_RECOVERY') return;
+      sawSessionEvent = true;
+      apply(session ?? null);
+    });
+
+    (async () => {
+      let user = null;
+      try {
+        user = await providers.emailPassword.getCurrentUser();
+      } catch (err) {
+        if (typeof __DEV__ !== 'undefined' && __DEV__) {
+          // eslint-disable-next-line no-console
+          console.warn('[auth-module] Could not restore session', err instanceof Error ? err.message : err);
+        }
+      }
+      if (sawSessionEvent) return;
+      apply(null, user);
+    })();
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [providers]);
+
+  return [state, setState];
+}
+
+/**
+ * Public API: <AuthGate supabase={supabaseClient}>{app}</AuthGate>
+ * (or adapter={authAdapter}). Every other prop is passed to <AuthScreen />.
+ *
+ * @param {{ supabase?: any, adapter?: any, children?: any, loadingFallback?: any } & Record<string, any>} props
+ */
+export function AuthGate({ supabase, adapter, children, loadingFallback, ...authScreenProps }) {
+  const providers = useMemo(() => createAuthProviders({ supabase, adapter }), [supabase, adapter]);
+  const [state, setState] = useSessionState(providers);
+  // AuthScreen's flow is mid sign-in or still collecting the name / profile.
+  const [finishing, setFinishing] = useState(false);
+  const { onFinishingChange } = authScreenProps;
+  const handleFinishingChange = useCallback(
+    (next) => {
+      setFinishing(next);
+      onFinishingChange?.(next);
+    },
+    [onFinishingChange]
+  );
+
+  const signOut = useCallback(async () => {
+    await providers.emailPassword.signOut();
+    // Don't wait for the SIGNED_OUT event: adapters without one would stay signed in.
+    setState({ status: 'signedOut', user: null, session: null });
+  }, [providers, setState]);
+
+  const value = useMemo(
+    () => ({ status: state.status, user: state.user, session: state.session, signOut }),
+    [signOut, state]
+  );
+
+  let content;
+  if (state.status === 'loading') {
+    content =
+      loadingFallback !== undefined ? (
+        loadingFallback
+      ) : (
+        <View style={styles.loading}>
+          <ActivityIndicator />
+        </View>
+      );
+  } else if (state.status === 'signedIn' && !finishing) {
+    content = children;
+  } else {
+    content = (
+      <AuthScreen
+        supabase={supabase}
+        adapter={adapter}
+        {...authScreenProps}
+        onFinishingChange={handleFinishingChange}
+      />
+    );
+  }
+
+  return <AuthSessionContext.Provider value={value}>{content}</AuthSessionContext.Provider>;
+}
+
+/**
+ * Current session inside <AuthGate />.
+ *
+ * @returns {{ status: 'loading'|'signedIn'|'signedOut', user: any, session: any, signOut: () => Promise<void> }}
+ */
+export function useAuthSession() {
+  const value = useContext(AuthSessionContext);
+  if (!value) {
+    throw new Error('useAuthSession() must be used inside <AuthGate />.');
+  }
+  return value;
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
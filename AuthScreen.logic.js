@@ -2,518 +2,287 @@
  * AuthScreen.logic.js (logic only)
  *
  * ✅ DO NOT PUT STYLES OR UI HERE
- * This file manages:
- * - state (step, fields, busy, errors)
- * - async email check (new user vs existing user)
- * - validation
- * - calling the provider (Supabase lives behind providers)
+ * This file is the React binding for the flow in auth.machine.js:
+ * - keeps the machine's state in React state (with LayoutAnimation on changes)
+ * - Linking listener for magic links
+ * - translated `errorMessage` / `primaryButtonLabel`
+ *
+ * Steps, transitions, validation and provider calls live in auth.machine.js.
  *
  * UI can be redesigned by editing AuthScreen.ui.js only.
  */
 
 import { useEffect, useMemo, useRef, useState } from 'react';
-import { LayoutAnimation, Platform, UIManager } from 'react-native';
+import { AppState, LayoutAnimation, Linking, Platform, UIManager } from 'react-native';
 import { createAuthProviders } from './auth.providers';
+import { createTranslator, translateError } from './auth.i18n';
+import { AUTH_ACTION, AUTH_EFFECT, AUTH_STEP, createAuthFlow, resolveAuthConfig, selectAuthView } from './auth.machine';
+
+export { AUTH_STEP };
 
 // Enable LayoutAnimation on Android
 if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental) {
   UIManager.setLayoutAnimationEnabledExperimental(true);
 }
 
-function normalizeEmail(email) {
-  return String(email ?? '').trim();
-}
-
-function validateEmailV2(email) {
-  // Practical validation (better than only "@")
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
-}
-
-function validatePasswordV1(password) {
-  // v1 requirement: minimum length 8
-  return String(password ?? '').length >= 8;
+// Helper to trigger a slick native animation for any layout-changing state update
+function animateLayout(duration = 250) {
+  LayoutAnimation.configureNext({
+    duration,
+    create: { type: 'easeInEaseOut', property: 'opacity' },
+    update: { type: 'easeInEaseOut' },
+    delete: { type: 'easeInEaseOut', property: 'opacity' },
+  });
 }
 
-function validateOtpCodeV1(code) {
-  // v1 requirement: 6 digit numeric
-  const raw = String(code ?? '').trim();
-  return /^\d{6}$/.test(raw);
-}
-
-function explainOtpVerifyError(err) {
-  const message = err instanceof Error ? err.message : String(err ?? 'Something went wrong.');
-  // Supabase commonly returns messages like:
-  // - "Token has expired or is invalid"
-  // - "Invalid OTP"
-  if (/otp/i.test(message) || /token/i.test(message) || /invalid/i.test(message) || /expired/i.test(message)) {
-    return 'Wrong code';
-  }
-  return message;
-}
-
-function resolveEmailAuthMode(options) {
-  const email = options?.email && typeof options.email === 'object' ? options.email : {};
-
-  // Defaults (v3): OTP is the default auth mode unless a consumer explicitly opts into password.
-  const otpEnabled = email.otp !== false;
-  const passwordEnabled = email.password === true;
-
-  // If password is enabled and OTP isn't, use password.
-  if (passwordEnabled && !otpEnabled) return 'password';
-
-  if (!passwordEnabled && otpEnabled) return 'otp';
-  if (passwordEnabled && otpEnabled) {
-    return email.default === 'otp' ? 'otp' : 'password';
-  }
-  // If both are disabled, fall back to OTP (safest/most supported by Supabase for sign-in/up).
-  return 'otp';
+/**
+ * Finish sign-in from a deep link outside of <AuthScreen /> (e.g. the app was
+ * cold-started from a magic link). Throws if the link carries an auth error, or
+ * if neither `supabase` nor `adapter` is passed.
+ *
+ * @param {string} url
+ * @param {{ supabase?: any, adapter?: any }} params
+ * @returns {Promise<boolean>} true if the URL was an auth link and the session is active
+ */
+export async function handleAuthDeepLink(url, { supabase, adapter } = {}) {
+  // Before the URL check, so a missing backend fails on the first call, not the first link.
+  const providers = createAuthProviders({ supabase, adapter });
+  if (!url) return false;
+  const result = await providers.emailOtp.completeFromUrl({ url });
+  return Boolean(result);
 }
 
-export const AUTH_STEP = {
-  START: 'start',
-  EMAIL: 'email',
-  OTP: 'otp',
-  NAME: 'name',
-  PASSWORD: 'password',
-};
-
 /**
- * @param {{ supabase: any, startAt?: 'start'|'email', options?: any }} params
+ * Pass either `supabase` (client) or `adapter` (see auth.adapters.js).
+ * `locale` / `messages` only affect the translated `errorMessage` and `primaryButtonLabel`.
+ *
+ * Callbacks:
+ * - onSuccess({ user, session, isNewUser, method, upgraded }) after a sign-in / sign-up call succeeds
+ *   (`session` can be null after a password reset; `upgraded` in `mode: 'upgrade'`)
+ * - onStepChange(step) after every step change
+ * - onError({ code, message, step }) whenever an error is shown
+ * - onFinishingChange(finishing): true while a call that may sign the user in runs, or while
+ *   a signed-in user still has steps left (name / profile after an OTP sign-up)
+ *
+ * @param {{
+ *   supabase?: any,
+ *   adapter?: any,
+ *   startAt?: 'start'|'email',
+ *   mode?: 'signIn'|'upgrade',
+ *   options?: any,
+ *   locale?: string,
+ *   messages?: Record<string, string>,
+ *   onSuccess?: (result: { user: any, session: any, isNewUser: boolean, method: string, upgraded: boolean }) => void,
+ *   onStepChange?: (step: string) => void,
+ *   onError?: (error: { code: string, message: string, step: string }) => void,
+ *   onFinishingChange?: (finishing: boolean) => void,
+ * }} params
  */
-export function useAuthScreenLogic({ supabase, startAt, options }) {
-  const providers = useMemo(() => createAuthProviders({ supabase }), [supabase]);
-  const emailPasswordProvider = providers.emailPassword;
-  const emailOtpProvider = providers.emailOtp;
-  const emailAuthMode = useMemo(() => resolveEmailAuthMode(options), [options]);
-
-  // Helper to trigger a slick native animation for any layout-changing state update
-  const animateLayout = (duration = 250) => {
-    LayoutAnimation.configureNext({
-      duration,
-      create: { type: 'easeInEaseOut', property: 'opacity' },
-      update: { type: 'easeInEaseOut' },
-      delete: { type: 'easeInEaseOut', property: 'opacity' },
+export function useAuthScreenLogic({
+  supabase,
+  adapter,
+  startAt,
+  mode,
+  options,
+  locale,
+  messages,
+  onSuccess,
+  onStepChange,
+  onError,
+  onFinishingChange,
+}) {
+  const providers = useMemo(() => createAuthProviders({ supabase, adapter }), [supabase, adapter]);
+  const t = useMemo(() => createTranslator({ locale, messages }), [locale, messages]);
+  const config = useMemo(() => resolveAuthConfig({ options, startAt, mode }), [options, startAt, mode]);
+
+  // Latest callbacks / translator without recreating the flow when the host passes inline functions.
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onSuccess, onStepChange, onError, onFinishingChange, t };
+
+  // One flow per mounted screen; providers / options are swapped in place.
+  const flowRef = useRef(null);
+  if (!flowRef.current) {
+    flowRef.current = createAuthFlow({
+      providers,
+      options,
+      startAt,
+      mode,
+      translate: (key, params) => callbacksRef.current.t(key, params),
+      onSuccess: (payload) => callbacksRef.current.onSuccess?.(payload),
+      onStepChange: (nextStep) => callbacksRef.current.onStepChange?.(nextStep),
+      onError: (payload) => callbacksRef.current.onError?.(payload),
     });
-  };
-
-  const initialStep = startAt === 'email' ? AUTH_STEP.EMAIL : AUTH_STEP.START;
-  const [step, setStep] = useState(initialStep);
-  const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [otpCode, setOtpCode] = useState('');
-  const [busy, setBusy] = useState(false);
-  const [errorMessage, setErrorMessage] = useState('');
-
-  // Animated state setters
-  const setStepWithAnimation = (nextStep) => {
-    animateLayout(250); // Sync with iOS keyboard
-    setStep(nextStep);
-  };
-
-  const setErrorMessageWithAnimation = (msg) => {
-    animateLayout(200); // Slightly faster for feedback
-    setErrorMessage(msg);
-  };
-
-  const setBusyWithAnimation = (isBusy) => {
-    animateLayout(200);
-    setBusy(isBusy);
-  };
-
-  // Email existence check state
-  const [emailCheckStatus, setEmailCheckStatus] = useState('idle');
-  const [emailExists, setEmailExists] = useState(null);
-  const [otpResendSeconds, setOtpResendSeconds] = useState(0);
-
-  // Animated check status setter
-  const setEmailCheckStatusWithAnimation = (status) => {
-    animateLayout(200);
-    setEmailCheckStatus(status);
-  };
-
-  const setEmailExistsWithAnimation = (exists) => {
-    animateLayout(200);
-    setEmailExists(exists);
-  };
-
-  const emailCheckRequestId = useRef(0);
-  const emailCheckDebounce = useRef(null);
-
-  const isNewUser = emailExists === false;
-  const isExistingUser = emailExists === true;
-  const shouldCollectName = emailAuthMode === 'password' ? isNewUser : false;
+  }
+  const flow = flowRef.current;
 
-  // OTP resend countdown (30s) for OTP step
   useEffect(() => {
-    if (emailAuthMode !== 'otp') return;
-    if (step !== AUTH_STEP.OTP) return;
-    if (otpResendSeconds <= 0) return;
+    flow.update({ providers, options, startAt, mode });
+  }, [flow, mode, options, providers, startAt]);
 
-    const id = setInterval(() => {
-      setOtpResendSeconds((s) => (s <= 1 ? 0 : s - 1));
-    }, 1000);
+  const [state, setState] = useState(() => flow.getState());
 
-    return () => clearInterval(id);
-  }, [emailAuthMode, otpResendSeconds, step]);
-
-  // Clear OTP error as user edits code
   useEffect(() => {
-    if (emailAuthMode !== 'otp') return;
-    if (step !== AUTH_STEP.OTP) return;
-    if (!errorMessage) return;
-    if (!otpCode) return;
-    setErrorMessageWithAnimation('');
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [otpCode]);
+    const unsubscribe = flow.subscribe((nextState, prevState) => {
+      // Slick native animation for any layout-changing update
+      if (nextState.step !== prevState.step) {
+        animateLayout(250); // Sync with iOS keyboard
+      } else if (
+        nextState.error !== prevState.error ||
+        nextState.busy !== prevState.busy ||
+        nextState.emailCheckStatus !== prevState.emailCheckStatus ||
+        nextState.emailExists !== prevState.emailExists
+      ) {
+        animateLayout(200); // Slightly faster for feedback
+      }
+      setState(nextState);
+    });
+    // Catch up on anything dispatched before we subscribed.
+    setState(flow.getState());
+    flow.start();
+    return () => {
+      unsubscribe();
+      flow.dispose();
+    };
+  }, [flow]);
 
-  // Reset check state whenever email changes
-  useEffect(() => {
-    if (step !== AUTH_STEP.EMAIL) return;
-    // Do not show any email-check errors in UI; keep it clean.
-    setErrorMessageWithAnimation('');
-    setEmailExistsWithAnimation(null);
-    setEmailCheckStatusWithAnimation('idle');
-  }, [email, step]);
+  const { step, error } = state;
 
-  // Auto-check email when it becomes valid on the EMAIL step (debounced).
+  // The session can be active before the flow is done (NAME after an OTP sign-up).
+  const finishing = state.busy || Boolean(state.pendingSuccess);
   useEffect(() => {
-    if (step !== AUTH_STEP.EMAIL) return;
-
-    const normalized = normalizeEmail(email).toLowerCase();
-    if (!normalized) {
-      setEmailCheckStatusWithAnimation('idle');
-      setEmailExistsWithAnimation(null);
-      return;
-    }
-
-    if (!validateEmailV2(normalized)) {
-      setEmailCheckStatusWithAnimation('idle');
-      setEmailExistsWithAnimation(null);
-      return;
-    }
+    callbacksRef.current.onFinishingChange?.(finishing);
+  }, [finishing]);
 
-    // Debounce to avoid firing on every keystroke.
-    if (emailCheckDebounce.current) {
-      clearTimeout(emailCheckDebounce.current);
-    }
-
-    emailCheckDebounce.current = setTimeout(async () => {
-      const reqId = ++emailCheckRequestId.current;
-      setEmailCheckStatusWithAnimation('checking');
-      // Keep UI clean: no error surfaced for email-check failures.
-      setErrorMessageWithAnimation('');
-
-      const maxAttempts = 4;
-      const baseDelayMs = 350;
-      let lastError = null;
-
-      for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
-        try {
-          const exists = await emailPasswordProvider.checkEmailExists({ email: normalized });
-          if (reqId !== emailCheckRequestId.current) return;
-          setEmailExistsWithAnimation(Boolean(exists));
-          setEmailCheckStatusWithAnimation('ready');
-          return;
-        } catch (err) {
-          lastError = err;
-          if (typeof __DEV__ !== 'undefined' && __DEV__) {
-            const message = err instanceof Error ? err.message : String(err ?? 'Unknown error');
-            // eslint-disable-next-line no-console
-            console.warn('[auth-module] Email check failed (retrying silently)', {
-              attempt: attempt + 1,
-              maxAttempts,
-              message,
-            });
-          }
-
-          // Backoff with small jitter; keep status "checking" so UI just shows spinner.
-          const jitter = Math.floor(Math.random() * 120);
-          const delay = baseDelayMs * (attempt + 1) + jitter;
-          // eslint-disable-next-line no-await-in-loop
-          await new Promise((r) => setTimeout(r, delay));
-
-          if (reqId !== emailCheckRequestId.current) return;
-          setEmailCheckStatusWithAnimation('checking');
-        }
-      }
+  // Magic / confirmation link opened on this device while we're waiting on "check your inbox".
+  useEffect(() => {
+    if (step !== AUTH_STEP.MAGIC_LINK_SENT && step !== AUTH_STEP.CONFIRM_EMAIL) return undefined;
 
-      // Give up silently: keep UI clean. User can retry by editing email (or we can auto-retry on next debounce).
-      if (reqId !== emailCheckRequestId.current) return;
-      setEmailExistsWithAnimation(null);
-      setEmailCheckStatusWithAnimation('idle');
-      if (typeof __DEV__ !== 'undefined' && __DEV__) {
-        const message = lastError instanceof Error ? lastError.message : String(lastError ?? 'Unknown error');
-        // eslint-disable-next-line no-console
-        console.error('[auth-module] Email check failed (silent) after retries', { message });
-      }
-    }, 500);
+    // Only new URLs: the launch URL (getInitialURL) predates this request.
+    const subscription = Linking.addEventListener('url', ({ url }) => {
+      flow.dispatch({ type: AUTH_ACTION.DEEP_LINK, url });
+    });
 
     return () => {
-      if (emailCheckDebounce.current) clearTimeout(emailCheckDebounce.current);
+      subscription?.remove?.();
     };
-  }, [email, emailAuthMode, emailPasswordProvider, step]);
-
-  const emailIsValid = validateEmailV2(email);
-  const passwordIsValid = validatePasswordV1(password);
-  const nameIsValid = String(name ?? '').trim().length > 0;
-  const otpIsValid = validateOtpCodeV1(otpCode);
-
-  const canContinue = useMemo(() => {
-    if (busy) return false;
-    if (step === AUTH_STEP.START) return true;
-    if (step === AUTH_STEP.EMAIL) {
-      if (emailAuthMode === 'otp') return emailIsValid;
-      return emailIsValid && emailCheckStatus === 'ready';
-    }
-    if (step === AUTH_STEP.OTP) return otpIsValid;
-    if (step === AUTH_STEP.NAME) return nameIsValid;
-    if (step === AUTH_STEP.PASSWORD) return passwordIsValid;
-    return false;
-  }, [busy, emailAuthMode, emailCheckStatus, emailIsValid, nameIsValid, otpIsValid, passwordIsValid, step]);
-
-  const primaryButtonLabel = useMemo(() => {
-    if (step === AUTH_STEP.START) return 'SIGN IN';
-    return 'CONTINUE';
-  }, [step]);
+  }, [flow, step]);
 
-  function start() {
-    setErrorMessageWithAnimation('');
-    setStepWithAnimation(AUTH_STEP.EMAIL);
-  }
+  // Back from the mail app: check the confirmation now instead of at the next poll.
+  useEffect(() => {
+    if (step !== AUTH_STEP.CONFIRM_EMAIL) return undefined;
+    const subscription = AppState.addEventListener('change', (next) => {
+      if (next === 'active') flow.dispatch({ type: AUTH_ACTION.CONFIRMATION_CHECK });
+    });
+    return () => {
+      subscription?.remove?.();
+    };
+  }, [flow, step]);
 
-  function reset() {
-    setErrorMessageWithAnimation('');
-    setName('');
-    setEmail('');
-    setPassword('');
-    setOtpCode('');
-    setOtpResendSeconds(0);
-    setEmailExistsWithAnimation(null);
-    setEmailCheckStatusWithAnimation('idle');
-    setStepWithAnimation(initialStep);
-  }
+  const view = selectAuthView(state, config);
+  const errorMessage = error ? translateError(t, error) : '';
+  let primaryButtonLabel = t('cta.continue');
+  if (step === AUTH_STEP.START) primaryButtonLabel = t('cta.start');
+  else if (step === AUTH_STEP.CONFIRM_EMAIL) primaryButtonLabel = t('cta.confirmedEmail');
 
-  function goBack() {
-    setErrorMessageWithAnimation('');
-    if (step === AUTH_STEP.PASSWORD) {
-      setPassword('');
-      setStepWithAnimation(isNewUser ? AUTH_STEP.NAME : AUTH_STEP.EMAIL);
-      return;
-    }
-    if (step === AUTH_STEP.NAME) {
-      setName('');
-      if (emailAuthMode === 'otp') {
-        setStepWithAnimation(AUTH_STEP.OTP);
-      } else {
-        setStepWithAnimation(AUTH_STEP.EMAIL);
-      }
-      return;
-    }
-    if (step === AUTH_STEP.OTP) {
-      setOtpCode('');
-      setOtpResendSeconds(0);
-      setStepWithAnimation(AUTH_STEP.EMAIL);
-      return;
-    }
-    if (step === AUTH_STEP.EMAIL) {
-      setEmail('');
-      setEmailExistsWithAnimation(null);
-      setEmailCheckStatusWithAnimation('idle');
-      setStepWithAnimation(initialStep);
-    }
-  }
+  const run = (action) => flow.dispatch(action).then(() => undefined);
+  const setField = (field) => (value) => flow.dispatch({ type: AUTH_ACTION.SET_FIELD, field, value });
 
   /**
-   * When user is on PASSWORD step (existing user flow) and taps the email row,
-   * we take them back to EMAIL step to edit + re-check existence.
-   * This keeps the state machine consistent and preserves the "perfect" transition.
+   * Finish sign-in from an incoming deep link (magic link, OAuth redirect).
+   * Called automatically on the "check your inbox" step; hosts can also call it
+   * from their own Linking handler.
+   *
+   * @param {string} url
+   * @returns {Promise<boolean>} true if the URL was an auth link and the session is active
    */
-  function beginEditEmail() {
-    setErrorMessageWithAnimation('');
-    setPassword('');
-    setOtpCode('');
-    setOtpResendSeconds(0);
-    setEmailExistsWithAnimation(null);
-    setEmailCheckStatusWithAnimation('idle');
-    setStepWithAnimation(AUTH_STEP.EMAIL);
-  }
-
-  async function resendOtp() {
-    if (busy) return;
-    if (emailAuthMode !== 'otp') return;
-    if (step !== AUTH_STEP.OTP) return;
-    if (otpResendSeconds > 0) return;
-
-    setErrorMessageWithAnimation('');
-    setBusyWithAnimation(true);
-    try {
-      const normalizedEmail = normalizeEmail(email).toLowerCase();
-      await emailOtpProvider.requestOtp({ email: normalizedEmail });
-      setOtpCode('');
-      setOtpResendSeconds(30);
-    } catch (err) {
-      const message = err instanceof Error ? err.message : 'Something went wrong.';
-      setErrorMessageWithAnimation(message);
-    } finally {
-      setBusyWithAnimation(false);
-    }
-  }
-
-  async function goNext() {
-    if (busy) return;
-    setErrorMessageWithAnimation('');
-
-    if (step === AUTH_STEP.START) {
-      start();
-      return;
-    }
-
-    if (step === AUTH_STEP.EMAIL) {
-      if (!emailIsValid) {
-        setErrorMessageWithAnimation('Input email correctly');
-        return;
-      }
-      if (emailAuthMode === 'password') {
-        if (emailCheckStatus !== 'ready') {
-          setErrorMessageWithAnimation('Checking email…');
-          return;
-        }
-        setStepWithAnimation(isExistingUser ? AUTH_STEP.PASSWORD : AUTH_STEP.NAME);
-        return;
-      }
-
-      // OTP mode: request OTP, then go to code entry.
-      setBusyWithAnimation(true);
-      try {
-        const normalizedEmail = normalizeEmail(email).toLowerCase();
-        await emailOtpProvider.requestOtp({ email: normalizedEmail });
-        setOtpCode('');
-        setOtpResendSeconds(30);
-        setStepWithAnimation(AUTH_STEP.OTP);
-      } catch (err) {
-        const message = err instanceof Error ? err.message : 'Something went wrong.';
-        setErrorMessageWithAnimation(message);
-      } finally {
-        setBusyWithAnimation(false);
-      }
-      return;
-    }
-
-    if (step === AUTH_STEP.OTP) {
-      if (!otpIsValid) {
-        setErrorMessageWithAnimation('Enter 6-digit code');
-        return;
-      }
-
-      setBusyWithAnimation(true);
-      try {
-        const normalizedEmail = normalizeEmail(email).toLowerCase();
-        const code = String(otpCode ?? '').trim();
-        await emailOtpProvider.verifyOtp({ email: normalizedEmail, code });
-        // Session is active; host app should react to auth state and close.
-      } catch (err) {
-        const message = explainOtpVerifyError(err);
-        setErrorMessageWithAnimation(message);
-      } finally {
-        setBusyWithAnimation(false);
-      }
-      return;
-    }
-
-    if (step === AUTH_STEP.NAME) {
-      if (!nameIsValid) {
-        setErrorMessageWithAnimation('Please enter your name');
-        return;
-      }
-      if (emailAuthMode === 'otp') {
-        setBusyWithAnimation(true);
-        try {
-          const trimmedName = String(name ?? '').trim();
-          await emailOtpProvider.updateProfile({ name: trimmedName });
-          setOtpNeedsName(false);
-          // session is already active; host app should close.
-        } catch (err) {
-          const message = err instanceof Error ? err.message : 'Something went wrong.';
-          setErrorMessageWithAnimation(message);
-        } finally {
-          setBusyWithAnimation(false);
-        }
-        return;
-      }
-
-      setStepWithAnimation(AUTH_STEP.PASSWORD);
-      return;
-    }
-
-    if (step === AUTH_STEP.PASSWORD) {
-      await submit();
-    }
-  }
-
-  async function submit() {
-    if (busy) return;
-    setErrorMessageWithAnimation('');
-
-    if (!passwordIsValid) {
-      const msg = 'Atleast 8 digit, for your security’s sake 🤗';
-      setErrorMessageWithAnimation(msg);
-      return;
-    }
-
-    setBusyWithAnimation(true);
-    try {
-      const normalizedEmail = normalizeEmail(email).toLowerCase();
-      const trimmedName = String(name ?? '').trim();
-
-      if (isNewUser) {
-        await emailPasswordProvider.signUp({
-          name: trimmedName,
-          email: normalizedEmail,
-          password: String(password ?? ''),
-        });
-      } else {
-        await emailPasswordProvider.signIn({
-          email: normalizedEmail,
-          password: String(password ?? ''),
-        });
-      }
-    } catch (err) {
-      const message = err instanceof Error ? err.message : 'Something went wrong.';
-      setErrorMessageWithAnimation(message);
-    } finally {
-      setBusyWithAnimation(false);
-    }
+  async function handleAuthDeepLinkInFlow(url) {
+    const outcomes = await flow.dispatch({ type: AUTH_ACTION.DEEP_LINK, url });
+    return outcomes.some((o) => o.effect.type === AUTH_EFFECT.COMPLETE_FROM_URL && Boolean(o.result));
   }
 
   return {
     step,
-    name,
-    email,
-    password,
-    otpCode,
-    busy,
+    name: state.name,
+    email: state.email,
+    phone: state.phone,
+    phoneCountry: state.phoneCountry,
+    password: state.password,
+    otpCode: state.otpCode,
+    otpLength: config.otp.length,
+    busy: state.busy,
+    errorCode: error?.code ?? null,
+    errorParams: error?.params ?? null,
     errorMessage,
-    emailCheckStatus,
-    emailExists,
-    setName,
-    setEmail,
-    setPassword,
-    setOtpCode,
-    isNewUser,
-    isExistingUser,
-    shouldCollectName,
-    emailAuthMode,
-    otpResendSeconds,
-    resendOtp,
-    emailIsValid,
-    canContinue,
+    emailCheckStatus: state.emailCheckStatus,
+    emailExists: state.emailExists,
+    // From the email check: what the account can sign in with, and whether its email is confirmed
+    emailMethods: state.emailMethods,
+    emailConfirmed: state.emailConfirmed,
+    setName: setField('name'),
+    setEmail: setField('email'),
+    setPhone: setField('phone'),
+    setPhoneCountry: setField('phoneCountry'),
+    setPassword: setField('password'),
+    setOtpCode: setField('otpCode'),
+    // options.profileFields (NAME step): resolved schema, values and per-field errors
+    profileFields: config.profileFields,
+    profile: state.profile,
+    profileErrors: view.profileErrors,
+    setProfileField: (key, value) => flow.dispatch({ type: AUTH_ACTION.SET_PROFILE_FIELD, key, value }),
+    isNewUser: view.isNewUser,
+    isExistingUser: view.isExistingUser,
+    shouldCollectName: view.shouldCollectName,
+    // Current mode; switchable at runtime when options.email enables both OTP and password.
+    emailAuthMode: state.emailAuthMode,
+    canSwitchEmailAuthMode: view.canSwitchEmailMode,
+    alternateEmailAuthMode: view.alternateEmailMode,
+    switchEmailAuthMode: (mode) => run({ type: AUTH_ACTION.SWITCH_EMAIL_MODE, mode }),
+    // Privacy mode, password: the email check can't say, so the user picks sign-in or sign-up.
+    needsAccountChoice: view.needsAccountChoice,
+    chooseAccount: (newAccount) => run({ type: AUTH_ACTION.CHOOSE_ACCOUNT, newAccount: Boolean(newAccount) }),
+    // 'phone' when `options.phone` is set: the PHONE step replaces EMAIL.
+    identifier: config.phone ? 'phone' : 'email',
+    phoneCountries: config.phone?.countries ?? [],
+    otpResendSeconds: state.otpResendSeconds,
+    resendOtp: () => run({ type: AUTH_ACTION.RESEND }),
+    forgotPassword: () => run({ type: AUTH_ACTION.FORGOT_PASSWORD }),
+    handleAuthDeepLink: handleAuthDeepLinkInFlow,
+    oauthProviders: config.oauth.providers,
+    oauthPending: state.oauthPending,
+    signInWithOAuth: (provider) => run({ type: AUTH_ACTION.OAUTH, provider }),
+    // "Continue as guest" (options.guest) and `mode: 'upgrade'` (link an email to that guest)
+    guestEnabled: config.guest,
+    continueAsGuest: () => run({ type: AUTH_ACTION.GUEST }),
+    isUpgrade: config.upgrade,
+    emailIsValid: view.emailIsValid,
+    // "Did you mean …?" for common domain typos; applyEmailSuggestion() accepts it.
+    emailSuggestion: view.emailSuggestion,
+    applyEmailSuggestion: () => {
+      if (!view.emailSuggestion) return;
+      flow.dispatch({ type: AUTH_ACTION.SET_FIELD, field: 'email', value: view.emailSuggestion });
+    },
+    // options.validators status per field: 'valid' | 'validating' | 'invalid' | 'idle'
+    validation: view.validation,
+    phoneIsValid: view.phoneIsValid,
+    // PASSWORD (new user) / NEW_PASSWORD: show the policy checklist + strength meter.
+    isNewPassword: view.isNewPassword,
+    passwordCheck: view.passwordCheck,
+    phoneE164: view.phoneE164,
+    canContinue: view.canContinue,
     primaryButtonLabel,
-    start,
-    reset,
-    goBack,
-    beginEditEmail,
-    goNext,
-    submit
+    start: () => {
+      flow.dispatch({ type: AUTH_ACTION.START });
+    },
+    reset: () => {
+      flow.dispatch({ type: AUTH_ACTION.RESET });
+    },
+    goBack: () => {
+      flow.dispatch({ type: AUTH_ACTION.BACK });
+    },
+    beginEditEmail: () => {
+      flow.dispatch({ type: AUTH_ACTION.EDIT_EMAIL });
+    },
+    goNext: () => run({ type: AUTH_ACTION.NEXT }),
+    submit: () => run({ type: AUTH_ACTION.SUBMIT }),
   };
 }
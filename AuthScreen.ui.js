@@ -2,24 +2,33 @@
  * AuthScreen.ui.js
  *
  * ✅ EDIT UI HERE (safe)
- * - All layout, styles, strings, colors live in THIS file.
+ * - All layout, styles, colors live in THIS file.
+ * - Copy lives in auth.i18n.js (pick a language with `locale`, override keys with `messages`).
  * - Do not change auth logic here (that lives in AuthScreen.logic.js).
  */
 
-import React, { useContext, useEffect, useMemo, useRef } from 'react';
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
 import {
   ActivityIndicator,
+  FlatList,
+  I18nManager,
   KeyboardAvoidingView,
+  Modal,
   Platform,
   Pressable,
   ScrollView,
   StyleSheet,
   Text,
   TextInput,
+  useColorScheme,
   View,
 } from 'react-native';
 import { SafeAreaInsetsContext } from 'react-native-safe-area-context';
 import { AUTH_STEP, useAuthScreenLogic } from './AuthScreen.logic';
+import { createTranslator, isRtlLocale, translateError } from './auth.i18n';
+import { countryFlag } from './auth.phone';
+import { PROFILE_FIELD_TYPE } from './auth.profile';
+import { AUTH_ERROR } from './auth.types';
 
 let didWarnMissingSafeAreaProvider = false;
 
@@ -33,10 +42,14 @@ let didWarnMissingSafeAreaProvider = false;
  * Change button style here
  * Change input style here
  *
- * (Optional) set darkMode=true to preview alternate palette.
+ * These are the defaults. Apps can override any token at runtime without editing
+ * this file: <AuthScreen theme={{ colors: { primary: '#FF0066' } }} /> or
+ * <AuthThemeProvider theme={...}> around the screen (deep-merged, prop wins).
+ *
+ * colorScheme: 'light' | 'dark' | 'auto' ('auto' follows the OS setting live).
  */
 const DESIGN = {
-  darkMode: false,
+  colorScheme: 'light',
 
   colors: {
     bg: '#FFFFFF',
@@ -49,13 +62,39 @@ const DESIGN = {
     primary: '#0077FF',
     primaryText: '#FFFFFF',
     danger: '#DC2626',
+    // "Fair" on the password strength meter
+    warning: '#F59E0B',
     success: '#24C26A',
     disabled: '#BADAFF',
     closeBg: '#F5F5F5',
+    // Secondary (outlined) buttons, e.g. social sign-in on START
+    secondaryBg: '#FFFFFF',
+    // Thin outline around the enabled primary button
+    primaryBorder: 'rgba(0,229,255,0.3)',
     // Figma button shadow (sharp, under the button)
     shadow: '#0047D5',
   },
 
+  // Dark palette: merged over `colors` when the resolved scheme is dark.
+  darkColors: {
+    bg: '#0B1220',
+    text: '#F9FAFB',
+    muted: '#94A3B8',
+    placeholder: 'rgba(148,163,184,0.5)',
+    border: '#60A5FA',
+    borderMuted: '#243041',
+    primary: '#60A5FA',
+    primaryText: '#0B1220',
+    danger: '#F87171',
+    warning: '#FBBF24',
+    success: '#34D399',
+    disabled: '#1E3A8A',
+    closeBg: '#1F2937',
+    secondaryBg: '#111827',
+    primaryBorder: 'rgba(96,165,250,0.3)',
+    shadow: '#000000',
+  },
+
   spacing: {
     screenPadding: 16,
     titleTop: 20,
@@ -85,78 +124,396 @@ const DESIGN = {
     helper: 14,
   },
 
-  strings: {
-    titleWelcome: 'Get started',
-    titleWelcomeBack: 'Welcome Back 👋🏻',
-    ctaStart: 'SIGN IN',
-    ctaContinue: 'CONTINUE',
-    fields: {
-      nameLabel: 'Your Name',
-      namePlaceholder: 'Name Here',
-      emailLabel: 'Email',
-      emailPlaceholder: 'abc@gmail.com',
-      otpLabel: 'Enter verification code',
-      otpPlaceholder: '------',
-      passwordLabelNew: 'Create Password',
-      passwordLabelExisting: 'Password',
-      passwordPlaceholder: 'Password',
-      changeEmail: 'Change Email?',
-      resend: 'Resend?',
-    },
-    hints: {
-      passwordMin: 'Atleast 8 digit, for your security’s sake 🤗',
-    },
-    errors: {
-      emailInvalid: 'Input email correctly',
-    },
+  fontFamily: {
+    regular: 'Figtree-Medium',
+    bold: 'Figtree-Bold',
+    extraBold: 'Figtree-ExtraBold',
+    italic: 'Figtree-Italic',
   },
 };
 
-function getTheme() {
-  if (!DESIGN.darkMode) return DESIGN.colors;
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  if (!isPlainObject(override)) return base;
+  const out = { ...base };
+  Object.keys(override).forEach((key) => {
+    const value = override[key];
+    if (value === undefined) return;
+    out[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? deepMerge(base[key], value) : value;
+  });
+  return out;
+}
+
+/**
+ * Defaults ← provider theme ← prop theme, then pick the palette for the scheme.
+ */
+function resolveDesign(overrides, isDark) {
+  const merged = overrides.reduce((acc, override) => deepMerge(acc, override), DESIGN);
   return {
-    bg: '#0B1220',
-    card: '#111827',
-    text: '#F9FAFB',
-    muted: '#94A3B8',
-    border: '#60A5FA',
-    borderMuted: '#243041',
-    primary: '#60A5FA',
-    primaryText: '#0B1220',
-    danger: '#F87171',
-    success: '#34D399',
-    disabled: '#1E3A8A',
-    shadow: '#000000',
+    ...merged,
+    colors: isDark ? { ...merged.colors, ...merged.darkColors } : merged.colors,
   };
 }
 
-function RightAdornment({ theme, emailCheckStatus }) {
+const AuthThemeContext = createContext({ theme: undefined, colorScheme: undefined });
+
+/**
+ * Optional app-wide override for every AuthScreen below it:
+ * <AuthThemeProvider theme={brandTheme} colorScheme="auto">...</AuthThemeProvider>
+ */
+export function AuthThemeProvider({ theme, colorScheme, children }) {
+  const value = useMemo(() => ({ theme, colorScheme }), [theme, colorScheme]);
+  return <AuthThemeContext.Provider value={value}>{children}</AuthThemeContext.Provider>;
+}
+
+function RightAdornment({ theme, styles, emailCheckStatus }) {
   if (emailCheckStatus === 'checking') {
     return <ActivityIndicator size="small" color={theme.muted} />;
   }
   if (emailCheckStatus === 'ready') {
     return (
       <View style={[styles.checkWrap, { backgroundColor: theme.success }]}>
-        <Text style={styles.checkText}>✓</Text>
+        <Text style={[styles.checkText, { color: theme.primaryText }]}>✓</Text>
       </View>
     );
   }
   return null;
 }
 
+/**
+ * Strength bar (4 segments) + per-rule checklist for new passwords.
+ */
+function PasswordStrength({ theme, styles, t, check }) {
+  const { strength, rules } = check;
+  const barColor = strength >= 3 ? theme.success : strength === 2 ? (theme.warning ?? theme.muted) : theme.danger;
+
+  return (
+    <View style={styles.fieldGap16}>
+      <View style={[styles.strengthBars, styles.ltrRow]}>
+        {[1, 2, 3, 4].map((segment) => (
+          <View
+            key={segment}
+            style={[styles.strengthBar, { backgroundColor: strength >= segment ? barColor : theme.borderMuted }]}
+          />
+        ))}
+      </View>
+      <Text style={[styles.strengthLabel, { color: strength > 0 ? barColor : theme.muted }]}>
+        {t(`password.strength.${strength}`)}
+      </Text>
+
+      {rules.map((rule) => (
+        <Text
+          key={rule.id}
+          style={[styles.ruleText, { color: rule.passed ? theme.success : theme.muted }]}
+          accessibilityState={{ checked: rule.passed }}
+        >
+          {rule.passed ? '✓' : '•'} {t(`password.rule.${rule.id}`, rule.params)}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Typed digits, or the code out of a paste / autofill ("123456", "123-456",
+ * "Your code is 123456"), capped at `length`.
+ */
+function normalizeOtpInput(text, previous, length) {
+  const raw = String(text ?? '');
+  const inserted = raw.startsWith(previous) ? raw.slice(previous.length) : raw;
+  if (inserted.length > 1) {
+    const whole = inserted.match(new RegExp(`(?:^|\\D)(\\d{${length}})(?!\\d)`));
+    if (whole) return whole[1];
+    const digits = inserted.replace(/\D/g, '');
+    if (digits.length >= length) return digits.slice(0, length);
+  }
+  return raw.replace(/\D/g, '').slice(0, length);
+}
+
+/**
+ * One box per digit over a single (invisible) TextInput, so one-time-code
+ * autofill, paste and backspace behave like a normal field.
+ */
+const OtpCodeInput = React.forwardRef(function OtpCodeInput(
+  { theme, styles, length, value, onChange, hasError, accessibilityLabel },
+  ref
+) {
+  const [focused, setFocused] = useState(false);
+  const code = String(value ?? '');
+  const activeIndex = Math.min(code.length, length - 1);
+
+  return (
+    <Pressable onPress={() => ref?.current?.focus()} style={[styles.otpBoxes, styles.ltrRow]} accessible={false}>
+      {Array.from({ length }, (_, index) => (
+        <View
+          key={index}
+          style={[
+            styles.otpBox,
+            {
+              borderColor: hasError
+                ? theme.danger
+                : focused && index === activeIndex
+                  ? theme.border
+                  : theme.borderMuted,
+            },
+          ]}
+        >
+          <Text style={[styles.otpDigit, { color: theme.text }]}>{code[index] ?? ''}</Text>
+        </View>
+      ))}
+      <TextInput
+        ref={ref}
+        value={code}
+        onChangeText={(text) => onChange(normalizeOtpInput(text, code, length))}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        style={styles.otpHiddenInput}
+        caretHidden
+        keyboardType="number-pad"
+        autoCapitalize="none"
+        autoCorrect={false}
+        textContentType="oneTimeCode"
+        autoComplete={Platform.OS === 'android' ? 'sms-otp' : 'one-time-code'}
+        accessibilityLabel={accessibilityLabel}
+        /* Explicitly null to avoid showing the native "Done" bar on some iOS versions */
+        inputAccessoryViewID={null}
+      />
+    </Pressable>
+  );
+});
+
+/**
+ * One `options.profileFields` entry on the NAME step. "Required" errors only show
+ * after CONTINUE (`showRequired`); format / validator errors show while typing.
+ */
+function ProfileField({ theme, styles, t, field, value, error, showRequired, onChange, textInputAlign }) {
+  const [open, setOpen] = useState(false);
+  const visibleError = error && (error.code !== AUTH_ERROR.FIELD_REQUIRED || showRequired) ? error : null;
+  // `label` may be a translation key; so is the {field} placeholder in "… is required".
+  const errorText = visibleError
+    ? translateError(t, { ...visibleError, params: { ...visibleError.params, field: t(field.label) } })
+    : '';
+  const label = `${t(field.label)}${field.required ? ' *' : ''}`;
+
+  if (field.type === PROFILE_FIELD_TYPE.CHECKBOX) {
+    return (
+      <View style={styles.fieldGap16}>
+        <Pressable
+          onPress={() => onChange(!value)}
+          style={styles.checkboxRow}
+          accessibilityRole="checkbox"
+          accessibilityState={{ checked: value === true }}
+          hitSlop={8}
+        >
+          <View
+            style={[
+              styles.checkbox,
+              {
+                borderColor: value ? theme.primary : theme.borderMuted,
+                backgroundColor: value ? theme.primary : 'transparent',
+              },
+            ]}
+          >
+            {value ? <Text style={[styles.checkText, { color: theme.primaryText }]}>✓</Text> : null}
+          </View>
+          <Text style={[styles.label, styles.flex1, { color: theme.text }]}>{label}</Text>
+        </Pressable>
+        {errorText ? <Text style={[styles.errorText, { color: theme.danger }]}>{errorText}</Text> : null}
+      </View>
+    );
+  }
+
+  const selected = field.type === PROFILE_FIELD_TYPE.SELECT ? field.options.find((o) => o.value === value) : null;
+  const borderColor = visibleError ? theme.danger : theme.border;
+
+  return (
+    <View style={styles.fieldGap16}>
+      <Text style={[styles.label, styles.profileLabel, { color: theme.muted }]}>{label}</Text>
+
+      {field.type === PROFILE_FIELD_TYPE.SELECT ? (
+        <>
+          <Pressable
+            onPress={() => setOpen(true)}
+            style={[styles.inputWrap, { borderColor }]}
+            accessibilityRole="button"
+            accessibilityLabel={t(field.label)}
+          >
+            <Text style={[styles.input, textInputAlign, { color: selected ? theme.text : theme.placeholder }]}>
+              {selected ? t(selected.label) : t(field.placeholder ?? 'fields.selectOption')}
+            </Text>
+          </Pressable>
+
+          <Modal visible={open} animationType="slide" onRequestClose={() => setOpen(false)}>
+            <View style={[styles.screen, { backgroundColor: theme.bg }]}>
+              <View style={[styles.headerRow, { marginTop: 20 }]}>
+                <Text style={[styles.title, { color: theme.text }]}>{t(field.label)}</Text>
+                <Pressable
+                  onPress={() => setOpen(false)}
+                  style={[styles.closeButtonInline, { backgroundColor: theme.closeBg }]}
+                  accessibilityLabel={t('a11y.close')}
+                >
+                  <Text style={[styles.closeText, { color: theme.text }]}>×</Text>
+                </Pressable>
+              </View>
+              <FlatList
+                data={field.options}
+                keyExtractor={(item) => item.value}
+                keyboardShouldPersistTaps="handled"
+                renderItem={({ item }) => (
+                  <Pressable
+                    onPress={() => {
+                      onChange(item.value);
+                      setOpen(false);
+                    }}
+                    style={[styles.countryRow, { borderBottomColor: theme.borderMuted }]}
+                    accessibilityState={{ selected: item.value === value }}
+                  >
+                    <Text style={[styles.label, styles.flex1, { color: theme.text }]}>{t(item.label)}</Text>
+                    {item.value === value ? <Text style={[styles.checkText, { color: theme.primary }]}>✓</Text> : null}
+                  </Pressable>
+                )}
+              />
+            </View>
+          </Modal>
+        </>
+      ) : (
+        <View style={[styles.inputWrap, { borderColor }]}>
+          <TextInput
+            value={String(value ?? '')}
+            onChangeText={onChange}
+            placeholder={t(field.placeholder ?? (field.type === PROFILE_FIELD_TYPE.DATE ? 'fields.datePlaceholder' : ''))}
+            placeholderTextColor={theme.placeholder}
+            style={[styles.input, textInputAlign, { color: theme.text }]}
+            keyboardType={
+              field.keyboardType ?? (field.type === PROFILE_FIELD_TYPE.DATE ? 'numbers-and-punctuation' : 'default')
+            }
+            autoCapitalize={field.autoCapitalize ?? 'none'}
+            autoCorrect={false}
+          />
+        </View>
+      )}
+
+      {errorText ? <Text style={[styles.errorText, { color: theme.danger }]}>{errorText}</Text> : null}
+    </View>
+  );
+}
+
+/**
+ * Dial-code button + full-screen list (phone mode).
+ */
+function CountryPicker({ theme, styles, t, countries, value, onChange, disabled }) {
+  const [open, setOpen] = useState(false);
+  const selected = countries.find((c) => c.iso === value) ?? countries[0];
+  if (!selected) return null;
+
+  return (
+    <>
+      <Pressable
+        onPress={() => setOpen(true)}
+        disabled={disabled}
+        style={styles.countryButton}
+        accessibilityRole="button"
+        accessibilityLabel={t('fields.selectCountry')}
+        hitSlop={8}
+      >
+        <Text style={[styles.input, styles.countryButtonText, { color: theme.text }]}>
+          {countryFlag(selected.iso)} +{selected.dial}
+        </Text>
+      </Pressable>
+
+      <Modal visible={open} animationType="slide" onRequestClose={() => setOpen(false)}>
+        <View style={[styles.screen, { backgroundColor: theme.bg }]}>
+          <View style={[styles.headerRow, { marginTop: 20 }]}>
+            <Text style={[styles.title, { color: theme.text }]}>{t('fields.selectCountry')}</Text>
+            <Pressable
+              onPress={() => setOpen(false)}
+              style={[styles.closeButtonInline, { backgroundColor: theme.closeBg }]}
+              accessibilityLabel={t('a11y.close')}
+            >
+              <Text style={[styles.closeText, { color: theme.text }]}>×</Text>
+            </Pressable>
+          </View>
+          <FlatList
+            data={countries}
+            keyExtractor={(item) => item.iso}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item }) => (
+              <Pressable
+                onPress={() => {
+                  onChange(item.iso);
+                  setOpen(false);
+                }}
+                style={[styles.countryRow, { borderBottomColor: theme.borderMuted }]}
+              >
+                <Text style={[styles.label, { color: theme.text, flex: 1 }]}>
+                  {countryFlag(item.iso)}  {item.name}
+                </Text>
+                <Text style={[styles.label, styles.ltrInput, { color: theme.muted }]}>+{item.dial}</Text>
+              </Pressable>
+            )}
+          />
+        </View>
+      </Modal>
+    </>
+  );
+}
+
 /**
  * Public API: <AuthScreen supabase={supabaseClient} />
+ * (or <AuthScreen adapter={authAdapter} /> for non-Supabase backends)
+ * `mode="upgrade"` turns the signed-in guest into a full account.
  */
-export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
-  const theme = useMemo(() => getTheme(), []);
+export function AuthScreen({
+  supabase,
+  adapter,
+  startAt = 'start',
+  mode = 'signIn',
+  onClose,
+  options,
+  theme: themeOverride,
+  colorScheme,
+  locale,
+  messages,
+  rtl,
+  onSuccess,
+  onStepChange,
+  onError,
+  onFinishingChange,
+}) {
+  const themeContext = useContext(AuthThemeContext);
+  const systemColorScheme = useColorScheme();
+  // Most specific wins: prop > theme prop > provider > provider theme > default.
+  const resolvedScheme =
+    colorScheme ??
+    themeOverride?.colorScheme ??
+    themeContext.colorScheme ??
+    themeContext.theme?.colorScheme ??
+    DESIGN.colorScheme;
+  const isDark = resolvedScheme === 'auto' ? systemColorScheme === 'dark' : resolvedScheme === 'dark';
+  const design = useMemo(
+    () => resolveDesign([themeContext.theme, themeOverride], isDark),
+    [isDark, themeContext.theme, themeOverride]
+  );
+  const styles = useMemo(() => createStyles(design), [design]);
+  const theme = design.colors;
+  const t = useMemo(() => createTranslator({ locale, messages }), [locale, messages]);
+  // Explicit prop > locale (ar, he, ...) > native layout direction.
+  const isRtl = rtl ?? (locale ? isRtlLocale(locale) : I18nManager.isRTL);
+  // Free text follows the layout; email and codes always read left-to-right.
+  const textInputAlign = { textAlign: isRtl ? 'right' : 'left' };
   const shadowColor = theme.shadow ?? DESIGN.colors.shadow;
   const insets = useContext(SafeAreaInsetsContext);
 
   // Focus refs for inputs (keeping keyboard open by switching focus instead of unmounting)
   const emailRef = useRef(null);
+  const phoneRef = useRef(null);
   const otpRef = useRef(null);
   const nameRef = useRef(null);
   const passwordRef = useRef(null);
+  const [passwordVisible, setPasswordVisible] = useState(false);
 
   if (!insets && typeof __DEV__ !== 'undefined' && __DEV__ && !didWarnMissingSafeAreaProvider) {
     didWarnMissingSafeAreaProvider = true;
@@ -170,16 +527,30 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
     step,
     name,
     email,
+    phone,
+    phoneCountry,
+    phoneCountries,
+    phoneE164,
     password,
     otpCode,
+    otpLength,
     busy,
     errorMessage,
+    errorParams,
     setName,
     setEmail,
+    setPhone,
+    setPhoneCountry,
     setPassword,
     setOtpCode,
+    profileFields,
+    profile,
+    profileErrors,
+    setProfileField,
     emailCheckStatus,
     emailIsValid,
+    emailSuggestion,
+    applyEmailSuggestion,
     canContinue,
     primaryButtonLabel,
     goNext,
@@ -190,20 +561,76 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
     isExistingUser,
     shouldCollectName,
     emailAuthMode,
+    canSwitchEmailAuthMode,
+    alternateEmailAuthMode,
+    switchEmailAuthMode,
+    needsAccountChoice,
+    chooseAccount,
+    identifier,
     otpResendSeconds,
     resendOtp,
-  } = useAuthScreenLogic({ supabase, startAt, options });
+    forgotPassword,
+    isNewPassword,
+    passwordCheck,
+    oauthProviders,
+    oauthPending,
+    signInWithOAuth,
+    guestEnabled,
+    continueAsGuest,
+    isUpgrade,
+  } = useAuthScreenLogic({
+    supabase,
+    adapter,
+    startAt,
+    mode,
+    options,
+    locale,
+    messages,
+    onSuccess,
+    onStepChange,
+    onError,
+    onFinishingChange,
+  });
 
-  const headerTitle = isExistingUser ? DESIGN.strings.titleWelcomeBack : DESIGN.strings.titleWelcome;
+  const isResetStep = step === AUTH_STEP.RESET_CODE || step === AUTH_STEP.NEW_PASSWORD;
+  const isMagicLinkStep = step === AUTH_STEP.MAGIC_LINK_SENT;
+  const isConfirmEmailStep = step === AUTH_STEP.CONFIRM_EMAIL;
+  // Both wait on a link from an email: same "check your inbox" layout.
+  const isInboxStep = isMagicLinkStep || isConfirmEmailStep;
+  let headerTitle = t('title.welcome');
+  if (isResetStep) headerTitle = t('title.resetPassword');
+  else if (isInboxStep) headerTitle = t('title.checkInbox');
+  else if (isUpgrade) headerTitle = t('title.upgrade');
+  else if (isExistingUser) headerTitle = t('title.welcomeBack');
   const showNameField = Boolean(shouldCollectName) && (step === AUTH_STEP.NAME || step === AUTH_STEP.PASSWORD);
   const hideNameFieldVisually = step === AUTH_STEP.PASSWORD;
-  const showOtpField = emailAuthMode === 'otp' && step === AUTH_STEP.OTP;
-  const canResendOtp = emailAuthMode === 'otp' && step === AUTH_STEP.OTP && otpResendSeconds === 0 && !busy;
+  const isPhoneMode = identifier === 'phone';
+  const showOtpField =
+    ((emailAuthMode === 'otp' || isPhoneMode || isUpgrade) && step === AUTH_STEP.OTP) || step === AUTH_STEP.RESET_CODE;
+  const showPasswordField = step === AUTH_STEP.PASSWORD || step === AUTH_STEP.NEW_PASSWORD;
+  const canResendOtp = (showOtpField || isInboxStep) && otpResendSeconds === 0 && !busy;
+
+  // "Use password instead" / "Email me a code instead" (EMAIL, OTP and PASSWORD steps)
+  const switchModeLink = canSwitchEmailAuthMode ? (
+    <Pressable
+      onPress={() => switchEmailAuthMode()}
+      disabled={busy}
+      style={styles.switchModeLink}
+      hitSlop={8}
+      accessibilityRole="button"
+    >
+      <Text style={[styles.linkTextInline, { color: theme.primary }]}>
+        {alternateEmailAuthMode === 'password' ? t('switch.usePassword') : t('switch.useCode')}
+      </Text>
+    </Pressable>
+  ) : null;
 
   const resendLabel = useMemo(() => {
-    if (otpResendSeconds > 0) return `RESEND IN 0:${String(otpResendSeconds).padStart(2, '0')}`;
-    return DESIGN.strings.fields.resend.toUpperCase();
-  }, [otpResendSeconds]);
+    if (otpResendSeconds > 0) {
+      return t('otp.resendIn', { time: `0:${String(otpResendSeconds).padStart(2, '0')}` }).toUpperCase();
+    }
+    return t('otp.resend').toUpperCase();
+  }, [otpResendSeconds, t]);
 
   // 1. Focus logic (Keyboard lift is handled automatically by KeyboardAvoidingView)
   useEffect(() => {
@@ -211,27 +638,28 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
     // then switch focus to the correct input.
     const timer = setTimeout(() => {
       if (step === AUTH_STEP.EMAIL) emailRef.current?.focus();
-      if (step === AUTH_STEP.OTP) otpRef.current?.focus();
+      if (step === AUTH_STEP.PHONE) phoneRef.current?.focus();
+      if (step === AUTH_STEP.OTP || step === AUTH_STEP.RESET_CODE) otpRef.current?.focus();
       if (step === AUTH_STEP.NAME) nameRef.current?.focus();
-      if (step === AUTH_STEP.PASSWORD) passwordRef.current?.focus();
+      if (step === AUTH_STEP.PASSWORD || step === AUTH_STEP.NEW_PASSWORD) passwordRef.current?.focus();
     }, 40);
     return () => clearTimeout(timer);
   }, [step]);
 
   return (
-    <View style={[styles.screen, { backgroundColor: theme.bg }]}>
+    <View style={[styles.screen, { backgroundColor: theme.bg, direction: isRtl ? 'rtl' : 'ltr' }]}>
       <KeyboardAvoidingView
         style={styles.screen}
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
         keyboardVerticalOffset={Platform.OS === 'ios' ? 0 : 20}
       >
         {step !== AUTH_STEP.START ? (
-          <View style={[styles.headerRow, { marginTop: DESIGN.spacing.titleTop }]}>
+          <View style={[styles.headerRow, { marginTop: design.spacing.titleTop }]}>
             <Text style={[styles.title, { color: theme.text }]}>{headerTitle}</Text>
             <Pressable
               onPress={typeof onClose === 'function' ? onClose : reset}
               style={[styles.closeButtonInline, { backgroundColor: theme.closeBg }]}
-              accessibilityLabel="Close"
+              accessibilityLabel={t('a11y.close')}
             >
               <Text style={[styles.closeText, { color: theme.text }]}>×</Text>
             </Pressable>
@@ -239,7 +667,7 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
         ) : null}
 
         {step === AUTH_STEP.START ? (
-          <View style={[styles.startWrap, { paddingHorizontal: DESIGN.spacing.screenPadding, paddingBottom: bottomGap }]}>
+          <View style={[styles.startWrap, { paddingHorizontal: design.spacing.screenPadding, paddingBottom: bottomGap }]}>
             <View style={{ flex: 1 }} />
             <Pressable
               onPress={goNext}
@@ -247,7 +675,7 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                 styles.primaryButton,
                 {
                   backgroundColor: theme.primary,
-                  borderColor: 'rgba(0,229,255,0.3)',
+                  borderColor: theme.primaryBorder,
                   shadowColor: theme.shadow ?? shadowColor,
                   borderBottomColor: theme.shadow ?? shadowColor,
                   opacity: pressed ? 0.9 : 1,
@@ -259,9 +687,62 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
               ]}
             >
               <Text style={[styles.primaryButtonText, { color: theme.primaryText }]}>
-                {DESIGN.strings.ctaStart.toUpperCase()}
+                {t('cta.start').toUpperCase()}
               </Text>
             </Pressable>
+
+            {/* Social sign-in (options.oauth) */}
+            {oauthProviders.map((provider) => (
+              <Pressable
+                key={provider}
+                onPress={() => signInWithOAuth(provider)}
+                disabled={busy}
+                accessibilityRole="button"
+                style={({ pressed }) => [
+                  styles.primaryButton,
+                  styles.secondaryButton,
+                  {
+                    backgroundColor: theme.secondaryBg ?? theme.bg,
+                    borderColor: theme.borderMuted,
+                    borderBottomColor: theme.borderMuted,
+                    opacity: busy && oauthPending !== provider ? 0.5 : pressed ? 0.9 : 1,
+                    transform: [{ translateY: pressed ? 1.5 : 0 }],
+                    borderBottomWidth: pressed ? 1 : 3,
+                  },
+                ]}
+              >
+                {oauthPending === provider ? (
+                  <ActivityIndicator color={theme.text} />
+                ) : (
+                  <Text style={[styles.primaryButtonText, { color: theme.text }]}>
+                    {t(`oauth.${provider}`).toUpperCase()}
+                  </Text>
+                )}
+              </Pressable>
+            ))}
+
+            {/* Anonymous sign-in (options.guest) */}
+            {guestEnabled ? (
+              <Pressable
+                onPress={continueAsGuest}
+                disabled={busy}
+                style={styles.guestLink}
+                hitSlop={8}
+                accessibilityRole="button"
+              >
+                {busy && !oauthPending ? (
+                  <ActivityIndicator color={theme.muted} />
+                ) : (
+                  <Text style={[styles.linkTextInline, styles.textCenter, { color: theme.primary }]}>
+                    {t('cta.guest')}
+                  </Text>
+                )}
+              </Pressable>
+            ) : null}
+
+            {errorMessage ? (
+              <Text style={[styles.errorText, styles.textCenter, { color: theme.danger }]}>{errorMessage}</Text>
+            ) : null}
             <View style={{ flex: 1 }} />
           </View>
         ) : (
@@ -270,7 +751,7 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
             contentContainerStyle={[
               styles.container,
               {
-                paddingHorizontal: DESIGN.spacing.screenPadding,
+                paddingHorizontal: design.spacing.screenPadding,
                 paddingBottom: bottomGap,
               },
             ]}
@@ -283,8 +764,8 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
             <View style={styles.mainInputArea}>
               {step === AUTH_STEP.EMAIL || (step === AUTH_STEP.PASSWORD && isExistingUser) ? (
                 <View style={styles.emailRow}>
-                  <Text style={[styles.label, { color: theme.muted }]}>{DESIGN.strings.fields.emailLabel}</Text>
-                  <View style={{ height: DESIGN.spacing.inputTopGap }} />
+                  <Text style={[styles.label, { color: theme.muted }]}>{t('fields.emailLabel')}</Text>
+                  <View style={{ height: design.spacing.inputTopGap }} />
 
                   <View
                     style={[
@@ -304,9 +785,9 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                       value={email}
                       onChangeText={setEmail}
                       onFocus={step === AUTH_STEP.PASSWORD ? beginEditEmail : undefined}
-                      placeholder={DESIGN.strings.fields.emailPlaceholder}
+                      placeholder={t('fields.emailPlaceholder')}
                       placeholderTextColor={theme.placeholder}
-                      style={[styles.input, { color: theme.text }]}
+                      style={[styles.input, styles.ltrInput, { color: theme.text }]}
                       keyboardType="email-address"
                       autoCapitalize="none"
                       autoCorrect={false}
@@ -316,55 +797,105 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                       editable={step === AUTH_STEP.EMAIL}
                     />
                     <View style={styles.adornment}>
-                      {step === AUTH_STEP.EMAIL ? (emailIsValid ? <RightAdornment theme={theme} emailCheckStatus={emailCheckStatus} /> : null) : null}
+                      {step === AUTH_STEP.EMAIL ? (emailIsValid ? <RightAdornment theme={theme} styles={styles} emailCheckStatus={emailCheckStatus} /> : null) : null}
                     </View>
                   </View>
 
+                  {step === AUTH_STEP.EMAIL && emailSuggestion ? (
+                    <Pressable
+                      onPress={applyEmailSuggestion}
+                      style={styles.suggestionLink}
+                      hitSlop={8}
+                      accessibilityRole="button"
+                    >
+                      <Text style={[styles.linkTextInline, { color: theme.primary }]}>
+                        {t('email.didYouMean', { email: emailSuggestion })}
+                      </Text>
+                    </Pressable>
+                  ) : null}
+
+                  {step === AUTH_STEP.EMAIL ? switchModeLink : null}
+
                   {step === AUTH_STEP.EMAIL && errorMessage ? (
                     <Text style={[styles.errorText, { color: theme.danger }]}>{errorMessage}</Text>
                   ) : null}
                 </View>
               ) : null}
 
-              {/* OTP field */}
-              {showOtpField ? (
-                <View style={styles.fieldGap16}>
-                  <Text style={[styles.label, { color: theme.muted }]}>{DESIGN.strings.fields.otpLabel}</Text>
-                  <View style={{ height: DESIGN.spacing.inputTopGap }} />
+              {/* Phone field (options.phone) */}
+              {step === AUTH_STEP.PHONE ? (
+                <View style={styles.emailRow}>
+                  <Text style={[styles.label, { color: theme.muted }]}>{t('fields.phoneLabel')}</Text>
+                  <View style={{ height: design.spacing.inputTopGap }} />
 
+                  {/* Numbers always read left-to-right, even in RTL layouts. */}
                   <View
                     style={[
                       styles.inputWrap,
+                      styles.ltrRow,
                       { borderColor: errorMessage ? theme.danger : theme.border },
                     ]}
                   >
+                    <CountryPicker
+                      theme={theme}
+                      styles={styles}
+                      t={t}
+                      countries={phoneCountries}
+                      value={phoneCountry}
+                      onChange={setPhoneCountry}
+                      disabled={busy}
+                    />
                     <TextInput
-                      ref={otpRef}
-                      value={otpCode}
-                      onChangeText={(t) => setOtpCode(String(t ?? '').replace(/[^\d]/g, '').slice(0, 6))}
-                      placeholder={DESIGN.strings.fields.otpPlaceholder}
+                      ref={phoneRef}
+                      value={phone}
+                      onChangeText={setPhone}
+                      placeholder={t('fields.phonePlaceholder')}
                       placeholderTextColor={theme.placeholder}
-                      style={[styles.input, styles.otpInput, { color: theme.text }]}
-                      keyboardType="number-pad"
-                      autoCapitalize="none"
+                      style={[styles.input, styles.ltrInput, { color: theme.text }]}
+                      keyboardType="phone-pad"
                       autoCorrect={false}
-                      textContentType="oneTimeCode"
-                      autoComplete="one-time-code"
-                      maxLength={6}
-                      /* Explicitly null to avoid showing the native "Done" bar on some iOS versions */
-                      inputAccessoryViewID={null}
+                      textContentType="telephoneNumber"
+                      autoComplete="tel"
+                      returnKeyType="done"
                     />
                   </View>
 
+                  {errorMessage ? (
+                    <Text style={[styles.errorText, { color: theme.danger }]}>{errorMessage}</Text>
+                  ) : null}
+                </View>
+              ) : null}
+
+              {/* OTP field */}
+              {showOtpField ? (
+                <View style={styles.fieldGap16}>
+                  <Text style={[styles.label, { color: theme.muted }]}>
+                    {step === AUTH_STEP.RESET_CODE ? t('fields.resetCodeLabel') : t('fields.otpLabel')}
+                  </Text>
+                  <View style={{ height: design.spacing.inputTopGap }} />
+
+                  <OtpCodeInput
+                    ref={otpRef}
+                    theme={theme}
+                    styles={styles}
+                    length={otpLength}
+                    value={otpCode}
+                    onChange={setOtpCode}
+                    hasError={Boolean(errorMessage)}
+                    accessibilityLabel={step === AUTH_STEP.RESET_CODE ? t('fields.resetCodeLabel') : t('fields.otpLabel')}
+                  />
+
                   {/* Help links below the input */}
                   <View style={styles.otpFooter}>
                     <Text style={[styles.otpHelpText, { color: theme.muted }]}>
-                      Sent to {email}{' '}
+                      {isPhoneMode && step === AUTH_STEP.OTP
+                        ? t('otp.sentToPhone', { phone: phoneE164 })
+                        : t('otp.sentTo', { email })}{' '}
                       <Text
                         onPress={beginEditEmail}
                         style={[styles.linkTextInline, { color: theme.primary }]}
                       >
-                        {DESIGN.strings.fields.changeEmail}
+                        {isPhoneMode && step === AUTH_STEP.OTP ? t('fields.changePhone') : t('fields.changeEmail')}
                       </Text>
                     </Text>
 
@@ -386,6 +917,8 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                         {resendLabel}
                       </Text>
                     </Pressable>
+
+                    {step === AUTH_STEP.OTP ? switchModeLink : null}
                   </View>
 
                   {errorMessage ? (
@@ -395,7 +928,7 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
               ) : null}
 
               {/* Name field (for new users) */}
-              {showNameField && !isExistingUser ? (
+              {showNameField ? (
                 <View
                   style={[
                     emailAuthMode === 'password' ? styles.emailRow : styles.fieldGap16,
@@ -405,8 +938,8 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                 >
                   {step === AUTH_STEP.NAME ? (
                     <>
-                      <Text style={[styles.label, { color: theme.muted }]}>{DESIGN.strings.fields.nameLabel}</Text>
-                      <View style={{ height: DESIGN.spacing.inputTopGap }} />
+                      <Text style={[styles.label, { color: theme.muted }]}>{t('fields.nameLabel')}</Text>
+                      <View style={{ height: design.spacing.inputTopGap }} />
                     </>
                   ) : null}
 
@@ -422,27 +955,48 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                       ref={nameRef}
                       value={name}
                       onChangeText={setName}
-                      placeholder={DESIGN.strings.fields.namePlaceholder}
+                      placeholder={t('fields.namePlaceholder')}
                       placeholderTextColor={theme.placeholder}
-                      style={[styles.input, { color: theme.text }]}
+                      style={[styles.input, textInputAlign, { color: theme.text }]}
                       autoCapitalize="words"
                       returnKeyType="done"
                     />
                   </View>
 
-                  {step === AUTH_STEP.NAME && errorMessage ? (
+                  {step === AUTH_STEP.NAME && errorMessage && !errorParams?.key ? (
                     <Text style={[styles.errorText, { color: theme.danger }]}>{errorMessage}</Text>
                   ) : null}
+
+                  {step === AUTH_STEP.NAME
+                    ? profileFields.map((field) => (
+                        <ProfileField
+                          key={field.key}
+                          theme={theme}
+                          styles={styles}
+                          t={t}
+                          field={field}
+                          value={profile[field.key]}
+                          error={profileErrors[field.key]}
+                          showRequired={errorParams?.key === field.key}
+                          onChange={(value) => setProfileField(field.key, value)}
+                          textInputAlign={textInputAlign}
+                        />
+                      ))
+                    : null}
                 </View>
               ) : null}
 
               {/* Password field */}
-              {step === AUTH_STEP.PASSWORD ? (
-                <View style={isExistingUser ? styles.fieldGap16 : styles.emailRow}>
+              {showPasswordField ? (
+                <View style={isExistingUser && step === AUTH_STEP.PASSWORD ? styles.fieldGap16 : styles.emailRow}>
                   <Text style={[styles.label, { color: theme.muted }]}>
-                    {isNewUser ? DESIGN.strings.fields.passwordLabelNew : DESIGN.strings.fields.passwordLabelExisting}
+                    {step === AUTH_STEP.NEW_PASSWORD
+                      ? t('fields.passwordLabelReset')
+                      : isNewUser
+                        ? t('fields.passwordLabelNew')
+                        : t('fields.passwordLabelExisting')}
                   </Text>
-                  <View style={{ height: DESIGN.spacing.inputTopGap }} />
+                  <View style={{ height: design.spacing.inputTopGap }} />
                   <View
                     style={[
                       styles.inputWrap,
@@ -455,17 +1009,79 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
                       ref={passwordRef}
                       value={password}
                       onChangeText={setPassword}
-                      placeholder={DESIGN.strings.fields.passwordPlaceholder}
+                      placeholder={t('fields.passwordPlaceholder')}
                       placeholderTextColor={theme.placeholder}
-                      style={[styles.input, { color: theme.text }]}
-                      secureTextEntry
+                      style={[styles.input, textInputAlign, { color: theme.text }]}
+                      secureTextEntry={!passwordVisible}
                       autoCapitalize="none"
                       autoCorrect={false}
-                      textContentType={isExistingUser ? 'password' : 'newPassword'}
+                      textContentType={isExistingUser && step === AUTH_STEP.PASSWORD ? 'password' : 'newPassword'}
                       returnKeyType="done"
                     />
+                    <Pressable
+                      onPress={() => setPasswordVisible((visible) => !visible)}
+                      hitSlop={8}
+                      accessibilityRole="button"
+                    >
+                      <Text style={[styles.linkTextInline, { color: theme.primary }]}>
+                        {passwordVisible ? t('password.hide') : t('password.show')}
+                      </Text>
+                    </Pressable>
                   </View>
-                  <Text style={[styles.hint, { color: theme.muted }]}>{DESIGN.strings.hints.passwordMin}</Text>
+                  {isExistingUser && step === AUTH_STEP.PASSWORD ? (
+                    <Pressable onPress={forgotPassword} disabled={busy} style={styles.forgotLink} hitSlop={8}>
+                      <Text style={[styles.linkTextInline, { color: theme.primary }]}>
+                        {t('fields.forgotPassword')}
+                      </Text>
+                    </Pressable>
+                  ) : null}
+                  {step === AUTH_STEP.PASSWORD ? switchModeLink : null}
+                  {isNewPassword ? (
+                    <PasswordStrength theme={theme} styles={styles} t={t} check={passwordCheck} />
+                  ) : null}
+                  {errorMessage ? <Text style={[styles.errorText, { color: theme.danger }]}>{errorMessage}</Text> : null}
+                </View>
+              ) : null}
+
+              {/* Magic link / sign-up confirmation sent ("check your inbox") */}
+              {isInboxStep ? (
+                <View style={styles.emailRow}>
+                  <Text style={[styles.otpHelpText, { color: theme.muted }]}>
+                    {t(isConfirmEmailStep ? 'confirmEmail.sent' : 'magicLink.sent', { email })}
+                  </Text>
+                  <Text style={[styles.otpHelpText, styles.fieldGap16, { color: theme.muted }]}>
+                    {t(isConfirmEmailStep ? 'confirmEmail.help' : 'magicLink.help')}
+                  </Text>
+
+                  <View style={styles.otpFooter}>
+                    <Text
+                      onPress={beginEditEmail}
+                      style={[styles.linkTextInline, { color: theme.primary }]}
+                    >
+                      {t('fields.changeEmail')}
+                    </Text>
+
+                    <Pressable
+                      onPress={resendOtp}
+                      disabled={!canResendOtp}
+                      style={{ marginTop: 12 }}
+                      hitSlop={8}
+                    >
+                      <Text
+                        style={[
+                          styles.linkTextInline,
+                          {
+                            color: canResendOtp ? theme.primary : theme.muted,
+                            opacity: canResendOtp ? 1 : 0.5,
+                          },
+                        ]}
+                      >
+                        {resendLabel}
+                      </Text>
+                    </Pressable>
+                  </View>
+
+                  {busy && isMagicLinkStep ? <ActivityIndicator style={styles.fieldGap16} color={theme.muted} /> : null}
                   {errorMessage ? <Text style={[styles.errorText, { color: theme.danger }]}>{errorMessage}</Text> : null}
                 </View>
               ) : null}
@@ -474,36 +1090,90 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
             {/* Flexible spacer to push rest of input area/CTA to bottom */}
             <View style={styles.flex1} />
 
-            <View style={styles.inputCluster}>
-              <View style={{ height: DESIGN.spacing.buttonTopGap }} />
+            {/* No primary action while waiting on the magic link: the link itself finishes sign-in.
+                CONFIRM_EMAIL keeps it as "I've confirmed" (checks right away). */}
+            {/* Privacy mode, password: the email check can't tell sign-in from sign-up, so ask. */}
+            {needsAccountChoice ? (
+              <View style={styles.inputCluster}>
+                <View style={{ height: design.spacing.buttonTopGap }} />
 
-              <Pressable
-                disabled={!canContinue}
-                onPress={goNext}
-                style={({ pressed }) => [
-                  styles.primaryButton,
-                  {
-                    backgroundColor: canContinue ? theme.primary : theme.disabled,
-                    borderColor: canContinue ? 'rgba(0,229,255,0.3)' : 'transparent',
-                    shadowColor: canContinue ? (theme.shadow ?? shadowColor) : 'transparent',
-                    borderBottomColor: canContinue ? (theme.shadow ?? shadowColor) : 'transparent',
-                    opacity: pressed ? 0.95 : 1,
-                    // "Sink" effect when pressed
-                    transform: [{ translateY: canContinue && pressed ? 1.5 : 0 }],
-                    borderBottomWidth: canContinue && pressed ? 1 : 3,
-                    shadowOffset: { width: 0, height: canContinue && pressed ? 0.5 : 2 },
-                  },
-                ]}
-              >
-                {busy ? (
-                  <ActivityIndicator color={theme.primaryText} />
-                ) : (
+                <Pressable
+                  disabled={busy}
+                  onPress={() => chooseAccount(false)}
+                  accessibilityRole="button"
+                  style={({ pressed }) => [
+                    styles.primaryButton,
+                    {
+                      backgroundColor: theme.primary,
+                      borderColor: theme.primaryBorder,
+                      shadowColor: theme.shadow ?? shadowColor,
+                      borderBottomColor: theme.shadow ?? shadowColor,
+                      opacity: pressed ? 0.95 : 1,
+                      transform: [{ translateY: pressed ? 1.5 : 0 }],
+                      borderBottomWidth: pressed ? 1 : 3,
+                      shadowOffset: { width: 0, height: pressed ? 0.5 : 2 },
+                    },
+                  ]}
+                >
                   <Text style={[styles.primaryButtonText, { color: theme.primaryText }]}>
-                    {primaryButtonLabel.toUpperCase()}
+                    {t('cta.signIn').toUpperCase()}
                   </Text>
-                )}
-              </Pressable>
-            </View>
+                </Pressable>
+
+                <Pressable
+                  disabled={busy}
+                  onPress={() => chooseAccount(true)}
+                  accessibilityRole="button"
+                  style={({ pressed }) => [
+                    styles.primaryButton,
+                    styles.secondaryButton,
+                    {
+                      backgroundColor: theme.secondaryBg ?? theme.bg,
+                      borderColor: theme.borderMuted,
+                      borderBottomColor: theme.borderMuted,
+                      opacity: pressed ? 0.9 : 1,
+                      transform: [{ translateY: pressed ? 1.5 : 0 }],
+                      borderBottomWidth: pressed ? 1 : 3,
+                    },
+                  ]}
+                >
+                  <Text style={[styles.primaryButtonText, { color: theme.text }]}>
+                    {t('cta.createAccount').toUpperCase()}
+                  </Text>
+                </Pressable>
+              </View>
+            ) : !isMagicLinkStep ? (
+              <View style={styles.inputCluster}>
+                <View style={{ height: design.spacing.buttonTopGap }} />
+
+                <Pressable
+                  disabled={!canContinue}
+                  onPress={goNext}
+                  style={({ pressed }) => [
+                    styles.primaryButton,
+                    {
+                      backgroundColor: canContinue ? theme.primary : theme.disabled,
+                      borderColor: canContinue ? theme.primaryBorder : 'transparent',
+                      shadowColor: canContinue ? (theme.shadow ?? shadowColor) : 'transparent',
+                      borderBottomColor: canContinue ? (theme.shadow ?? shadowColor) : 'transparent',
+                      opacity: pressed ? 0.95 : 1,
+                      // "Sink" effect when pressed
+                      transform: [{ translateY: canContinue && pressed ? 1.5 : 0 }],
+                      borderBottomWidth: canContinue && pressed ? 1 : 3,
+                      shadowOffset: { width: 0, height: canContinue && pressed ? 0.5 : 2 },
+                    },
+                  ]}
+                >
+                  {busy ? (
+                    <ActivityIndicator color={theme.primaryText} />
+                  ) : (
+                    <Text style={[styles.primaryButtonText, { color: theme.primaryText }]}>
+                      {primaryButtonLabel.toUpperCase()}
+                    </Text>
+                  )}
+                </Pressable>
+              </View>
+            ) : null}
           </ScrollView>
         )}
       </KeyboardAvoidingView>
@@ -511,167 +1181,269 @@ export function AuthScreen({ supabase, startAt = 'start', onClose, options }) {
   );
 }
 
-const styles = StyleSheet.create({
-  screen: {
-    flex: 1,
-  },
-  flex1: {
-    flex: 1,
-  },
-  container: {
-    flexGrow: 1,
-    paddingTop: 0,
-  },
-  startWrap: {
-    flex: 1,
-    justifyContent: 'center',
-  },
-  inputCluster: {
-    width: '100%',
-    paddingBottom: 24,
-  },
-  mainInputArea: {
-    width: '100%',
-  },
-  emailRow: {
-    width: '100%',
-  },
-  labelRow: {
-    width: '100%',
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'space-between',
-  },
-  linkText: {
-    fontSize: 14,
-    fontWeight: '700',
-    fontFamily: 'Figtree-Bold',
-  },
-  linkTextInline: {
-    fontSize: 14,
-    fontWeight: '700',
-    fontFamily: 'Figtree-Bold',
-    textDecorationLine: 'none',
-  },
-  otpInput: {
-    fontSize: 24,
-    textAlign: 'left',
-    fontWeight: '700',
-  },
-  otpFooter: {
-    marginTop: 16,
-  },
-  otpHelpText: {
-    fontSize: 14,
-    fontFamily: 'Figtree-Medium',
-  },
-  fieldGap16: {
-    marginTop: 16,
-  },
-  emailContainer: {
-    width: '100%',
-  },
-  headerRow: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    paddingHorizontal: DESIGN.spacing.screenPadding,
-  },
-  hiddenFieldWrap: {
-    height: 0,
-    opacity: 0,
-    overflow: 'hidden',
-  },
-  title: {
-    fontSize: DESIGN.font.title,
-    fontWeight: '900',
-    fontFamily: 'Figtree-ExtraBold',
-  },
-  subtitle: {
-    fontSize: DESIGN.font.subtitle,
-    fontStyle: 'italic',
-    marginTop: 10,
-    fontFamily: 'Figtree-Italic',
-  },
-  label: {
-    fontSize: DESIGN.font.label,
-    fontFamily: 'Figtree-Medium',
-  },
-  inputWrap: {
-    height: DESIGN.spacing.inputHeight,
-    borderWidth: 2,
-    borderRadius: DESIGN.radius.input,
-    paddingHorizontal: DESIGN.spacing.inputHPad,
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  input: {
-    flex: 1,
-    fontSize: DESIGN.font.input,
-    fontWeight: '500',
-    fontFamily: 'Figtree-Medium',
-  },
-  adornment: {
-    width: 40,
-    alignItems: 'flex-end',
-    justifyContent: 'center',
-  },
-  hint: {
-    marginTop: 14,
-    fontSize: DESIGN.font.helper,
-    opacity: 0.4,
-    fontFamily: 'Figtree-Medium',
-  },
-  errorText: {
-    marginTop: 14,
-    fontSize: DESIGN.font.helper,
-    fontWeight: '700',
-    fontFamily: 'Figtree-Medium',
-  },
-  primaryButton: {
-    height: DESIGN.spacing.buttonHeight,
-    width: '100%',
-    maxWidth: DESIGN.spacing.buttonMaxWidth,
-    alignSelf: 'center',
-    alignItems: 'center',
-    justifyContent: 'center',
-    borderRadius: DESIGN.radius.button,
-    borderWidth: 1,
-    // Ensure the bottom border is visible as a distinct "shadow" line
-    borderBottomWidth: 3, 
-    shadowOpacity: 1,
-    shadowRadius: 0,
-    shadowOffset: { width: 0, height: 2 },
-    elevation: 0,
-  },
-  primaryButtonText: {
-    fontSize: DESIGN.font.button,
-    fontWeight: '700',
-    fontFamily: 'Figtree-Bold',
-  },
-  checkWrap: {
-    width: 24,
-    height: 24,
-    borderRadius: 12,
-    alignItems: 'center',
-    justifyContent: 'center',
-  },
-  checkText: {
-    color: '#FFFFFF',
-    fontWeight: '900',
-  },
-  closeButtonInline: {
-    width: 32,
-    height: 32,
-    borderRadius: 16,
-    alignItems: 'center',
-    justifyContent: 'center',
-  },
-  closeText: {
-    fontSize: 20,
-    fontWeight: '400',
-    marginTop: -2, // Optical centering for the '×' symbol
-  },
-});
-
-
+function createStyles(design) {
+  return StyleSheet.create({
+    screen: {
+      flex: 1,
+    },
+    flex1: {
+      flex: 1,
+    },
+    container: {
+      flexGrow: 1,
+      paddingTop: 0,
+    },
+    startWrap: {
+      flex: 1,
+      justifyContent: 'center',
+    },
+    inputCluster: {
+      width: '100%',
+      paddingBottom: 24,
+    },
+    mainInputArea: {
+      width: '100%',
+    },
+    emailRow: {
+      width: '100%',
+    },
+    labelRow: {
+      width: '100%',
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+    },
+    linkText: {
+      fontSize: 14,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.bold,
+    },
+    linkTextInline: {
+      fontSize: 14,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.bold,
+      textDecorationLine: 'none',
+    },
+    ltrInput: {
+      textAlign: 'left',
+      writingDirection: 'ltr',
+    },
+    ltrRow: {
+      direction: 'ltr',
+    },
+    countryButton: {
+      paddingEnd: 12,
+      marginEnd: 12,
+      borderEndWidth: 1,
+      borderColor: design.colors.borderMuted,
+      height: '60%',
+      justifyContent: 'center',
+    },
+    countryButtonText: {
+      flex: 0,
+    },
+    countryRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 14,
+      paddingHorizontal: design.spacing.screenPadding,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+    },
+    strengthBars: {
+      flexDirection: 'row',
+      gap: 4,
+    },
+    strengthBar: {
+      flex: 1,
+      height: 4,
+      borderRadius: 2,
+    },
+    strengthLabel: {
+      marginTop: 6,
+      fontSize: design.font.helper,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.bold,
+    },
+    ruleText: {
+      marginTop: 6,
+      fontSize: design.font.helper,
+      fontFamily: design.fontFamily.regular,
+    },
+    otpBoxes: {
+      flexDirection: 'row',
+      gap: 8,
+    },
+    otpBox: {
+      flex: 1,
+      maxWidth: 52,
+      height: design.spacing.inputHeight,
+      borderWidth: 2,
+      borderRadius: design.radius.input,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    otpDigit: {
+      fontSize: 24,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.bold,
+    },
+    otpHiddenInput: {
+      ...StyleSheet.absoluteFillObject,
+      // Nearly invisible rather than 0: some platforms skip autofill for fully transparent inputs.
+      opacity: 0.01,
+      color: 'transparent',
+    },
+    profileLabel: {
+      marginBottom: design.spacing.inputTopGap,
+    },
+    checkboxRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 12,
+    },
+    checkbox: {
+      width: 24,
+      height: 24,
+      borderWidth: 2,
+      borderRadius: 6,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    suggestionLink: {
+      marginTop: 12,
+      alignSelf: 'flex-start',
+    },
+    forgotLink: {
+      marginTop: 12,
+      alignSelf: 'flex-start',
+    },
+    switchModeLink: {
+      marginTop: 12,
+      alignSelf: 'flex-start',
+    },
+    guestLink: {
+      marginTop: 20,
+      alignSelf: 'center',
+    },
+    otpFooter: {
+      marginTop: 16,
+    },
+    otpHelpText: {
+      fontSize: 14,
+      fontFamily: design.fontFamily.regular,
+    },
+    fieldGap16: {
+      marginTop: 16,
+    },
+    emailContainer: {
+      width: '100%',
+    },
+    headerRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingHorizontal: design.spacing.screenPadding,
+    },
+    hiddenFieldWrap: {
+      height: 0,
+      opacity: 0,
+      overflow: 'hidden',
+    },
+    title: {
+      fontSize: design.font.title,
+      fontWeight: '900',
+      fontFamily: design.fontFamily.extraBold,
+    },
+    subtitle: {
+      fontSize: design.font.subtitle,
+      fontStyle: 'italic',
+      marginTop: 10,
+      fontFamily: design.fontFamily.italic,
+    },
+    label: {
+      fontSize: design.font.label,
+      fontFamily: design.fontFamily.regular,
+    },
+    inputWrap: {
+      height: design.spacing.inputHeight,
+      borderWidth: 2,
+      borderRadius: design.radius.input,
+      paddingHorizontal: design.spacing.inputHPad,
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    input: {
+      flex: 1,
+      fontSize: design.font.input,
+      fontWeight: '500',
+      fontFamily: design.fontFamily.regular,
+    },
+    adornment: {
+      width: 40,
+      alignItems: 'flex-end',
+      justifyContent: 'center',
+    },
+    hint: {
+      marginTop: 14,
+      fontSize: design.font.helper,
+      opacity: 0.4,
+      fontFamily: design.fontFamily.regular,
+    },
+    errorText: {
+      marginTop: 14,
+      fontSize: design.font.helper,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.regular,
+    },
+    primaryButton: {
+      height: design.spacing.buttonHeight,
+      width: '100%',
+      maxWidth: design.spacing.buttonMaxWidth,
+      alignSelf: 'center',
+      alignItems: 'center',
+      justifyContent: 'center',
+      borderRadius: design.radius.button,
+      borderWidth: 1,
+      // Ensure the bottom border is visible as a distinct "shadow" line
+      borderBottomWidth: 3, 
+      shadowOpacity: 1,
+      shadowRadius: 0,
+      shadowOffset: { width: 0, height: 2 },
+      elevation: 0,
+    },
+    secondaryButton: {
+      marginTop: 12,
+      shadowOpacity: 0,
+    },
+    textCenter: {
+      textAlign: 'center',
+    },
+    primaryButtonText: {
+      fontSize: design.font.button,
+      fontWeight: '700',
+      fontFamily: design.fontFamily.bold,
+    },
+    checkWrap: {
+      width: 24,
+      height: 24,
+      borderRadius: 12,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    checkText: {
+      fontWeight: '900',
+    },
+    closeButtonInline: {
+      width: 32,
+      height: 32,
+      borderRadius: 16,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    closeText: {
+      fontSize: 20,
+      fontWeight: '400',
+      marginTop: -2, // Optical centering for the '×' symbol
+    },
+  });
+}
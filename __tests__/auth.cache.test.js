@@ -0,0 +1,189 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createEmailCheckCache, sameCheckCacheSetting } from '../auth.cache';
+import { AUTH_ACTION, createAuthFlow } from '../auth.machine';
+
+const answer = (exists) => ({ exists, hint: undefined, methods: null, emailConfirmed: null });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createEmailCheckCache', () => {
+  it('is on by default and off with checkCache: false', () => {
+    expect(createEmailCheckCache({})).not.toBeNull();
+    expect(createEmailCheckCache({ email: { checkCache: false } })).toBeNull();
+  });
+
+  it('forgets answers after ttlMs', () => {
+    const cache = createEmailCheckCache({ email: { checkCache: { ttlMs: 1000 } } });
+    cache.set('a@example.com', answer(true));
+    vi.advanceTimersByTime(999);
+    expect(cache.get('a@example.com')).toEqual(answer(true));
+    vi.advanceTimersByTime(1);
+    expect(cache.get('a@example.com')).toBeUndefined();
+  });
+
+  it('evicts the least recently used entry past maxEntries', () => {
+    const cache = createEmailCheckCache({ email: { checkCache: { maxEntries: 2 } } });
+    cache.set('a@example.com', answer(true));
+    cache.set('b@example.com', answer(false));
+    // Reading "a" makes "b" the least recently used.
+    cache.get('a@example.com');
+    cache.set('c@example.com', answer(true));
+    expect(cache.get('a@example.com')).toEqual(answer(true));
+    expect(cache.get('b@example.com')).toBeUndefined();
+    expect(cache.get('c@example.com')).toEqual(answer(true));
+  });
+
+  it('compares settings by value', () => {
+    expect(sameCheckCacheSetting({ ttlMs: 5 }, { ttlMs: 5 })).toBe(true);
+    expect(sameCheckCacheSetting({ ttlMs: 5 }, { ttlMs: 6 })).toBe(false);
+    expect(sameCheckCacheSetting(undefined, false)).toBe(false);
+  });
+});
+
+describe('createAuthFlow email checks', () => {
+  const DEBOUNCE_MS = 50;
+  const RESPONSE_MS = 100;
+
+  /** A checkEmailExists that answers after RESPONSE_MS and honours its AbortSignal. */
+  function createProviders() {
+    const calls = [];
+    const aborted = [];
+    const providers = {
+      emailPassword: {
+        onAuthStateChange: () => () => {},
+        checkEmailExists: ({ email, signal }) =>
+          new Promise((resolve, reject) => {
+            calls.push(email);
+            const timer = setTimeout(() => resolve({ exists: email.startsWith('known'), methods: ['password'] }), RESPONSE_MS);
+            signal?.addEventListener('abort', () => {
+              clearTimeout(timer);
+              aborted.push(email);
+              reject(new Error('aborted'));
+            });
+          }),
+      },
+      emailOtp: {},
+    };
+    return { providers, calls, aborted };
+  }
+
+  function createFlow(providers, email = {}) {
+    const flow = createAuthFlow({
+      providers,
+      startAt: 'email',
+      options: { email: { password: true, otp: false, ...email } },
+      emailCheckDebounceMs: DEBOUNCE_MS,
+    });
+    flow.start();
+    return flow;
+  }
+
+  const typeEmail = (flow, value) => flow.dispatch({ type: AUTH_ACTION.SET_FIELD, field: 'email', value });
+
+  it('answers a recently checked email from the cache, without the debounce', async () => {
+    const { providers, calls } = createProviders();
+    const flow = createFlow(providers);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    typeEmail(flow, 'other@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    expect(calls).toEqual(['known@example.com', 'other@example.com']);
+
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(flow.getState().emailCheckStatus).toBe('ready');
+    expect(flow.getState().emailExists).toBe(true);
+    expect(calls).toHaveLength(2);
+    flow.dispose();
+  });
+
+  it('checks every time with checkCache: false', async () => {
+    const { providers, calls } = createProviders();
+    const flow = createFlow(providers, { checkCache: false });
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    typeEmail(flow, 'other@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    expect(calls).toHaveLength(3);
+    flow.dispose();
+  });
+
+  it('shares the running request when the same email comes back', async () => {
+    const { providers, calls, aborted } = createProviders();
+    const flow = createFlow(providers);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + 10);
+    // Typo and undo while the check runs.
+    typeEmail(flow, 'known@example.comm');
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    expect(calls).toEqual(['known@example.com']);
+    expect(aborted).toEqual([]);
+    expect(flow.getState().emailExists).toBe(true);
+    flow.dispose();
+  });
+
+  it('aborts the running request when another email is checked', async () => {
+    const { providers, calls, aborted } = createProviders();
+    const flow = createFlow(providers);
+    typeEmail(flow, 'first@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + 10);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + RESPONSE_MS);
+    expect(calls).toEqual(['first@example.com', 'known@example.com']);
+    expect(aborted).toEqual(['first@example.com']);
+    expect(flow.getState().emailCheckStatus).toBe('ready');
+    expect(flow.getState().emailExists).toBe(true);
+    flow.dispose();
+  });
+
+  it('aborts when the email becomes invalid', async () => {
+    const { providers, aborted } = createProviders();
+    const flow = createFlow(providers);
+    typeEmail(flow, 'first@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + 10);
+    typeEmail(flow, 'first@');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(aborted).toEqual(['first@example.com']);
+    flow.dispose();
+  });
+
+  it('re-runs a check cut short by a dispose / start cycle (StrictMode)', async () => {
+    const { providers, calls, aborted } = createProviders();
+    const flow = createFlow(providers);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + 10);
+    expect(flow.getState().emailCheckStatus).toBe('checking');
+
+    flow.dispose();
+    flow.start();
+    await vi.advanceTimersByTimeAsync(RESPONSE_MS);
+    expect(aborted).toEqual(['known@example.com']);
+    expect(calls).toEqual(['known@example.com', 'known@example.com']);
+    expect(flow.getState().emailCheckStatus).toBe('ready');
+    flow.dispose();
+  });
+
+  it('asks the new provider when providers are swapped mid-check', async () => {
+    const first = createProviders();
+    const second = createProviders();
+    const flow = createFlow(first.providers);
+    typeEmail(flow, 'known@example.com');
+    await vi.advanceTimersByTimeAsync(DEBOUNCE_MS + 10);
+
+    flow.update({ providers: second.providers, options: { email: { password: true, otp: false } }, startAt: 'email' });
+    await vi.advanceTimersByTimeAsync(RESPONSE_MS);
+    expect(first.aborted).toEqual(['known@example.com']);
+    expect(second.calls).toEqual(['known@example.com']);
+    expect(flow.getState().emailCheckStatus).toBe('ready');
+    flow.dispose();
+  });
+});
@@ -0,0 +1,270 @@
+import { describe, expect, it } from 'vitest';
+import {
+  AUTH_ACTION,
+  AUTH_EFFECT,
+  AUTH_STEP,
+  authTransition,
+  createInitialAuthState,
+  resolveAuthConfig,
+  selectAuthView,
+} from '../auth.machine';
+
+const EMAIL = 'jane@example.com';
+
+function setup(options, params = {}) {
+  const config = resolveAuthConfig({ options, ...params });
+  return { config, state: createInitialAuthState(config) };
+}
+
+/** Feed actions one after another; returns the last state and the effects of the last action. */
+function run(config, state, ...actions) {
+  let current = { state, effects: [] };
+  actions.forEach((action) => {
+    current = authTransition(current.state, action, config);
+  });
+  return current;
+}
+
+const effectOf = (effects, type) => effects.find((effect) => effect.type === type);
+const done = (effect, result = {}) => ({ type: AUTH_ACTION.EFFECT_DONE, effect, result });
+
+describe('OTP mode', () => {
+  it('goes START -> EMAIL -> OTP', () => {
+    const { config, state } = setup({ email: { otp: true } });
+    expect(state.step).toBe(AUTH_STEP.START);
+
+    let next = run(config, state, { type: AUTH_ACTION.START });
+    expect(next.state.step).toBe(AUTH_STEP.EMAIL);
+
+    next = run(config, next.state, { type: AUTH_ACTION.SET_FIELD, field: 'email', value: ` ${EMAIL.toUpperCase()} ` });
+    expect(effectOf(next.effects, AUTH_EFFECT.CHECK_EMAIL)).toEqual({ type: AUTH_EFFECT.CHECK_EMAIL, email: EMAIL });
+
+    next = run(config, next.state, { type: AUTH_ACTION.NEXT });
+    const request = effectOf(next.effects, AUTH_EFFECT.REQUEST_OTP);
+    expect(request).toMatchObject({ email: EMAIL });
+    expect(next.state.busy).toBe(true);
+
+    next = run(config, next.state, done(request));
+    expect(next.state.step).toBe(AUTH_STEP.OTP);
+    expect(next.state.busy).toBe(false);
+    expect(next.state.otpResendSeconds).toBe(config.otp.resendCooldownSeconds);
+  });
+
+  it('ignores NEXT while a call is in flight', () => {
+    const { config, state } = setup({ email: { otp: true } }, { startAt: 'email' });
+    const busy = run(config, state, { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL }, { type: AUTH_ACTION.NEXT });
+    const again = run(config, busy.state, { type: AUTH_ACTION.NEXT });
+    expect(again.state).toBe(busy.state);
+    expect(again.effects).toEqual([]);
+  });
+
+  it('keeps RESEND off until the cooldown has ticked down', () => {
+    const { config, state } = setup({ email: { otp: true, resendCooldownSeconds: 3 } }, { startAt: 'email' });
+    const requested = run(config, state, { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL }, { type: AUTH_ACTION.NEXT });
+    let onOtp = run(config, requested.state, done(effectOf(requested.effects, AUTH_EFFECT.REQUEST_OTP)));
+    const cooldown = onOtp.state.otpResendSeconds;
+    expect(cooldown).toBeGreaterThan(0);
+
+    const early = run(config, onOtp.state, { type: AUTH_ACTION.RESEND });
+    expect(early.effects).toEqual([]);
+
+    onOtp = run(config, onOtp.state, ...Array.from({ length: cooldown }, () => ({ type: AUTH_ACTION.TICK })));
+    expect(onOtp.state.otpResendSeconds).toBe(0);
+    const resent = run(config, onOtp.state, { type: AUTH_ACTION.RESEND });
+    expect(effectOf(resent.effects, AUTH_EFFECT.REQUEST_OTP)).toMatchObject({ email: EMAIL, resend: true });
+  });
+
+  it('goes BACK from OTP to EMAIL and clears the code and cooldown', () => {
+    const { config, state } = setup({ email: { otp: true } }, { startAt: 'email' });
+    const requested = run(config, state, { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL }, { type: AUTH_ACTION.NEXT });
+    const onOtp = run(
+      config,
+      requested.state,
+      done(effectOf(requested.effects, AUTH_EFFECT.REQUEST_OTP)),
+      { type: AUTH_ACTION.SET_FIELD, field: 'otpCode', value: '12' }
+    );
+    const back = run(config, onOtp.state, { type: AUTH_ACTION.BACK });
+    expect(back.state.step).toBe(AUTH_STEP.EMAIL);
+    expect(back.state.otpCode).toBe('');
+    expect(back.state.otpResendSeconds).toBe(0);
+    expect(back.state.email).toBe(EMAIL);
+  });
+
+  function verified(config, user) {
+    const { state } = { state: createInitialAuthState(config) };
+    const requested = run(config, state, { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL }, { type: AUTH_ACTION.NEXT });
+    const code = '1'.repeat(config.otp.length);
+    const verifying = run(
+      config,
+      requested.state,
+      done(effectOf(requested.effects, AUTH_EFFECT.REQUEST_OTP)),
+      { type: AUTH_ACTION.SET_FIELD, field: 'otpCode', value: code },
+      { type: AUTH_ACTION.NEXT }
+    );
+    const verify = effectOf(verifying.effects, AUTH_EFFECT.VERIFY_OTP);
+    expect(verify).toMatchObject({ email: EMAIL, code });
+    return run(config, verifying.state, done(verify, { user, session: { user } }));
+  }
+
+  it('asks a new user for their name after the code, then succeeds', () => {
+    const { config } = setup({ email: { otp: true } }, { startAt: 'email' });
+    const user = { id: 'u1', email: EMAIL, user_metadata: {} };
+    const onName = verified(config, user);
+    expect(onName.state.step).toBe(AUTH_STEP.NAME);
+    expect(onName.state.pendingSuccess).toMatchObject({ method: 'otp' });
+    expect(effectOf(onName.effects, AUTH_EFFECT.SUCCESS)).toBeUndefined();
+
+    // The session is active: BACK can't leave the NAME step.
+    expect(run(config, onName.state, { type: AUTH_ACTION.BACK }).state.step).toBe(AUTH_STEP.NAME);
+
+    const saving = run(config, onName.state, { type: AUTH_ACTION.SET_FIELD, field: 'name', value: 'Jane' }, { type: AUTH_ACTION.NEXT });
+    const update = effectOf(saving.effects, AUTH_EFFECT.UPDATE_PROFILE);
+    expect(update).toMatchObject({ name: 'Jane' });
+
+    const finished = run(config, saving.state, done(update, { user: { ...user, user_metadata: { name: 'Jane' } } }));
+    expect(finished.state.pendingSuccess).toBeNull();
+    expect(effectOf(finished.effects, AUTH_EFFECT.SUCCESS)).toMatchObject({ method: 'otp' });
+  });
+
+  it('skips the NAME step for a returning user who has a name', () => {
+    const { config } = setup({ email: { otp: true } }, { startAt: 'email' });
+    const user = { id: 'u2', email: EMAIL, user_metadata: { name: 'Jane' } };
+    const signedIn = verified(config, user);
+    expect(signedIn.state.step).toBe(AUTH_STEP.OTP);
+    expect(effectOf(signedIn.effects, AUTH_EFFECT.SUCCESS)).toMatchObject({ method: 'otp', isNewUser: false });
+  });
+});
+
+describe('password mode', () => {
+  const options = { email: { password: true, otp: false } };
+
+  function withAnswer(exists) {
+    const { config, state } = setup(options, { startAt: 'email' });
+    const next = run(
+      config,
+      state,
+      { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL },
+      { type: AUTH_ACTION.EMAIL_CHECK_SUCCEEDED, email: EMAIL, exists, methods: exists ? ['password', 'otp'] : [] }
+    );
+    return { config, state: next.state };
+  }
+
+  it('sends a registered email to PASSWORD and signs in', () => {
+    const { config, state } = withAnswer(true);
+    const onPassword = run(config, state, { type: AUTH_ACTION.NEXT });
+    expect(onPassword.state.step).toBe(AUTH_STEP.PASSWORD);
+
+    const signingIn = run(
+      config,
+      onPassword.state,
+      { type: AUTH_ACTION.SET_FIELD, field: 'password', value: 'correct horse battery' },
+      { type: AUTH_ACTION.NEXT }
+    );
+    expect(effectOf(signingIn.effects, AUTH_EFFECT.SIGN_IN)).toMatchObject({ email: EMAIL });
+
+    const back = run(config, onPassword.state, { type: AUTH_ACTION.BACK });
+    expect(back.state.step).toBe(AUTH_STEP.EMAIL);
+  });
+
+  it('sends a new email through NAME to PASSWORD and signs up', () => {
+    const { config, state } = withAnswer(false);
+    const onName = run(config, state, { type: AUTH_ACTION.NEXT });
+    expect(onName.state.step).toBe(AUTH_STEP.NAME);
+
+    const onPassword = run(config, onName.state, { type: AUTH_ACTION.SET_FIELD, field: 'name', value: 'Jane' }, { type: AUTH_ACTION.NEXT });
+    expect(onPassword.state.step).toBe(AUTH_STEP.PASSWORD);
+
+    const signingUp = run(
+      config,
+      onPassword.state,
+      { type: AUTH_ACTION.SET_FIELD, field: 'password', value: 'Correct-Horse-42' },
+      { type: AUTH_ACTION.NEXT }
+    );
+    expect(effectOf(signingUp.effects, AUTH_EFFECT.SIGN_UP)).toMatchObject({ email: EMAIL, name: 'Jane' });
+  });
+
+  describe('with a privacy-mode hint instead of exists', () => {
+    function withHint() {
+      const { config, state } = setup(options, { startAt: 'email' });
+      const next = run(
+        config,
+        state,
+        { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL },
+        { type: AUTH_ACTION.EMAIL_CHECK_SUCCEEDED, email: EMAIL, exists: null, hint: 'v1.opaque' }
+      );
+      return { config, state: next.state };
+    }
+
+    it('asks for sign-in or sign-up instead of guessing', () => {
+      const { config, state } = withHint();
+      const view = selectAuthView(state, config);
+      expect(view.needsAccountChoice).toBe(true);
+      expect(view.canContinue).toBe(false);
+      expect(run(config, state, { type: AUTH_ACTION.NEXT }).state.step).toBe(AUTH_STEP.EMAIL);
+    });
+
+    it('signs up through NAME when the user creates an account', () => {
+      const { config, state } = withHint();
+      const onName = run(config, state, { type: AUTH_ACTION.CHOOSE_ACCOUNT, newAccount: true });
+      expect(onName.state.step).toBe(AUTH_STEP.NAME);
+
+      const signingUp = run(
+        config,
+        onName.state,
+        { type: AUTH_ACTION.SET_FIELD, field: 'name', value: 'Jane' },
+        { type: AUTH_ACTION.NEXT },
+        { type: AUTH_ACTION.SET_FIELD, field: 'password', value: 'Correct-Horse-42' },
+        { type: AUTH_ACTION.NEXT }
+      );
+      expect(effectOf(signingUp.effects, AUTH_EFFECT.SIGN_UP)).toMatchObject({ email: EMAIL, emailHint: 'v1.opaque' });
+    });
+
+    it('signs in when the user has an account', () => {
+      const { config, state } = withHint();
+      const onPassword = run(config, state, { type: AUTH_ACTION.CHOOSE_ACCOUNT, newAccount: false });
+      expect(onPassword.state.step).toBe(AUTH_STEP.PASSWORD);
+
+      const signingIn = run(
+        config,
+        onPassword.state,
+        { type: AUTH_ACTION.SET_FIELD, field: 'password', value: 'x' },
+        { type: AUTH_ACTION.NEXT }
+      );
+      expect(effectOf(signingIn.effects, AUTH_EFFECT.SIGN_IN)).toMatchObject({ email: EMAIL, emailHint: 'v1.opaque' });
+    });
+
+    it('asks again after going back to the email', () => {
+      const { config, state } = withHint();
+      const back = run(config, state, { type: AUTH_ACTION.CHOOSE_ACCOUNT, newAccount: true }, { type: AUTH_ACTION.BACK });
+      expect(back.state.step).toBe(AUTH_STEP.EMAIL);
+      expect(back.state.accountChoice).toBeNull();
+      expect(effectOf(back.effects, AUTH_EFFECT.CHECK_EMAIL)).toMatchObject({ email: EMAIL });
+    });
+  });
+
+  it('ignores an answer for an email that was edited since', () => {
+    const { config, state } = setup(options, { startAt: 'email' });
+    const next = run(
+      config,
+      state,
+      { type: AUTH_ACTION.SET_FIELD, field: 'email', value: EMAIL },
+      { type: AUTH_ACTION.SET_FIELD, field: 'email', value: 'john@example.com' },
+      { type: AUTH_ACTION.EMAIL_CHECK_SUCCEEDED, email: EMAIL, exists: true }
+    );
+    expect(next.state.emailExists).toBeNull();
+  });
+});
+
+describe('deep links', () => {
+  it('completes a link once, ignoring it while a call is in flight', () => {
+    const { config, state } = setup({ email: { magicLink: true } }, { startAt: 'email' });
+    const url = 'myapp://auth/callback#access_token=t';
+    const completing = run(config, state, { type: AUTH_ACTION.DEEP_LINK, url });
+    expect(effectOf(completing.effects, AUTH_EFFECT.COMPLETE_FROM_URL)).toEqual({ type: AUTH_EFFECT.COMPLETE_FROM_URL, url });
+    expect(completing.state.busy).toBe(true);
+
+    const again = run(config, completing.state, { type: AUTH_ACTION.DEEP_LINK, url });
+    expect(again.state).toBe(completing.state);
+    expect(again.effects).toEqual([]);
+  });
+});
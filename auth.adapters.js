@@ -0,0 +1,369 @@
+/**
+ * Auth Adapters (backend-agnostic)
+ *
+ * An adapter is a plain object the AuthScreen talks to instead of a Supabase client:
+ *
+ *   <AuthScreen adapter={createRestAdapter({ baseUrl: 'https://auth.example.com' })} />
+ *
+ * IMPORTANT:
+ * - Adapter methods THROW on error (same rule as providers; logic shows the message).
+ *   Set `err.code` to an AUTH_ERROR value to get a localized message instead.
+ * - Only the required methods are needed; optional ones unlock extra flows.
+ *
+ * Required:
+ * - checkEmailExists({ email, captchaToken?, signal? }) -> Promise<boolean | { exists, methods?, emailConfirmed? } | { hint }>
+ *     `methods`: what the account can sign in with ('password', 'otp', 'google', ...); password
+ *     mode uses it to skip the password step for accounts without one.
+ *     `{ hint }`: an opaque answer (privacy mode); it is passed back as `emailHint`
+ *     to requestOtp / requestMagicLink / signIn / signUp
+ *     `signal`: an AbortSignal, aborted when the typed email changes; pass it to fetch
+ * - requestOtp({ email })                  -> Promise<any>
+ * - verifyOtp({ email, code })             -> Promise<{ user?, session? }>
+ * - signIn({ email, password })            -> Promise<{ user?, session? }>
+ * - signUp({ name, email, password, data, redirectTo }) -> Promise<{ user?, session? }>
+ *     return no `session` when the email must be confirmed first (CONFIRM_EMAIL step)
+ * - updateProfile({ name, data })          -> Promise<any>
+ *     `data`: options.profileFields values (may be {}), stored next to name
+ * - signOut()                              -> Promise<void>
+ * - onAuthStateChange(handler)             -> () => void (unsubscribe)
+ *     handler receives { event, session }
+ *
+ * Optional:
+ * - getCurrentUser()                       -> Promise<user | null>
+ * - resendConfirmation({ email, redirectTo })
+ * - requestPasswordReset({ email, redirectTo })
+ * - verifyRecoveryCode({ email, code })
+ * - updatePassword({ password })
+ * - requestMagicLink({ email, redirectTo })
+ * - completeFromUrl({ url })               -> Promise<{ session? } | null>
+ * - signInWithOAuth({ provider, redirectTo, openAuthSession })
+ * - signInWithIdToken({ provider, token, nonce, accessToken })
+ * - requestPhoneOtp({ phone })              phone is E.164, e.g. "+14155550123"
+ * - verifyPhoneOtp({ phone, code })         -> Promise<{ user?, session? }>
+ * - signInAnonymously({ data })             -> Promise<{ user?, session? }> ("Continue as guest")
+ * - linkEmail({ email, data, redirectTo })  attach an email to the signed-in guest, send a code
+ * - verifyEmailLink({ email, code })        -> Promise<{ user?, session? }> same user id as the guest
+ */
+
+import { createAuthError, createAuthProviders } from './auth.providers';
+import { AUTH_ERROR } from './auth.types';
+
+const KNOWN_ERROR_CODES = new Set(Object.values(AUTH_ERROR));
+
+function codeForStatus(status) {
+  if (status === 401) return AUTH_ERROR.INVALID_CREDENTIALS;
+  if (status === 409) return AUTH_ERROR.USER_EXISTS;
+  if (status === 429) return AUTH_ERROR.RATE_LIMITED;
+  return AUTH_ERROR.UNKNOWN;
+}
+
+/**
+ * @typedef {Object} AuthAdapter
+ * @property {(params: { email: string, captchaToken?: string, signal?: AbortSignal }) => Promise<boolean | { exists: boolean, methods?: string[], emailConfirmed?: boolean } | { hint: string }>} checkEmailExists
+ * @property {(params: { email: string, emailHint?: string }) => Promise<any>} requestOtp
+ * @property {(params: { email: string, code: string }) => Promise<any>} verifyOtp
+ * @property {(params: { email: string, password: string, emailHint?: string }) => Promise<any>} signIn
+ * @property {(params: { name: string, email: string, password: string, data?: Record<string, any>, redirectTo?: string, emailHint?: string }) => Promise<any>} signUp
+ * @property {(params: { name: string, data?: Record<string, any> }) => Promise<any>} updateProfile
+ * @property {() => Promise<void>} signOut
+ * @property {(handler: (payload: { event: string, session: any }) => void) => () => void} onAuthStateChange
+ * @property {() => Promise<any>} [getCurrentUser]
+ * @property {(params: { email: string, redirectTo?: string }) => Promise<any>} [resendConfirmation]
+ * @property {(params: { email: string, redirectTo?: string }) => Promise<any>} [requestPasswordReset]
+ * @property {(params: { email: string, code: string }) => Promise<any>} [verifyRecoveryCode]
+ * @property {(params: { password: string }) => Promise<any>} [updatePassword]
+ * @property {(params: { email: string, redirectTo?: string, emailHint?: string }) => Promise<any>} [requestMagicLink]
+ * @property {(params: { url: string }) => Promise<any>} [completeFromUrl]
+ * @property {(params: { provider: string, redirectTo?: string, openAuthSession?: Function }) => Promise<any>} [signInWithOAuth]
+ * @property {(params: { provider: string, token: string, nonce?: string, accessToken?: string }) => Promise<any>} [signInWithIdToken]
+ * @property {(params: { phone: string }) => Promise<any>} [requestPhoneOtp]
+ * @property {(params: { phone: string, code: string }) => Promise<any>} [verifyPhoneOtp]
+ * @property {(params: { data?: Record<string, any> }) => Promise<any>} [signInAnonymously]
+ * @property {(params: { email: string, data?: Record<string, any>, redirectTo?: string }) => Promise<any>} [linkEmail]
+ * @property {(params: { email: string, code: string }) => Promise<any>} [verifyEmailLink]
+ */
+
+/**
+ * Supabase adapter: the built-in providers, flattened onto the adapter contract.
+ * `<AuthScreen supabase={client} />` is equivalent to `adapter={createSupabaseAdapter({ supabase: client })}`.
+ *
+ * @param {{ supabase: any }} params
+ * @returns {AuthAdapter}
+ */
+export function createSupabaseAdapter({ supabase }) {
+  const { emailPassword, emailOtp, phoneOtp, anonymous, oauthGoogle, oauthApple } = createAuthProviders({ supabase });
+  const oauthFor = (provider) => (provider === 'apple' ? oauthApple : oauthGoogle);
+
+  return {
+    checkEmailExists: emailPassword.checkEmailExists,
+    requestOtp: emailOtp.requestOtp,
+    verifyOtp: emailOtp.verifyOtp,
+    signIn: emailPassword.signIn,
+    signUp: emailPassword.signUp,
+    updateProfile: emailOtp.updateProfile,
+    signOut: emailPassword.signOut,
+    onAuthStateChange: emailPassword.onAuthStateChange,
+    getCurrentUser: emailPassword.getCurrentUser,
+    resendConfirmation: emailPassword.resendConfirmation,
+    requestPasswordReset: emailPassword.requestPasswordReset,
+    verifyRecoveryCode: emailPassword.verifyRecoveryCode,
+    updatePassword: emailPassword.updatePassword,
+    requestMagicLink: emailOtp.requestMagicLink,
+    completeFromUrl: emailOtp.completeFromUrl,
+    signInWithOAuth: ({ provider, ...params }) => oauthFor(provider).signInWithRedirect(params),
+    signInWithIdToken: ({ provider, ...params }) => oauthFor(provider).signInWithIdToken(params),
+    requestPhoneOtp: phoneOtp.requestOtp,
+    verifyPhoneOtp: phoneOtp.verifyOtp,
+    signInAnonymously: anonymous.signIn,
+    linkEmail: anonymous.linkEmail,
+    verifyEmailLink: anonymous.verifyEmailLink,
+  };
+}
+
+const DEFAULT_REST_PATHS = {
+  checkEmailExists: '/email/exists',
+  requestOtp: '/otp/request',
+  verifyOtp: '/otp/verify',
+  signIn: '/sign-in',
+  signUp: '/sign-up',
+  updateProfile: '/profile',
+  signOut: '/sign-out',
+  getCurrentUser: '/me',
+  resendConfirmation: '/sign-up/resend',
+  requestPasswordReset: '/password/reset',
+  verifyRecoveryCode: '/password/verify',
+  updatePassword: '/password/update',
+  requestPhoneOtp: '/phone/otp/request',
+  verifyPhoneOtp: '/phone/otp/verify',
+  signInAnonymously: '/anonymous',
+  linkEmail: '/anonymous/link-email',
+  verifyEmailLink: '/anonymous/link-email/verify',
+};
+
+/**
+ * Generic REST adapter for your own auth service.
+ *
+ * Conventions (override paths with `paths`):
+ * - Every call is a JSON POST (getCurrentUser is a GET) relative to `baseUrl`.
+ * - Errors: non-2xx responses; `{ error }` or `{ message }` in the body becomes the thrown message.
+ *   `{ code }` (an AUTH_ERROR value) picks the localized message; otherwise it is derived from the status.
+ * - Sign-in style calls (verifyOtp, verifyPhoneOtp, signIn, signUp, verifyRecoveryCode, signInAnonymously,
+ *   verifyEmailLink) return `{ user, session }`;
+ *   `session.access_token` is sent as `Authorization: Bearer ...` on later calls.
+ * - checkEmailExists returns `{ exists, methods?, emailConfirmed? }` or `{ hint }`; `emailHint` is sent
+ *   along with requestOtp / signIn / signUp when there is one.
+ *
+ * Session is kept in memory; pass `storage` (AsyncStorage-compatible) to persist it.
+ *
+ * @param {{
+ *   baseUrl: string,
+ *   fetch?: typeof fetch,
+ *   headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>),
+ *   paths?: Partial<typeof DEFAULT_REST_PATHS>,
+ *   storage?: { getItem: (key: string) => Promise<string | null>, setItem: (key: string, value: string) => Promise<void>, removeItem: (key: string) => Promise<void> },
+ *   storageKey?: string,
+ * }} params
+ * @returns {AuthAdapter}
+ */
+export function createRestAdapter({
+  baseUrl,
+  fetch: fetchImpl,
+  headers,
+  paths,
+  storage,
+  storageKey = 'expo-login-auth-module.session',
+}) {
+  if (!baseUrl) {
+    throw new Error('REST adapter requires baseUrl.');
+  }
+  const doFetch = fetchImpl ?? globalThis.fetch;
+  if (typeof doFetch !== 'function') {
+    throw new Error('REST adapter requires fetch (pass fetch={fetch}).');
+  }
+
+  const root = String(baseUrl).replace(/\/+$/, '');
+  const routes = { ...DEFAULT_REST_PATHS, ...(paths ?? {}) };
+  const listeners = new Set();
+
+  let session = null;
+  // Restore once up front; every call awaits it so the token is ready.
+  const restored = (async () => {
+    if (!storage) return;
+    try {
+      const raw = await storage.getItem(storageKey);
+      session = raw ? JSON.parse(raw) : null;
+    } catch {
+      session = null;
+    }
+  })();
+
+  async function setSession(nextSession, event) {
+    session = nextSession ?? null;
+    if (storage) {
+      try {
+        if (session) await storage.setItem(storageKey, JSON.stringify(session));
+        else await storage.removeItem(storageKey);
+      } catch {
+        // Persistence is best-effort; the in-memory session is still valid.
+      }
+    }
+    listeners.forEach((handler) => handler({ event, session }));
+  }
+
+  async function request(route, { method = 'POST', body, signal } = {}) {
+    await restored;
+    const extraHeaders = typeof headers === 'function' ? await headers() : headers;
+    let res;
+    try {
+      res = await doFetch(`${root}${routes[route]}`, {
+        method,
+        headers: {
+          accept: 'application/json',
+          ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+          ...(session?.access_token ? { authorization: `Bearer ${session.access_token}` } : {}),
+          ...(extraHeaders ?? {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal,
+      });
+    } catch (e) {
+      throw createAuthError(AUTH_ERROR.NETWORK, e?.message ?? 'Network request failed');
+    }
+
+    const text = await res.text();
+    const data = (() => {
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch {
+        return null;
+      }
+    })();
+
+    if (!res.ok) {
+      const message =
+        (typeof data?.error === 'string' && data.error) ||
+        (typeof data?.message === 'string' && data.message) ||
+        `Request failed (${res.status})`;
+      const code = KNOWN_ERROR_CODES.has(data?.code) ? data.code : codeForStatus(res.status);
+      throw createAuthError(code, message);
+    }
+
+    return data;
+  }
+
+  // Calls that end in a signed-in user store the returned session.
+  async function signInRequest(route, body) {
+    const data = await request(route, { body });
+    if (data?.session) {
+      await setSession(data.session, 'SIGNED_IN');
+    }
+    return data;
+  }
+
+  return {
+    async checkEmailExists({ email, captchaToken, signal }) {
+      const data = await request('checkEmailExists', { body: { email, captchaToken }, signal });
+      if (typeof data?.hint === 'string') return { hint: data.hint };
+      if (typeof data?.exists !== 'boolean') {
+        throw createAuthError(AUTH_ERROR.EMAIL_CHECK_INVALID_RESPONSE, 'Email check failed (invalid response).');
+      }
+      return {
+        exists: data.exists,
+        methods: Array.isArray(data.methods) ? data.methods.map(String) : null,
+        emailConfirmed: typeof data.emailConfirmed === 'boolean' ? data.emailConfirmed : null,
+      };
+    },
+
+    async requestOtp({ email, emailHint }) {
+      return request('requestOtp', { body: { email, emailHint } });
+    },
+
+    async verifyOtp({ email, code }) {
+      return signInRequest('verifyOtp', { email, code });
+    },
+
+    async signIn({ email, password, emailHint }) {
+      return signInRequest('signIn', { email, password, emailHint });
+    },
+
+    async signUp({ name, email, password, data, redirectTo, emailHint }) {
+      return signInRequest('signUp', { name, email, password, data, redirectTo, emailHint });
+    },
+
+    async resendConfirmation({ email, redirectTo }) {
+      return request('resendConfirmation', { body: { email, redirectTo } });
+    },
+
+    async updateProfile({ name, data: profile }) {
+      const data = await request('updateProfile', { body: { name, data: profile } });
+      if (session && data?.user) {
+        await setSession({ ...session, user: data.user }, 'USER_UPDATED');
+      }
+      return data;
+    },
+
+    async signOut() {
+      try {
+        await request('signOut', { body: {} });
+      } finally {
+        // Always drop the local session, even if the server call failed.
+        await setSession(null, 'SIGNED_OUT');
+      }
+    },
+
+    async getCurrentUser() {
+      await restored;
+      if (!session) return null;
+      const data = await request('getCurrentUser', { method: 'GET' });
+      return data?.user ?? null;
+    },
+
+    async requestPasswordReset({ email, redirectTo }) {
+      return request('requestPasswordReset', { body: { email, redirectTo } });
+    },
+
+    async verifyRecoveryCode({ email, code }) {
+      return signInRequest('verifyRecoveryCode', { email, code });
+    },
+
+    async updatePassword({ password }) {
+      return request('updatePassword', { body: { password } });
+    },
+
+    async requestPhoneOtp({ phone }) {
+      return request('requestPhoneOtp', { body: { phone } });
+    },
+
+    async verifyPhoneOtp({ phone, code }) {
+      return signInRequest('verifyPhoneOtp', { phone, code });
+    },
+
+    async signInAnonymously({ data } = {}) {
+      return signInRequest('signInAnonymously', { data });
+    },
+
+    async linkEmail({ email, data, redirectTo }) {
+      // Sent with the guest's bearer token; the server links the email to that user.
+      await restored;
+      if (!session) {
+        throw createAuthError(AUTH_ERROR.GUEST_SESSION_REQUIRED, 'Upgrade needs a signed-in guest session.');
+      }
+      return request('linkEmail', { body: { email, data, redirectTo } });
+    },
+
+    async verifyEmailLink({ email, code }) {
+      return signInRequest('verifyEmailLink', { email, code });
+    },
+
+    onAuthStateChange(handler) {
+      listeners.add(handler);
+      // Like supabase-js: new subscribers get the current session first.
+      restored.then(() => {
+        if (listeners.has(handler)) handler({ event: 'INITIAL_SESSION', session });
+      });
+      return () => {
+        listeners.delete(handler);
+      };
+    },
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Auth Analytics (funnel events)
+ *
+ *   const analytics = createConsoleAnalytics(); // module level (or useMemo), not in render
+ *   <AuthScreen options={{ analytics }} />
+ *
+ * A sink is a function `(event) => void` or an object with `track(event)`;
+ * pass an array to fan out to several sinks, or `{ sinks, hashEmail }`. Every event looks like:
+ *
+ *   { name, timestamp, flowId, step, properties }
+ *
+ * Events: step_viewed, email_check_started, email_check_succeeded, email_check_failed,
+ * otp_requested, otp_resent, otp_verify_failed, magic_link_requested,
+ * password_reset_requested, email_confirmation_required, oauth_started, error_shown,
+ * signin_completed, signup_completed.
+ *
+ * IMPORTANT:
+ * - No PII by default: emails are never sent. Set `hashEmail` (e.g. a SHA-256 via
+ *   expo-crypto) to add `properties.emailHash`.
+ * - Sinks must not throw into the auth flow; errors are swallowed (and logged in dev).
+ */
+
+export const AUTH_EVENT = {
+  STEP_VIEWED: 'step_viewed',
+  EMAIL_CHECK_STARTED: 'email_check_started',
+  EMAIL_CHECK_SUCCEEDED: 'email_check_succeeded',
+  EMAIL_CHECK_FAILED: 'email_check_failed',
+  OTP_REQUESTED: 'otp_requested',
+  OTP_RESENT: 'otp_resent',
+  OTP_VERIFY_FAILED: 'otp_verify_failed',
+  MAGIC_LINK_REQUESTED: 'magic_link_requested',
+  PASSWORD_RESET_REQUESTED: 'password_reset_requested',
+  EMAIL_CONFIRMATION_REQUIRED: 'email_confirmation_required',
+  EMAIL_MODE_SWITCHED: 'email_mode_switched',
+  OAUTH_STARTED: 'oauth_started',
+  ERROR_SHOWN: 'error_shown',
+  SIGNIN_COMPLETED: 'signin_completed',
+  SIGNUP_COMPLETED: 'signup_completed',
+  GUEST_UPGRADED: 'guest_upgraded',
+};
+
+function warnSinkError(err) {
+  if (typeof __DEV__ !== 'undefined' && __DEV__) {
+    // eslint-disable-next-line no-console
+    console.warn('[auth-module] Analytics sink failed', err instanceof Error ? err.message : err);
+  }
+}
+
+function toSinks(analytics) {
+  const list = Array.isArray(analytics) ? analytics : [analytics];
+  return list
+    .map((sink) => {
+      if (typeof sink === 'function') return sink;
+      if (sink && typeof sink.track === 'function') return (event) => sink.track(event);
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function createFlowId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Normalize `options.analytics` into a single `track(name, step, properties, email?)`.
+ * Returns null when analytics is off. Pass the previous tracker's `flowId` when swapping
+ * sinks mid-flow so the funnel isn't split.
+ *
+ * @param {any} analytics sink | sink[] | { sinks: sink | sink[], hashEmail?: (email: string) => string | Promise<string> }
+ * @param {{ flowId?: string }} [params]
+ */
+export function createAnalyticsTracker(analytics, { flowId: previousFlowId } = {}) {
+  const isConfig = Boolean(analytics) && typeof analytics === 'object' && 'sinks' in analytics;
+  const sinks = toSinks(isConfig ? analytics.sinks : analytics);
+  if (!sinks.length) return null;
+
+  const hashEmail = isConfig && typeof analytics.hashEmail === 'function' ? analytics.hashEmail : null;
+  const flowId = previousFlowId ?? createFlowId();
+  const hashes = new Map();
+
+  const emit = (event) => {
+    sinks.forEach((sink) => {
+      try {
+        const result = sink(event);
+        if (result && typeof result.catch === 'function') result.catch(warnSinkError);
+      } catch (err) {
+        warnSinkError(err);
+      }
+    });
+  };
+
+  function hashFor(email) {
+    if (!hashes.has(email)) {
+      hashes.set(
+        email,
+        Promise.resolve()
+          .then(() => hashEmail(email))
+          .catch(() => undefined)
+      );
+    }
+    return hashes.get(email);
+  }
+
+  return {
+    flowId,
+    track(name, step, properties, email) {
+      const event = { name, timestamp: Date.now(), flowId, step, properties: { ...(properties ?? {}) } };
+      if (!hashEmail || !email) {
+        emit(event);
+        return;
+      }
+      hashFor(email).then((emailHash) => {
+        if (emailHash) event.properties.emailHash = emailHash;
+        emit(event);
+      });
+    },
+  };
+}
+
+/**
+ * Logs every event. Handy while wiring up dashboards.
+ *
+ * @param {{ logger?: { log: (...args: any[]) => void }, prefix?: string }} [params]
+ */
+export function createConsoleAnalytics({ logger = console, prefix = '[auth]' } = {}) {
+  return {
+    track(event) {
+      logger.log(prefix, event.name, event);
+    },
+  };
+}
+
+/**
+ * Batches events and POSTs them as `{ events: [...] }` to `url`.
+ * Sends when `batchSize` events are queued or `flushIntervalMs` after the first one.
+ * Failed batches are put back (up to `maxQueueSize`) and retried with the next flush.
+ *
+ * @param {{
+ *   url: string,
+ *   fetch?: typeof fetch,
+ *   headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>),
+ *   batchSize?: number,
+ *   flushIntervalMs?: number,
+ *   maxQueueSize?: number,
+ * }} params
+ */
+export function createHttpAnalytics({
+  url,
+  fetch: fetchImpl,
+  headers,
+  batchSize = 20,
+  flushIntervalMs = 5000,
+  maxQueueSize = 500,
+}) {
+  if (!url) {
+    throw new Error('HTTP analytics requires url.');
+  }
+  const doFetch = fetchImpl ?? globalThis.fetch;
+  if (typeof doFetch !== 'function') {
+    throw new Error('HTTP analytics requires fetch (pass fetch={fetch}).');
+  }
+
+  let queue = [];
+  let timer = null;
+  let inFlight = null;
+  // Set after a failed send: wait for the timer instead of sending on every new event.
+  let backingOff = false;
+
+  function schedule() {
+    if (timer || !queue.length) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, flushIntervalMs);
+  }
+
+  async function send(batch) {
+    const extraHeaders = typeof headers === 'function' ? await headers() : headers;
+    const res = await doFetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(extraHeaders ?? {}) },
+      body: JSON.stringify({ events: batch }),
+    });
+    if (!res.ok) {
+      throw new Error(`Analytics request failed (${res.status})`);
+    }
+  }
+
+  async function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    // One request at a time keeps event order.
+    while (inFlight) await inFlight;
+    if (!queue.length) return;
+
+    const batch = queue.slice(0, batchSize);
+    queue = queue.slice(batch.length);
+    inFlight = send(batch)
+      .then(() => {
+        backingOff = false;
+      })
+      .catch((err) => {
+        backingOff = true;
+        queue = batch.concat(queue).slice(-maxQueueSize);
+        warnSinkError(err);
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+    await inFlight;
+    if (!backingOff && queue.length >= batchSize) await flush();
+    else schedule();
+  }
+
+  return {
+    track(event) {
+      queue.push(event);
+      if (queue.length > maxQueueSize) queue = queue.slice(-maxQueueSize);
+      if (!backingOff && queue.length >= batchSize) flush();
+      else schedule();
+    },
+    flush,
+    /** Stop the timer (e.g. on logout); queued events are kept until the next flush(). */
+    dispose() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * auth.cache.js (email check results, no React)
+ *
+ * Answers from `checkEmailExists` are kept per normalized email for a short while, so
+ * going back and retyping an address (or fixing a typo and undoing it) doesn't call the
+ * Edge Function again:
+ *
+ *   options={{ email: { checkCache: { ttlMs: 60000, maxEntries: 20 } } }}
+ *
+ * `checkCache: false` turns it off. Only answers are cached, never failures.
+ */
+
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+// Least recently used entries are dropped past this.
+const DEFAULT_MAX_ENTRIES = 50;
+
+/**
+ * Resolve `options.email.checkCache` (default on). Returns null when it's turned off.
+ *
+ * @param {any} options AuthScreen options
+ */
+export function createEmailCheckCache(options) {
+  const setting = options?.email?.checkCache;
+  if (setting === false) return null;
+  const config = setting && typeof setting === 'object' ? setting : {};
+  const ttlMs = Number.isFinite(config.ttlMs) && config.ttlMs >= 0 ? config.ttlMs : DEFAULT_TTL_MS;
+  const maxEntries =
+    Number.isInteger(config.maxEntries) && config.maxEntries > 0 ? config.maxEntries : DEFAULT_MAX_ENTRIES;
+  // Map keeps insertion order: re-inserting on read makes the first key the least recently used.
+  const entries = new Map();
+
+  return {
+    /** The cached answer, or undefined when missing / expired. */
+    get(email) {
+      const entry = entries.get(email);
+      if (!entry) return undefined;
+      entries.delete(email);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(email, entry);
+      return entry.answer;
+    },
+
+    set(email, answer) {
+      entries.delete(email);
+      entries.set(email, { answer, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    /** Forget one email (its account just changed: signed up, linked, ...). */
+    delete(email) {
+      entries.delete(email);
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Whether two `checkCache` settings configure the same cache, so an inline
+ * `{ ttlMs }` object re-created on every render doesn't wipe it.
+ */
+export function sameCheckCacheSetting(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  return a.ttlMs === b.ttlMs && a.maxEntries === b.maxEntries;
+}
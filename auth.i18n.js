@@ -0,0 +1,449 @@
+/**
+ * auth.i18n.js (strings only)
+ *
+ * ✅ EDIT COPY HERE
+ * - Every user-facing string for the UI, keyed by message id.
+ * - Logic and providers return error CODES (see AUTH_ERROR in auth.types.js);
+ *   the UI maps them to `errors.<code>` below.
+ * - `{name}` placeholders are filled by formatMessage().
+ *
+ * Apps pick a language with <AuthScreen locale="es" /> and override any key with
+ * <AuthScreen messages={{ 'title.welcome': 'Hola 👋' }} />.
+ */
+
+const en = {
+  'title.welcome': 'Get started',
+  'title.welcomeBack': 'Welcome Back 👋🏻',
+  'title.resetPassword': 'Reset Password',
+  'title.checkInbox': 'Check your inbox 📬',
+  'title.upgrade': 'Save your account',
+
+  'cta.start': 'SIGN IN',
+  'cta.continue': 'CONTINUE',
+  'cta.confirmedEmail': "I'VE CONFIRMED",
+  'cta.signIn': 'SIGN IN',
+  'cta.createAccount': 'CREATE ACCOUNT',
+  'cta.guest': 'Continue as guest',
+
+  'oauth.google': 'Continue with Google',
+  'oauth.apple': 'Continue with Apple',
+
+  'fields.nameLabel': 'Your Name',
+  'fields.namePlaceholder': 'Name Here',
+  'fields.emailLabel': 'Email',
+  'fields.emailPlaceholder': 'abc@gmail.com',
+  'fields.otpLabel': 'Enter verification code',
+  'fields.resetCodeLabel': 'Enter the code from the reset email',
+  'fields.passwordLabelNew': 'Create Password',
+  'fields.passwordLabelExisting': 'Password',
+  'fields.passwordLabelReset': 'New Password',
+  'fields.passwordPlaceholder': 'Password',
+  'fields.forgotPassword': 'Forgot password?',
+  'switch.usePassword': 'Use password instead',
+  'switch.useCode': 'Email me a code instead',
+  'fields.changeEmail': 'Change Email?',
+  'fields.phoneLabel': 'Phone number',
+  'fields.phonePlaceholder': '555 123 4567',
+  'fields.selectCountry': 'Select country',
+  'fields.datePlaceholder': 'YYYY-MM-DD',
+  'fields.selectOption': 'Select…',
+  'fields.changePhone': 'Change Number?',
+
+  'otp.sentTo': 'Sent to {email}',
+  'otp.sentToPhone': 'Texted to {phone}',
+  'otp.resend': 'Resend?',
+  'otp.resendIn': 'Resend in {time}',
+
+  'magicLink.sent': 'We sent a sign-in link to {email}',
+  'magicLink.help': 'Open it on this device to finish signing in.',
+  'confirmEmail.sent': 'We sent a confirmation link to {email}',
+  'confirmEmail.help': "Open it to activate your account. We'll sign you in as soon as it's confirmed.",
+
+  'email.didYouMean': 'Did you mean {email}?',
+
+  'password.rule.minLength': 'At least {min} characters',
+  'password.rule.lowercase': 'A lowercase letter',
+  'password.rule.uppercase': 'An uppercase letter',
+  'password.rule.digit': 'A number',
+  'password.rule.symbol': 'A symbol (!@#…)',
+  'password.rule.notCommon': 'Not a common password',
+  'password.rule.noPersonalInfo': 'Doesn’t contain your name or email',
+  'password.strength.0': 'Very weak',
+  'password.strength.1': 'Weak',
+  'password.strength.2': 'Fair',
+  'password.strength.3': 'Good',
+  'password.strength.4': 'Strong',
+  'password.show': 'Show',
+  'password.hide': 'Hide',
+
+  'a11y.close': 'Close',
+
+  'errors.unknown': '{message}',
+  'errors.emailInvalid': 'Input email correctly',
+  'errors.phoneInvalid': 'Enter a valid phone number',
+  'errors.fieldValidating': 'Checking…',
+  'errors.fieldInvalid': 'Please check this field',
+  'errors.fieldRequired': '{field} is required',
+  'errors.dateInvalid': 'Enter a date as YYYY-MM-DD',
+  'errors.emailChecking': 'Checking email…',
+  'errors.nameRequired': 'Please enter your name',
+  'errors.otpInvalid': 'Enter {length}-digit code',
+  'errors.otpWrong': 'Wrong code',
+  'errors.passwordTooShort': 'Atleast {min} digit, for your security’s sake 🤗',
+  'errors.invalidCredentials': 'Wrong email or password',
+  'errors.userExists': 'An account with this email already exists',
+  'errors.emailNotConfirmed': 'Please confirm your email first',
+  'errors.weakPassword': 'Password is too weak',
+  'errors.passwordCommon': 'This password is too common',
+  'errors.passwordPersonalInfo': 'Password can’t contain your name or email',
+  'errors.samePassword': 'New password must be different from the old one',
+  'errors.rateLimited': 'Too many attempts. Please wait a moment and try again.',
+  'errors.captchaFailed': 'We couldn’t verify you’re human. Please try again.',
+  'errors.network': 'Cannot reach the server. Check your internet connection.',
+  'errors.linkInvalid': 'This link is invalid or has expired',
+  'errors.oauthConfig': '{provider} sign-in is not configured',
+  'errors.oauthFailed': '{provider} sign-in failed',
+  'errors.unsupported': 'This sign-in method is not available',
+  'errors.guestSessionRequired': 'There is no guest session to upgrade',
+  'errors.emailCheckNotFound': 'Email check service not found. Deploy the Edge Function: is-email-registered.',
+  'errors.emailCheckUnauthorized': 'Email check not authorized. Ensure your anon key is correct and the function is deployed.',
+  'errors.emailCheckServer': 'Email check server error. Ensure Edge Function secrets are set (recommended): SB_URL and SB_SERVICE_ROLE_KEY.',
+  'errors.emailCheckConfig': '{message}',
+  'errors.emailCheckInvalidResponse': 'Email check failed (invalid response).',
+};
+
+const es = {
+  'title.welcome': 'Comencemos',
+  'title.welcomeBack': 'Bienvenido de nuevo 👋🏻',
+  'title.resetPassword': 'Restablecer contraseña',
+  'title.checkInbox': 'Revisa tu bandeja de entrada 📬',
+  'title.upgrade': 'Guarda tu cuenta',
+
+  'cta.start': 'INICIAR SESIÓN',
+  'cta.continue': 'CONTINUAR',
+  'cta.confirmedEmail': 'YA LO CONFIRMÉ',
+  'cta.signIn': 'INICIAR SESIÓN',
+  'cta.createAccount': 'CREAR CUENTA',
+  'cta.guest': 'Continuar como invitado',
+
+  'oauth.google': 'Continuar con Google',
+  'oauth.apple': 'Continuar con Apple',
+
+  'fields.nameLabel': 'Tu nombre',
+  'fields.namePlaceholder': 'Nombre',
+  'fields.emailLabel': 'Correo electrónico',
+  'fields.otpLabel': 'Introduce el código de verificación',
+  'fields.resetCodeLabel': 'Introduce el código del correo de restablecimiento',
+  'fields.passwordLabelNew': 'Crea una contraseña',
+  'fields.passwordLabelExisting': 'Contraseña',
+  'fields.passwordLabelReset': 'Nueva contraseña',
+  'fields.passwordPlaceholder': 'Contraseña',
+  'fields.forgotPassword': '¿Olvidaste tu contraseña?',
+  'switch.usePassword': 'Usar contraseña en su lugar',
+  'switch.useCode': 'Envíame un código por correo',
+  'fields.changeEmail': '¿Cambiar correo?',
+  'fields.phoneLabel': 'Número de teléfono',
+  'fields.selectCountry': 'Selecciona un país',
+  'fields.datePlaceholder': 'AAAA-MM-DD',
+  'fields.selectOption': 'Seleccionar…',
+  'fields.changePhone': '¿Cambiar número?',
+
+  'otp.sentTo': 'Enviado a {email}',
+  'otp.sentToPhone': 'Enviado por SMS a {phone}',
+  'otp.resend': '¿Reenviar?',
+  'otp.resendIn': 'Reenviar en {time}',
+
+  'magicLink.sent': 'Enviamos un enlace de inicio de sesión a {email}',
+  'magicLink.help': 'Ábrelo en este dispositivo para terminar de iniciar sesión.',
+  'confirmEmail.sent': 'Enviamos un enlace de confirmación a {email}',
+  'confirmEmail.help': 'Ábrelo para activar tu cuenta. Iniciaremos tu sesión en cuanto esté confirmada.',
+
+  'email.didYouMean': '¿Quisiste decir {email}?',
+
+  'password.rule.minLength': 'Al menos {min} caracteres',
+  'password.rule.lowercase': 'Una letra minúscula',
+  'password.rule.uppercase': 'Una letra mayúscula',
+  'password.rule.digit': 'Un número',
+  'password.rule.symbol': 'Un símbolo (!@#…)',
+  'password.rule.notCommon': 'No es una contraseña común',
+  'password.rule.noPersonalInfo': 'No contiene tu nombre ni tu correo',
+  'password.strength.0': 'Muy débil',
+  'password.strength.1': 'Débil',
+  'password.strength.2': 'Aceptable',
+  'password.strength.3': 'Buena',
+  'password.strength.4': 'Fuerte',
+  'password.show': 'Mostrar',
+  'password.hide': 'Ocultar',
+
+  'a11y.close': 'Cerrar',
+
+  'errors.emailInvalid': 'Introduce un correo válido',
+  'errors.phoneInvalid': 'Introduce un número de teléfono válido',
+  'errors.fieldValidating': 'Comprobando…',
+  'errors.fieldInvalid': 'Revisa este campo',
+  'errors.fieldRequired': '{field} es obligatorio',
+  'errors.dateInvalid': 'Escribe la fecha como AAAA-MM-DD',
+  'errors.emailChecking': 'Comprobando correo…',
+  'errors.nameRequired': 'Introduce tu nombre',
+  'errors.otpInvalid': 'Introduce el código de {length} dígitos',
+  'errors.otpWrong': 'Código incorrecto',
+  'errors.passwordTooShort': 'Al menos {min} caracteres, por tu seguridad 🤗',
+  'errors.invalidCredentials': 'Correo o contraseña incorrectos',
+  'errors.userExists': 'Ya existe una cuenta con este correo',
+  'errors.emailNotConfirmed': 'Confirma tu correo primero',
+  'errors.weakPassword': 'La contraseña es demasiado débil',
+  'errors.passwordCommon': 'Esta contraseña es demasiado común',
+  'errors.passwordPersonalInfo': 'La contraseña no puede contener tu nombre ni tu correo',
+  'errors.samePassword': 'La nueva contraseña debe ser distinta de la anterior',
+  'errors.rateLimited': 'Demasiados intentos. Espera un momento e inténtalo de nuevo.',
+  'errors.captchaFailed': 'No pudimos verificar que eres una persona. Inténtalo de nuevo.',
+  'errors.network': 'No se puede conectar con el servidor. Revisa tu conexión a internet.',
+  'errors.linkInvalid': 'Este enlace no es válido o ha caducado',
+  'errors.oauthConfig': 'El inicio de sesión con {provider} no está configurado',
+  'errors.oauthFailed': 'Falló el inicio de sesión con {provider}',
+  'errors.unsupported': 'Este método de inicio de sesión no está disponible',
+  'errors.guestSessionRequired': 'No hay una sesión de invitado para actualizar',
+};
+
+const ar = {
+  'title.welcome': 'لنبدأ',
+  'title.welcomeBack': 'مرحبًا بعودتك 👋🏻',
+  'title.resetPassword': 'إعادة تعيين كلمة المرور',
+  'title.checkInbox': 'تحقق من بريدك الوارد 📬',
+  'title.upgrade': 'احفظ حسابك',
+
+  'cta.start': 'تسجيل الدخول',
+  'cta.continue': 'متابعة',
+  'cta.confirmedEmail': 'لقد أكدت بريدي',
+  'cta.signIn': 'تسجيل الدخول',
+  'cta.createAccount': 'إنشاء حساب',
+  'cta.guest': 'المتابعة كضيف',
+
+  'oauth.google': 'المتابعة باستخدام Google',
+  'oauth.apple': 'المتابعة باستخدام Apple',
+
+  'fields.nameLabel': 'اسمك',
+  'fields.namePlaceholder': 'الاسم',
+  'fields.emailLabel': 'البريد الإلكتروني',
+  'fields.otpLabel': 'أدخل رمز التحقق',
+  'fields.resetCodeLabel': 'أدخل الرمز من رسالة إعادة التعيين',
+  'fields.passwordLabelNew': 'أنشئ كلمة مرور',
+  'fields.passwordLabelExisting': 'كلمة المرور',
+  'fields.passwordLabelReset': 'كلمة مرور جديدة',
+  'fields.passwordPlaceholder': 'كلمة المرور',
+  'fields.forgotPassword': 'نسيت كلمة المرور؟',
+  'switch.usePassword': 'استخدام كلمة المرور بدلاً من ذلك',
+  'switch.useCode': 'أرسل لي رمزًا بالبريد الإلكتروني',
+  'fields.changeEmail': 'تغيير البريد؟',
+  'fields.phoneLabel': 'رقم الهاتف',
+  'fields.selectCountry': 'اختر الدولة',
+  'fields.datePlaceholder': 'YYYY-MM-DD',
+  'fields.selectOption': 'اختر…',
+  'fields.changePhone': 'تغيير الرقم؟',
+
+  'otp.sentTo': 'أُرسل إلى {email}',
+  'otp.sentToPhone': 'أُرسلت رسالة نصية إلى {phone}',
+  'otp.resend': 'إعادة الإرسال؟',
+  'otp.resendIn': 'إعادة الإرسال خلال {time}',
+
+  'magicLink.sent': 'أرسلنا رابط تسجيل الدخول إلى {email}',
+  'magicLink.help': 'افتحه على هذا الجهاز لإكمال تسجيل الدخول.',
+  'confirmEmail.sent': 'أرسلنا رابط تأكيد إلى {email}',
+  'confirmEmail.help': 'افتحه لتفعيل حسابك. سنسجّل دخولك بمجرد تأكيده.',
+
+  'email.didYouMean': 'هل تقصد {email}؟',
+
+  'password.rule.minLength': '{min} أحرف على الأقل',
+  'password.rule.lowercase': 'حرف لاتيني صغير',
+  'password.rule.uppercase': 'حرف لاتيني كبير',
+  'password.rule.digit': 'رقم',
+  'password.rule.symbol': 'رمز (!@#…)',
+  'password.rule.notCommon': 'ليست كلمة مرور شائعة',
+  'password.rule.noPersonalInfo': 'لا تحتوي على اسمك أو بريدك',
+  'password.strength.0': 'ضعيفة جدًا',
+  'password.strength.1': 'ضعيفة',
+  'password.strength.2': 'مقبولة',
+  'password.strength.3': 'جيدة',
+  'password.strength.4': 'قوية',
+  'password.show': 'إظهار',
+  'password.hide': 'إخفاء',
+
+  'a11y.close': 'إغلاق',
+
+  'errors.emailInvalid': 'أدخل بريدًا إلكترونيًا صحيحًا',
+  'errors.phoneInvalid': 'أدخل رقم هاتف صحيحًا',
+  'errors.fieldValidating': 'جارٍ التحقق…',
+  'errors.fieldInvalid': 'يُرجى مراجعة هذا الحقل',
+  'errors.fieldRequired': '{field} مطلوب',
+  'errors.dateInvalid': 'أدخل التاريخ بالصيغة YYYY-MM-DD',
+  'errors.emailChecking': 'جارٍ التحقق من البريد…',
+  'errors.nameRequired': 'يرجى إدخال اسمك',
+  'errors.otpInvalid': 'أدخل الرمز المكوّن من {length} أرقام',
+  'errors.otpWrong': 'رمز غير صحيح',
+  'errors.passwordTooShort': '{min} أحرف على الأقل، من أجل أمانك 🤗',
+  'errors.invalidCredentials': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+  'errors.userExists': 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+  'errors.emailNotConfirmed': 'يرجى تأكيد بريدك الإلكتروني أولًا',
+  'errors.weakPassword': 'كلمة المرور ضعيفة جدًا',
+  'errors.passwordCommon': 'كلمة المرور هذه شائعة جدًا',
+  'errors.passwordPersonalInfo': 'لا يمكن أن تحتوي كلمة المرور على اسمك أو بريدك',
+  'errors.samePassword': 'يجب أن تختلف كلمة المرور الجديدة عن القديمة',
+  'errors.rateLimited': 'محاولات كثيرة جدًا. انتظر قليلًا ثم حاول مرة أخرى.',
+  'errors.captchaFailed': 'تعذّر التحقق من أنك إنسان. حاول مرة أخرى.',
+  'errors.network': 'تعذّر الاتصال بالخادم. تحقق من اتصالك بالإنترنت.',
+  'errors.linkInvalid': 'هذا الرابط غير صالح أو انتهت صلاحيته',
+  'errors.oauthConfig': 'تسجيل الدخول عبر {provider} غير مُعد',
+  'errors.oauthFailed': 'فشل تسجيل الدخول عبر {provider}',
+  'errors.unsupported': 'طريقة تسجيل الدخول هذه غير متاحة',
+  'errors.guestSessionRequired': 'لا توجد جلسة ضيف لترقيتها',
+};
+
+const hi = {
+  'title.welcome': 'शुरू करें',
+  'title.welcomeBack': 'फिर से स्वागत है 👋🏻',
+  'title.resetPassword': 'पासवर्ड रीसेट करें',
+  'title.checkInbox': 'अपना इनबॉक्स देखें 📬',
+  'title.upgrade': 'अपना खाता सहेजें',
+
+  'cta.start': 'साइन इन करें',
+  'cta.continue': 'जारी रखें',
+  'cta.confirmedEmail': 'मैंने पुष्टि कर दी',
+  'cta.signIn': 'साइन इन करें',
+  'cta.createAccount': 'खाता बनाएं',
+  'cta.guest': 'मेहमान के रूप में जारी रखें',
+
+  'oauth.google': 'Google के साथ जारी रखें',
+  'oauth.apple': 'Apple के साथ जारी रखें',
+
+  'fields.nameLabel': 'आपका नाम',
+  'fields.namePlaceholder': 'नाम यहाँ लिखें',
+  'fields.emailLabel': 'ईमेल',
+  'fields.otpLabel': 'सत्यापन कोड दर्ज करें',
+  'fields.resetCodeLabel': 'रीसेट ईमेल में मिला कोड दर्ज करें',
+  'fields.passwordLabelNew': 'पासवर्ड बनाएँ',
+  'fields.passwordLabelExisting': 'पासवर्ड',
+  'fields.passwordLabelReset': 'नया पासवर्ड',
+  'fields.passwordPlaceholder': 'पासवर्ड',
+  'fields.forgotPassword': 'पासवर्ड भूल गए?',
+  'switch.usePassword': 'इसके बजाय पासवर्ड इस्तेमाल करें',
+  'switch.useCode': 'मुझे ईमेल पर कोड भेजें',
+  'fields.changeEmail': 'ईमेल बदलें?',
+  'fields.phoneLabel': 'फ़ोन नंबर',
+  'fields.selectCountry': 'देश चुनें',
+  'fields.datePlaceholder': 'YYYY-MM-DD',
+  'fields.selectOption': 'चुनें…',
+  'fields.changePhone': 'नंबर बदलें?',
+
+  'otp.sentTo': '{email} पर भेजा गया',
+  'otp.sentToPhone': '{phone} पर SMS भेजा गया',
+  'otp.resend': 'फिर से भेजें?',
+  'otp.resendIn': '{time} में फिर से भेजें',
+
+  'magicLink.sent': 'हमने {email} पर साइन-इन लिंक भेजा है',
+  'magicLink.help': 'साइन इन पूरा करने के लिए इसे इसी डिवाइस पर खोलें।',
+  'confirmEmail.sent': 'हमने {email} पर पुष्टि लिंक भेजा है',
+  'confirmEmail.help': 'अपना खाता सक्रिय करने के लिए इसे खोलें। पुष्टि होते ही हम आपको साइन इन कर देंगे।',
+
+  'email.didYouMean': 'क्या आपका मतलब {email} था?',
+
+  'password.rule.minLength': 'कम से कम {min} अक्षर',
+  'password.rule.lowercase': 'एक छोटा अक्षर (a–z)',
+  'password.rule.uppercase': 'एक बड़ा अक्षर (A–Z)',
+  'password.rule.digit': 'एक अंक',
+  'password.rule.symbol': 'एक चिह्न (!@#…)',
+  'password.rule.notCommon': 'आम पासवर्ड नहीं',
+  'password.rule.noPersonalInfo': 'आपका नाम या ईमेल शामिल नहीं',
+  'password.strength.0': 'बहुत कमज़ोर',
+  'password.strength.1': 'कमज़ोर',
+  'password.strength.2': 'ठीक',
+  'password.strength.3': 'अच्छा',
+  'password.strength.4': 'मज़बूत',
+  'password.show': 'दिखाएँ',
+  'password.hide': 'छिपाएँ',
+
+  'a11y.close': 'बंद करें',
+
+  'errors.emailInvalid': 'सही ईमेल दर्ज करें',
+  'errors.phoneInvalid': 'सही फ़ोन नंबर दर्ज करें',
+  'errors.fieldValidating': 'जाँच हो रही है…',
+  'errors.fieldInvalid': 'कृपया यह फ़ील्ड जाँचें',
+  'errors.fieldRequired': '{field} आवश्यक है',
+  'errors.dateInvalid': 'तारीख YYYY-MM-DD के रूप में लिखें',
+  'errors.emailChecking': 'ईमेल जाँचा जा रहा है…',
+  'errors.nameRequired': 'कृपया अपना नाम दर्ज करें',
+  'errors.otpInvalid': '{length} अंकों का कोड दर्ज करें',
+  'errors.otpWrong': 'गलत कोड',
+  'errors.passwordTooShort': 'कम से कम {min} अक्षर, आपकी सुरक्षा के लिए 🤗',
+  'errors.invalidCredentials': 'ईमेल या पासवर्ड गलत है',
+  'errors.userExists': 'इस ईमेल से एक खाता पहले से मौजूद है',
+  'errors.emailNotConfirmed': 'कृपया पहले अपना ईमेल सत्यापित करें',
+  'errors.weakPassword': 'पासवर्ड बहुत कमज़ोर है',
+  'errors.passwordCommon': 'यह पासवर्ड बहुत आम है',
+  'errors.passwordPersonalInfo': 'पासवर्ड में आपका नाम या ईमेल नहीं हो सकता',
+  'errors.samePassword': 'नया पासवर्ड पुराने से अलग होना चाहिए',
+  'errors.rateLimited': 'बहुत अधिक प्रयास। कुछ देर रुककर फिर से कोशिश करें।',
+  'errors.captchaFailed': 'हम पुष्टि नहीं कर सके कि आप इंसान हैं। फिर से कोशिश करें।',
+  'errors.network': 'सर्वर से कनेक्ट नहीं हो सका। अपना इंटरनेट कनेक्शन जाँचें।',
+  'errors.linkInvalid': 'यह लिंक अमान्य है या इसकी समय-सीमा समाप्त हो गई है',
+  'errors.oauthConfig': '{provider} से साइन-इन कॉन्फ़िगर नहीं है',
+  'errors.oauthFailed': '{provider} से साइन-इन विफल रहा',
+  'errors.unsupported': 'यह साइन-इन तरीका उपलब्ध नहीं है',
+  'errors.guestSessionRequired': 'अपग्रेड करने के लिए कोई मेहमान सत्र नहीं है',
+};
+
+// Missing keys in a locale fall back to English.
+export const AUTH_MESSAGES = { en, es, ar, hi };
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+function languageOf(locale) {
+  return String(locale ?? '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * @param {string} [locale] e.g. 'es', 'ar-EG', 'hi_IN'
+ */
+export function isRtlLocale(locale) {
+  return RTL_LANGUAGES.includes(languageOf(locale));
+}
+
+/**
+ * Fill `{name}` placeholders. Unknown placeholders are left as-is.
+ *
+ * @param {string} template
+ * @param {Record<string, any>} [params]
+ */
+export function formatMessage(template, params) {
+  if (!params) return template;
+  return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] === undefined || params[key] === null ? match : String(params[key])
+  );
+}
+
+/**
+ * t(key, params) for a locale, with app overrides on top.
+ * Lookup: messages → AUTH_MESSAGES[language] → AUTH_MESSAGES.en → key.
+ *
+ * @param {{ locale?: string, messages?: Record<string, string> }} [params]
+ * @returns {(key: string, params?: Record<string, any>) => string}
+ */
+export function createTranslator({ locale, messages } = {}) {
+  const catalog = AUTH_MESSAGES[languageOf(locale)] ?? {};
+  return (key, params) => {
+    const template = messages?.[key] ?? catalog[key] ?? en[key] ?? key;
+    return formatMessage(template, params);
+  };
+}
+
+/**
+ * Message for an error state `{ code, params }`. Codes without a translation (e.g. from
+ * app validators) fall back to `params.message`, then the code itself.
+ *
+ * @param {(key: string, params?: Record<string, any>) => string} t
+ * @param {{ code: string, params?: Record<string, any> }} error
+ */
+export function translateError(t, error) {
+  const key = `errors.${error.code}`;
+  const text = t(key, error.params);
+  return text === key ? String(error.params?.message ?? error.code) : text;
+}
@@ -0,0 +1,1836 @@
+/**
+ * auth.machine.js (flow only, no React)
+ *
+ * The sign-in flow as a pure state machine:
+ *
+ *   const { state, effects } = authTransition(state, { type: AUTH_ACTION.NEXT }, config);
+ *
+ * - authTransition() never calls providers, timers or Date.now(); it returns the next
+ *   state plus EFFECT DESCRIPTORS ({ type: 'requestOtp', email }, ...).
+ * - createAuthFlow() is the interpreter: it runs effects against injected providers,
+ *   feeds results back as EFFECT_DONE / EFFECT_FAILED, and owns debounce, retries,
+ *   the resend countdown and analytics timings.
+ *
+ * useAuthScreenLogic (AuthScreen.logic.js) is a thin React wrapper over createAuthFlow;
+ * tests, CLIs or web forms can use either layer directly.
+ */
+
+import { AUTH_EVENT, createAnalyticsTracker } from './auth.analytics';
+import { createEmailCheckCache, sameCheckCacheSetting } from './auth.cache';
+import { translateError } from './auth.i18n';
+import { PASSWORD_RULE, checkPassword, resolvePasswordPolicy } from './auth.password';
+import { findPhoneCountry, isValidE164, resolvePhoneOptions, toE164 } from './auth.phone';
+import { createMethodMemory, emailKeyOf } from './auth.preferences';
+import { checkProfileFields, initialProfileValues, profileDataOf, resolveProfileFields } from './auth.profile';
+import { AUTH_ERROR } from './auth.types';
+import { resolveValidators, suggestEmailCorrection, toValidationError } from './auth.validation';
+
+export const AUTH_STEP = {
+  START: 'start',
+  EMAIL: 'email',
+  // Phone mode (`options.phone`): replaces EMAIL as the identifier step
+  PHONE: 'phone',
+  OTP: 'otp',
+  NAME: 'name',
+  PASSWORD: 'password',
+  // Forgot-password flow (password mode)
+  RESET_CODE: 'resetCode',
+  NEW_PASSWORD: 'newPassword',
+  // Magic-link mode: "check your inbox"
+  MAGIC_LINK_SENT: 'magicLinkSent',
+  // Password sign-up waiting on the confirmation link (Supabase "Confirm email" on)
+  CONFIRM_EMAIL: 'confirmEmail',
+};
+
+/** Inputs to authTransition(). */
+export const AUTH_ACTION = {
+  SET_FIELD: 'setField', // { field: 'name'|'email'|'phone'|'phoneCountry'|'password'|'otpCode', value }
+  SET_PROFILE_FIELD: 'setProfileField', // { key, value } (options.profileFields)
+  START: 'start',
+  NEXT: 'next',
+  SUBMIT: 'submit',
+  BACK: 'back',
+  EDIT_EMAIL: 'editEmail', // back to the email (or phone) step
+  RESEND: 'resend',
+  FORGOT_PASSWORD: 'forgotPassword',
+  OAUTH: 'oauth', // { provider }
+  GUEST: 'guest', // "Continue as guest" (options.guest)
+  DEEP_LINK: 'deepLink', // { url }
+  RESET: 'reset',
+  SWITCH_EMAIL_MODE: 'switchEmailMode', // { mode? } 'otp' <-> 'password' (defaults to the other one)
+  CHOOSE_ACCOUNT: 'chooseAccount', // { newAccount } privacy mode, password: sign up or sign in (see view.needsAccountChoice)
+  METHOD_PREFERENCES_LOADED: 'methodPreferencesLoaded', // { preferences: { last, byEmail } }
+  TICK: 'tick', // one second of resend cooldown
+  PASSWORD_RECOVERY: 'passwordRecovery',
+  CONFIRMATION_CHECK: 'confirmationCheck', // quiet "confirmed yet?" (poll, app back in foreground)
+  SESSION_STARTED: 'sessionStarted', // { session } (auth state listener on CONFIRM_EMAIL)
+  EMAIL_CHECK_STARTED: 'emailCheckStarted', // { email }
+  EMAIL_CHECK_SUCCEEDED: 'emailCheckSucceeded', // { email, exists, methods?, emailConfirmed?, hint? } (privacy mode: hint only)
+  EMAIL_CHECK_FAILED: 'emailCheckFailed', // { email, error? } (gave up; error when rate limited / captcha failed)
+  FIELD_VALIDATED: 'fieldValidated', // { field, value, error } (options.validators result)
+  EFFECT_DONE: 'effectDone', // { effect, result }
+  EFFECT_FAILED: 'effectFailed', // { effect, error }
+};
+
+/** Outputs of authTransition(). Provider calls report back via EFFECT_DONE / EFFECT_FAILED. */
+export const AUTH_EFFECT = {
+  CHECK_EMAIL: 'checkEmail', // { email } (debounced by the interpreter)
+  CANCEL_EMAIL_CHECK: 'cancelEmailCheck',
+  VALIDATE_FIELD: 'validateField', // { field, value } (runs options.validators[field])
+  SCHEDULE_OTP_SUBMIT: 'scheduleOtpSubmit', // { code } (NEXT after a short pause, see options.otp.autoSubmit)
+  CANCEL_OTP_SUBMIT: 'cancelOtpSubmit',
+  REQUEST_OTP: 'requestOtp', // { email, resend, switchMode, emailHint? }
+  VERIFY_OTP: 'verifyOtp', // { email, code }
+  REQUEST_PHONE_OTP: 'requestPhoneOtp', // { phone, resend } (E.164)
+  VERIFY_PHONE_OTP: 'verifyPhoneOtp', // { phone, code }
+  REQUEST_MAGIC_LINK: 'requestMagicLink', // { email, redirectTo, resend, emailHint? }
+  REQUEST_PASSWORD_RESET: 'requestPasswordReset', // { email, redirectTo, resend }
+  VERIFY_RECOVERY_CODE: 'verifyRecoveryCode', // { email, code }
+  UPDATE_PASSWORD: 'updatePassword', // { password }
+  SIGN_IN: 'signIn', // { email, password, emailHint? }
+  SIGN_UP: 'signUp', // { name, email, password, data, redirectTo, emailHint? }
+  RESEND_CONFIRMATION: 'resendConfirmation', // { email, redirectTo }
+  CHECK_CONFIRMATION: 'checkConfirmation', // { email, password, quiet } (signs in once confirmed)
+  UPDATE_PROFILE: 'updateProfile', // { name, data }
+  SIGN_IN_ANONYMOUSLY: 'signInAnonymously',
+  // Upgrade mode: attach the email to the guest user, then confirm it with the emailed code
+  LINK_EMAIL: 'linkEmail', // { email, name?, data?, redirectTo, resend }
+  VERIFY_EMAIL_LINK: 'verifyEmailLink', // { email, code }
+  SIGN_IN_WITH_OAUTH: 'signInWithOAuth', // { provider }
+  COMPLETE_FROM_URL: 'completeFromUrl', // { url }
+  TRACK: 'track', // { name, properties }
+  SUCCESS: 'success', // { result, method, isNewUser }
+};
+
+// Supabase's default code length and our resend cooldown; see `options.otp`.
+const DEFAULT_OTP_LENGTH = 6;
+const DEFAULT_RESEND_COOLDOWN_SECONDS = 30;
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim();
+}
+
+function normalizedEmailOf(state) {
+  return normalizeEmail(state.email).toLowerCase();
+}
+
+// "+" + dial code of the picked country + what the user typed.
+function phoneE164Of(state, config) {
+  const country = findPhoneCountry(config.phone, state.phoneCountry);
+  return toE164(country?.dial, state.phone);
+}
+
+function validateEmailV2(email) {
+  // Practical validation (better than only "@")
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+}
+
+function validateOtpCode(code, length) {
+  // Exactly `length` digits (Supabase sends 6 by default; projects can configure up to 10).
+  const raw = String(code ?? '').trim();
+  return raw.length === length && /^\d+$/.test(raw);
+}
+
+const KNOWN_ERROR_CODES = new Set(Object.values(AUTH_ERROR));
+
+/**
+ * Error state is { code, params }; anything without a known code shows its raw message.
+ *
+ * @param {any} err
+ * @returns {{ code: string, params: Record<string, any> }}
+ */
+export function toErrorState(err) {
+  const message = err instanceof Error ? err.message : String(err ?? 'Something went wrong.');
+  if (KNOWN_ERROR_CODES.has(err?.code)) {
+    return { code: err.code, params: { message, ...(err.params ?? {}) } };
+  }
+  return { code: AUTH_ERROR.UNKNOWN, params: { message } };
+}
+
+// Which field an app validator error belongs to, by step.
+const FIELD_OF_STEP = {
+  [AUTH_STEP.EMAIL]: 'email',
+  [AUTH_STEP.NAME]: 'name',
+  [AUTH_STEP.PASSWORD]: 'password',
+  [AUTH_STEP.NEW_PASSWORD]: 'password',
+};
+
+// Character-class rules share the generic "too weak" message.
+const PASSWORD_ERROR_BY_RULE = {
+  [PASSWORD_RULE.MIN_LENGTH]: AUTH_ERROR.PASSWORD_TOO_SHORT,
+  [PASSWORD_RULE.NOT_COMMON]: AUTH_ERROR.PASSWORD_COMMON,
+  [PASSWORD_RULE.NO_PERSONAL_INFO]: AUTH_ERROR.PASSWORD_PERSONAL_INFO,
+};
+
+function explainOtpVerifyError(err) {
+  const state = toErrorState(err);
+  if (state.code !== AUTH_ERROR.UNKNOWN) return state;
+  // Supabase commonly returns messages like:
+  // - "Token has expired or is invalid"
+  // - "Invalid OTP"
+  const { message } = state.params;
+  if (/otp/i.test(message) || /token/i.test(message) || /invalid/i.test(message) || /expired/i.test(message)) {
+    return { code: AUTH_ERROR.OTP_WRONG, params: {} };
+  }
+  return state;
+}
+
+function resolveEmailAuthMode(options) {
+  const email = options?.email && typeof options.email === 'object' ? options.email : {};
+
+  // Defaults (v3): OTP is the default auth mode unless a consumer explicitly opts into password.
+  const otpEnabled = email.otp !== false;
+  const passwordEnabled = email.password === true;
+
+  // Magic link is opt-in and wins unless `default` explicitly picks another enabled mode.
+  if (email.magicLink === true) {
+    if (email.default === 'password' && passwordEnabled) return 'password';
+    if (email.default === 'otp' && email.otp === true) return 'otp';
+    return 'magicLink';
+  }
+
+  // If password is enabled and OTP isn't, use password.
+  if (passwordEnabled && !otpEnabled) return 'password';
+
+  if (!passwordEnabled && otpEnabled) return 'otp';
+  if (passwordEnabled && otpEnabled) {
+    return email.default === 'otp' ? 'otp' : 'password';
+  }
+  // If both are disabled, fall back to OTP (safest/most supported by Supabase for sign-in/up).
+  return 'otp';
+}
+
+/** Modes the user can switch between at runtime: OTP + password when both are enabled. */
+function resolveEmailAuthModes(options, mode) {
+  const email = options?.email && typeof options.email === 'object' ? options.email : {};
+  // Next to a magic link, OTP only counts when explicitly enabled (same as resolveEmailAuthMode).
+  const otpEnabled = email.magicLink === true ? email.otp === true : email.otp !== false;
+  if (mode !== 'magicLink' && otpEnabled && email.password === true) return ['otp', 'password'];
+  return [mode];
+}
+
+function resolveOauthOptions(options) {
+  const oauth = options?.oauth && typeof options.oauth === 'object' ? options.oauth : {};
+
+  // Order here is the order the buttons render in.
+  const providers = [];
+  if (oauth.google === true) providers.push('google');
+  if (oauth.apple === true) providers.push('apple');
+
+  return {
+    providers,
+    redirectTo: typeof oauth.redirectTo === 'string' ? oauth.redirectTo : undefined,
+    openAuthSession: typeof oauth.openAuthSession === 'function' ? oauth.openAuthSession : undefined,
+    getIdToken: typeof oauth.getIdToken === 'function' ? oauth.getIdToken : undefined,
+  };
+}
+
+// OAuth has no email check: a user whose first sign-in is "now" was just created.
+function isFreshUser(user) {
+  const createdAt = Date.parse(user?.created_at ?? '');
+  const lastSignInAt = Date.parse(user?.last_sign_in_at ?? '');
+  if (Number.isNaN(createdAt) || Number.isNaN(lastSignInAt)) return false;
+  return Math.abs(lastSignInAt - createdAt) < 60 * 1000;
+}
+
+function resolveOtpOptions(options) {
+  const otp = options?.otp && typeof options.otp === 'object' ? options.otp : {};
+  const length = Number.isInteger(otp.length) && otp.length >= 4 && otp.length <= 10 ? otp.length : DEFAULT_OTP_LENGTH;
+  const cooldown = Number(otp.resendCooldownSeconds);
+
+  return {
+    length,
+    resendCooldownSeconds:
+      otp.resendCooldownSeconds != null && Number.isFinite(cooldown) && cooldown >= 0
+        ? Math.round(cooldown)
+        : DEFAULT_RESEND_COOLDOWN_SECONDS,
+    // Verify as soon as the last digit is typed or pasted.
+    autoSubmit: otp.autoSubmit !== false,
+    // Ask new / nameless users for their name once the code is verified.
+    collectName: otp.collectName !== false,
+  };
+}
+
+function profileNameOf(user) {
+  return String(user?.user_metadata?.name ?? '').trim();
+}
+
+/**
+ * After an OTP sign-in: the NAME step for new users and users without
+ * `user_metadata.name` (or a required profile field); null when there's nothing to ask.
+ */
+function collectNameAfterOtp(idle, config, effectResult, method, isNewUser) {
+  const user = effectResult?.user ?? effectResult?.session?.user;
+  if (!config.otp.collectName || !user) return null;
+  const name = profileNameOf(user);
+  const profile = initialProfileValues(config.profileFields, user.user_metadata);
+  const profileErrors = checkProfileFields(config.profileFields, profile);
+  const profileComplete = Object.values(profileErrors).every((error) => !error);
+  if (name && profileComplete && !isNewUser) return null;
+  return result({
+    ...idle,
+    otpCode: '',
+    otpResendSeconds: 0,
+    name,
+    profile,
+    fieldValidation: { ...idle.fieldValidation, name: null },
+    step: AUTH_STEP.NAME,
+    pendingSuccess: { result: effectResult, method, isNewUser },
+  });
+}
+
+// The step that asks "who are you": EMAIL, or PHONE in phone mode.
+function identifierStepOf(config) {
+  return config.phone ? AUTH_STEP.PHONE : AUTH_STEP.EMAIL;
+}
+
+/**
+ * Static flow settings derived from AuthScreen `options` / `startAt` / `mode`.
+ * `startAt: 'email'` skips the START step (to the phone step in phone mode).
+ * `mode: 'upgrade'` links an email to the signed-in guest instead of signing in:
+ * it starts on EMAIL and has no phone or magic-link variant.
+ *
+ * @param {{ options?: any, startAt?: 'start'|'email', mode?: 'signIn'|'upgrade' }} [params]
+ */
+export function resolveAuthConfig({ options, startAt, mode } = {}) {
+  const upgrade = mode === 'upgrade';
+  const phone = upgrade ? null : resolvePhoneOptions(options);
+  const resolvedMode = resolveEmailAuthMode(options);
+  // Upgrades confirm the email with a code, never a link.
+  const emailAuthMode = upgrade && resolvedMode === 'magicLink' ? 'otp' : resolvedMode;
+  let initialStep = AUTH_STEP.START;
+  if (upgrade) initialStep = AUTH_STEP.EMAIL;
+  else if (startAt === 'email') initialStep = phone ? AUTH_STEP.PHONE : AUTH_STEP.EMAIL;
+  return {
+    initialStep,
+    upgrade,
+    // "Continue as guest" on the START step (anonymous sign-in)
+    guest: !upgrade && options?.guest === true,
+    // The starting mode; the current one is state.emailAuthMode.
+    emailAuthMode,
+    emailAuthModes: resolveEmailAuthModes(options, emailAuthMode),
+    // null unless `options.phone` is set: { countries, defaultCountry }
+    phone,
+    otp: resolveOtpOptions(options),
+    // Applies to new passwords only (sign-up, reset); see auth.password.js.
+    passwordPolicy: resolvePasswordPolicy(options?.password?.policy),
+    validators: resolveValidators(options),
+    // Extra NAME-step fields saved to user metadata; see auth.profile.js.
+    profileFields: resolveProfileFields(options),
+    suggestEmailTypos: options?.email?.suggestTypos !== false,
+    // Fresh captcha token for each email check (the Edge Function's CAPTCHA_PROVIDER)
+    getCaptchaToken: typeof options?.email?.getCaptchaToken === 'function' ? options.email.getCaptchaToken : null,
+    oauth: resolveOauthOptions(options),
+    passwordResetRedirectTo:
+      typeof options?.email?.resetRedirectTo === 'string' ? options.email.resetRedirectTo : undefined,
+    magicLinkRedirectTo:
+      typeof options?.email?.magicLinkRedirectTo === 'string' ? options.email.magicLinkRedirectTo : undefined,
+    // Where the sign-up confirmation link sends the user (deep link).
+    confirmRedirectTo:
+      typeof options?.email?.confirmRedirectTo === 'string' ? options.email.confirmRedirectTo : undefined,
+  };
+}
+
+/**
+ * @param {ReturnType<typeof resolveAuthConfig>} config
+ */
+export function createInitialAuthState(config) {
+  return {
+    step: config.initialStep,
+    // 'otp' | 'password' | 'magicLink'; switchable when config.emailAuthModes has both
+    emailAuthMode: config.emailAuthMode,
+    // true once the user picked a mode by hand (a remembered one no longer overrides it)
+    emailAuthModeChosen: false,
+    // Remembered methods: { last, byEmail: { [emailKeyOf(email)]: mode } } | null
+    methodPreferences: null,
+    name: '',
+    email: '',
+    // As typed (national format); `phoneCountry` is the picked ISO code.
+    phone: '',
+    phoneCountry: config.phone?.defaultCountry ?? null,
+    password: '',
+    otpCode: '',
+    busy: false,
+    // { code: AUTH_ERROR value, params } | null
+    error: null,
+    // Which OAuth provider ('google' | 'apple') is in flight, if any.
+    oauthPending: null,
+    emailCheckStatus: 'idle',
+    // null until the email check has an answer (and stays null when it only returned a hint).
+    emailExists: null,
+    // Opaque privacy-mode answer, passed back on sign-in / sign-up
+    emailHint: null,
+    // Hint-only answer in password mode: 'signIn' | 'signUp' as picked by the user
+    accountChoice: null,
+    // What the registered account can sign in with ('password', 'otp', 'google', ...); null = not known
+    emailMethods: null,
+    emailConfirmed: null,
+    otpResendSeconds: 0,
+    // App validator results per field: { value, status: 'validating'|'valid'|'invalid', error }
+    fieldValidation: {},
+    // options.profileFields values by key
+    profile: initialProfileValues(config.profileFields),
+    // OTP sign-in waiting on the NAME step: { result, method, isNewUser }
+    pendingSuccess: null,
+    // CONFIRM_EMAIL: true until the confirmed session arrives (guards double success)
+    awaitingConfirmation: false,
+  };
+}
+
+// The value an app validator sees (its result only counts while the field still has it).
+function validatedValueOf(state, field) {
+  if (field === 'email') return normalizedEmailOf(state);
+  if (field === 'name') return String(state.name ?? '').trim();
+  return String(state.password ?? '');
+}
+
+/**
+ * 'valid' | 'validating' | 'invalid' | 'idle' (not run yet) for one field's app validator.
+ * Fields without a validator, and existing passwords, are always 'valid'.
+ */
+function validationStatusOf(state, config, field, isNewPassword) {
+  if (!config.validators[field]) return 'valid';
+  if (field === 'password' && !isNewPassword) return 'valid';
+  const entry = state.fieldValidation?.[field];
+  if (!entry || entry.value !== validatedValueOf(state, field)) return 'idle';
+  return entry.status;
+}
+
+/**
+ * Values the UI derives from state (validation, which fields/links to show).
+ *
+ * @param {ReturnType<typeof createInitialAuthState>} state
+ * @param {ReturnType<typeof resolveAuthConfig>} config
+ */
+export function selectAuthView(state, config) {
+  const { step, emailAuthMode } = state;
+  // A privacy-mode hint doesn't say whether the account exists; in password mode the user does.
+  const hintOnly = state.emailExists === null && Boolean(state.emailHint);
+  const isNewUser = state.emailExists === false || (hintOnly && state.accountChoice === 'signUp');
+  const isExistingUser = state.emailExists === true || (hintOnly && state.accountChoice === 'signIn');
+  const needsAccountChoice = hintOnly && emailAuthMode === 'password' && !config.upgrade && step === AUTH_STEP.EMAIL;
+  // Unknown methods (older email checks, adapters returning a boolean) count as having one.
+  const accountHasPassword = !Array.isArray(state.emailMethods) || state.emailMethods.includes('password');
+  // Steps where the user types a code from an email / SMS (sign-in OTP or password recovery).
+  const isCodeStep =
+    ((emailAuthMode === 'otp' || Boolean(config.phone) || config.upgrade) && step === AUTH_STEP.OTP) ||
+    step === AUTH_STEP.RESET_CODE;
+  const emailIsValid = validateEmailV2(state.email);
+  const phoneE164 = config.phone ? phoneE164Of(state, config) : '';
+  const phoneIsValid = isValidE164(phoneE164);
+  // New passwords must pass the policy; existing ones may predate it, so sign-in only needs one.
+  const isNewPassword = step === AUTH_STEP.NEW_PASSWORD || (step === AUTH_STEP.PASSWORD && isNewUser);
+  const passwordCheck = checkPassword(state.password, config.passwordPolicy, { email: state.email, name: state.name });
+  const passwordIsValid = isNewPassword ? passwordCheck.valid : String(state.password ?? '').length > 0;
+  const nameIsValid = String(state.name ?? '').trim().length > 0;
+  const otpIsValid = validateOtpCode(state.otpCode, config.otp.length);
+  const profileErrors = checkProfileFields(config.profileFields, state.profile);
+  const profileIsValid = Object.values(profileErrors).every((error) => !error);
+  const validation = {
+    email: validationStatusOf(state, config, 'email', isNewPassword),
+    name: validationStatusOf(state, config, 'name', isNewPassword),
+    password: validationStatusOf(state, config, 'password', isNewPassword),
+  };
+
+  let canContinue = false;
+  if (state.busy) canContinue = false;
+  else if (step === AUTH_STEP.START) canContinue = true;
+  // "I've confirmed": checks right away instead of waiting for the next poll.
+  else if (step === AUTH_STEP.CONFIRM_EMAIL) canContinue = true;
+  // "Sign in" / "Create account" replace Continue (CHOOSE_ACCOUNT).
+  else if (needsAccountChoice) canContinue = false;
+  else if (step === AUTH_STEP.EMAIL) {
+    canContinue =
+      validation.email === 'valid' &&
+      (emailAuthMode !== 'password' && !config.upgrade
+        ? emailIsValid
+        : emailIsValid && state.emailCheckStatus === 'ready');
+  } else if (step === AUTH_STEP.PHONE) canContinue = phoneIsValid;
+  else if (step === AUTH_STEP.OTP || step === AUTH_STEP.RESET_CODE) canContinue = otpIsValid;
+  else if (step === AUTH_STEP.NAME) canContinue = nameIsValid && profileIsValid && validation.name === 'valid';
+  else if (step === AUTH_STEP.PASSWORD || step === AUTH_STEP.NEW_PASSWORD) {
+    canContinue = passwordIsValid && validation.password === 'valid';
+  }
+
+  const alternateEmailMode = config.emailAuthModes.find((mode) => mode !== emailAuthMode) ?? null;
+  // Password reset has its own steps; switching there would strand the recovery.
+  // Upgrades pick before the email is linked. Accounts without a password stay on the code.
+  const canLeaveCode = alternateEmailMode !== 'password' || !isExistingUser || accountHasPassword;
+  const canSwitchEmailMode =
+    Boolean(alternateEmailMode) &&
+    !config.phone &&
+    (step === AUTH_STEP.EMAIL ||
+      (!config.upgrade && ((step === AUTH_STEP.OTP && canLeaveCode) || step === AUTH_STEP.PASSWORD)));
+
+  return {
+    isNewUser,
+    isExistingUser,
+    accountHasPassword,
+    emailAuthMode,
+    // "Use password instead" / "Email me a code instead"
+    canSwitchEmailMode,
+    alternateEmailMode,
+    // Privacy mode, password: ask "Sign in" or "Create account" instead of Continue
+    needsAccountChoice,
+    shouldCollectName: emailAuthMode === 'password' ? isNewUser : Boolean(state.pendingSuccess),
+    isCodeStep,
+    // Steps with a "Resend?" link (codes and magic links share the same cooldown).
+    isResendStep: isCodeStep || step === AUTH_STEP.MAGIC_LINK_SENT || step === AUTH_STEP.CONFIRM_EMAIL,
+    emailIsValid,
+    // "Did you mean jane@gmail.com?" (null when the domain looks fine)
+    emailSuggestion:
+      config.suggestEmailTypos && step === AUTH_STEP.EMAIL && emailIsValid ? suggestEmailCorrection(state.email) : null,
+    // App validator status per field (see validationStatusOf)
+    validation,
+    phoneE164,
+    phoneIsValid,
+    isNewPassword,
+    // { valid, failedRule, rules, strength } for the strength meter / checklist
+    passwordCheck,
+    passwordIsValid,
+    nameIsValid,
+    // options.profileFields: error (or null) per key
+    profileErrors,
+    profileIsValid,
+    otpIsValid,
+    canContinue,
+  };
+}
+
+function result(state, effects = []) {
+  return { state, effects };
+}
+
+function withError(state, code, params) {
+  return result({ ...state, error: { code, params: params ?? {} } });
+}
+
+const NO_EMAIL_CHECK_ANSWER = {
+  emailExists: null,
+  emailHint: null,
+  emailMethods: null,
+  emailConfirmed: null,
+  accountChoice: null,
+};
+
+/**
+ * Entering the EMAIL step (or editing the email on it) resets the existence check
+ * and schedules a new one once the address looks valid.
+ */
+function withEmailCheck(state) {
+  const next = { ...state, error: null, ...NO_EMAIL_CHECK_ANSWER, emailCheckStatus: 'idle' };
+  const email = normalizedEmailOf(next);
+  if (!email || !validateEmailV2(email)) {
+    return result(next, [{ type: AUTH_EFFECT.CANCEL_EMAIL_CHECK }]);
+  }
+  return result(next, [{ type: AUTH_EFFECT.CHECK_EMAIL, email }]);
+}
+
+/**
+ * After an edit: run the field's app validator once the built-in checks pass, and
+ * drop a validator error that was showing for the old value.
+ */
+function withFieldValidation({ state, effects }, field, config) {
+  if (!config.validators[field]) return result(state, effects);
+  const view = selectAuthView(state, config);
+  const previous = state.fieldValidation[field];
+  const error = previous?.error && state.error === previous.error ? null : state.error;
+  const value = validatedValueOf(state, field);
+
+  let ready = view.nameIsValid;
+  if (field === 'email') ready = view.emailIsValid;
+  if (field === 'password') ready = view.isNewPassword && view.passwordIsValid;
+  if (!ready) {
+    return result({ ...state, error, fieldValidation: { ...state.fieldValidation, [field]: null } }, effects);
+  }
+  if (previous?.value === value) return result({ ...state, error }, effects);
+
+  const entry = { value, status: 'validating', error: null };
+  return result({ ...state, error, fieldValidation: { ...state.fieldValidation, [field]: entry } }, [
+    ...effects,
+    { type: AUTH_EFFECT.VALIDATE_FIELD, field, value },
+  ]);
+}
+
+/** null when the field's app validator passed, otherwise the result that blocks NEXT. */
+function blockedByValidator(state, config, view, field) {
+  const status = view.validation[field];
+  if (status === 'valid') return null;
+  if (status === 'invalid') return result({ ...state, error: state.fieldValidation[field].error });
+  const waiting = withError(state, AUTH_ERROR.FIELD_VALIDATING);
+  // 'idle': validators were added after the value was typed.
+  return status === 'idle' ? withFieldValidation(waiting, field, config) : waiting;
+}
+
+function goToStep(state, step) {
+  const next = { ...state, step };
+  return step === AUTH_STEP.EMAIL ? withEmailCheck(next) : result(next);
+}
+
+// Calls a privacy-mode backend can check the email-check hint on.
+const HINTED_EFFECTS = [AUTH_EFFECT.REQUEST_OTP, AUTH_EFFECT.REQUEST_MAGIC_LINK, AUTH_EFFECT.SIGN_IN, AUTH_EFFECT.SIGN_UP];
+
+function callProvider(state, effect) {
+  const hinted =
+    state.emailHint && HINTED_EFFECTS.includes(effect.type) ? { ...effect, emailHint: state.emailHint } : effect;
+  return result({ ...state, busy: true, error: null }, [hinted]);
+}
+
+function track(name, properties) {
+  return { type: AUTH_EFFECT.TRACK, name, properties };
+}
+
+function success(effectResult, method, isNewUser) {
+  return { type: AUTH_EFFECT.SUCCESS, result: effectResult, method, isNewUser: Boolean(isNewUser) };
+}
+
+function withPasswordError(state, config, view) {
+  const code = PASSWORD_ERROR_BY_RULE[view.passwordCheck.failedRule] ?? AUTH_ERROR.WEAK_PASSWORD;
+  return withError(state, code, { min: config.passwordPolicy.minLength });
+}
+
+function submitPassword(state, config, view) {
+  if (!view.passwordIsValid) {
+    return withPasswordError(state, config, view);
+  }
+  const blocked = blockedByValidator(state, config, view, 'password');
+  if (blocked) return blocked;
+  const email = normalizedEmailOf(state);
+  const password = String(state.password ?? '');
+  if (config.upgrade) {
+    // The password is set once the emailed code confirms the address.
+    return callProvider(state, {
+      type: AUTH_EFFECT.LINK_EMAIL,
+      email,
+      name: String(state.name ?? '').trim(),
+      data: profileDataOf(config.profileFields, state.profile),
+      redirectTo: config.confirmRedirectTo,
+    });
+  }
+  if (view.isNewUser) {
+    return callProvider(state, {
+      type: AUTH_EFFECT.SIGN_UP,
+      name: String(state.name ?? '').trim(),
+      email,
+      password,
+      data: profileDataOf(config.profileFields, state.profile),
+      redirectTo: config.confirmRedirectTo,
+    });
+  }
+  return callProvider(state, { type: AUTH_EFFECT.SIGN_IN, email, password });
+}
+
+/** The mode to continue with for this email: the user's pick, else what worked last time. */
+function rememberedModeOf(state, config, email) {
+  if (state.emailAuthModeChosen || !state.methodPreferences) return state.emailAuthMode;
+  const remembered = state.methodPreferences.byEmail?.[emailKeyOf(email)];
+  return config.emailAuthModes.includes(remembered) ? remembered : state.emailAuthMode;
+}
+
+/**
+ * "Use password instead" / "Email me a code instead". On the OTP step the email check
+ * already knows where the password goes; from PASSWORD a code is sent first (the mode
+ * flips once it's out, see effectDone).
+ */
+function switchEmailMode(state, config, view, mode) {
+  if (state.busy || !view.canSwitchEmailMode) return result(state);
+  const to = mode ?? view.alternateEmailMode;
+  if (to === state.emailAuthMode || !config.emailAuthModes.includes(to)) return result(state);
+  const email = normalizedEmailOf(state);
+  const switched = {
+    ...state,
+    error: null,
+    emailAuthMode: to,
+    emailAuthModeChosen: true,
+    password: '',
+    otpCode: '',
+    otpResendSeconds: 0,
+  };
+  const tracked = track(AUTH_EVENT.EMAIL_MODE_SWITCHED, { from: state.emailAuthMode, to });
+
+  if (state.step === AUTH_STEP.PASSWORD) {
+    const { state: pending, effects } = callProvider(
+      { ...state, error: null },
+      { type: AUTH_EFFECT.REQUEST_OTP, email, switchMode: true }
+    );
+    return result(pending, [tracked, ...effects]);
+  }
+  // A hint-only answer needs the user's sign-in / sign-up pick, made on EMAIL.
+  const accountKnown = view.isNewUser || view.isExistingUser || !state.emailHint;
+  if (state.step === AUTH_STEP.OTP && state.emailCheckStatus === 'ready' && accountKnown) {
+    const { state: moved } = goToStep(switched, view.isNewUser ? AUTH_STEP.NAME : AUTH_STEP.PASSWORD);
+    return result(moved, [tracked, { type: AUTH_EFFECT.CANCEL_OTP_SUBMIT }]);
+  }
+  if (state.step === AUTH_STEP.OTP) {
+    // Existence unknown yet: back to EMAIL, which re-runs the check.
+    const { state: moved, effects } = goToStep(switched, AUTH_STEP.EMAIL);
+    return result(moved, [tracked, { type: AUTH_EFFECT.CANCEL_OTP_SUBMIT }, ...effects]);
+  }
+  // EMAIL: nothing sent yet, just continue with the other method.
+  return result(switched, [tracked]);
+}
+
+/**
+ * Password mode, registered account without a password (OTP or OAuth sign-up): use a
+ * method that works for it instead of a password step that can only fail.
+ * Email code if enabled, else its OAuth provider if offered, else set a password via the reset code.
+ */
+function continueWithoutPassword(state, config, email) {
+  const methods = state.emailMethods ?? [];
+  if (config.emailAuthModes.includes('otp')) {
+    const { state: pending, effects } = callProvider(state, { type: AUTH_EFFECT.REQUEST_OTP, email, switchMode: true });
+    return result(pending, [
+      track(AUTH_EVENT.EMAIL_MODE_SWITCHED, { from: 'password', to: 'otp', reason: 'noPassword' }),
+      ...effects,
+    ]);
+  }
+  const provider = config.oauth.providers.find((id) => methods.includes(id));
+  if (provider) return startOauth(state, config, provider);
+  return callProvider(state, {
+    type: AUTH_EFFECT.REQUEST_PASSWORD_RESET,
+    email,
+    redirectTo: config.passwordResetRedirectTo,
+  });
+}
+
+function startOauth(state, config, provider) {
+  const { state: pending, effects } = callProvider(
+    { ...state, oauthPending: provider },
+    { type: AUTH_EFFECT.SIGN_IN_WITH_OAUTH, provider }
+  );
+  return result(pending, [
+    track(AUTH_EVENT.OAUTH_STARTED, { provider, native: Boolean(config.oauth.getIdToken) }),
+    ...effects,
+  ]);
+}
+
+/** Preferences arrive after start(): apply the device's last method until the user acts. */
+function withMethodPreferences(state, config, preferences) {
+  const next = { ...state, methodPreferences: preferences ?? null };
+  const last = preferences?.last;
+  const untouched = state.step === config.initialStep || (state.step === AUTH_STEP.EMAIL && !state.email);
+  if (state.emailAuthModeChosen || !untouched || !config.emailAuthModes.includes(last)) return result(next);
+  return result({ ...next, emailAuthMode: last });
+}
+
+function next(state, config, view) {
+  const { step } = state;
+  const email = normalizedEmailOf(state);
+
+  if (step === AUTH_STEP.START) {
+    return goToStep(state, identifierStepOf(config));
+  }
+
+  if (step === AUTH_STEP.PHONE) {
+    if (!view.phoneIsValid) return withError(state, AUTH_ERROR.PHONE_INVALID);
+    return callProvider(state, { type: AUTH_EFFECT.REQUEST_PHONE_OTP, phone: view.phoneE164 });
+  }
+
+  if (step === AUTH_STEP.EMAIL) {
+    if (!view.emailIsValid) return withError(state, AUTH_ERROR.EMAIL_INVALID);
+    const blocked = blockedByValidator(state, config, view, 'email');
+    if (blocked) return blocked;
+    const emailAuthMode = rememberedModeOf(state, config, email);
+    if (emailAuthMode !== state.emailAuthMode) {
+      // This address signed in with the other method last time.
+      const switched = { ...state, emailAuthMode };
+      return next(switched, config, selectAuthView(switched, config));
+    }
+    if (config.upgrade) {
+      if (state.emailCheckStatus !== 'ready') return withError(state, AUTH_ERROR.EMAIL_CHECKING);
+      // Registered emails belong to another account; the guest can't take them over.
+      if (view.isExistingUser) return withError(state, AUTH_ERROR.USER_EXISTS);
+      if (emailAuthMode === 'otp') {
+        return callProvider(state, { type: AUTH_EFFECT.LINK_EMAIL, email, redirectTo: config.confirmRedirectTo });
+      }
+    }
+    if (emailAuthMode === 'password') {
+      if (state.emailCheckStatus !== 'ready') return withError(state, AUTH_ERROR.EMAIL_CHECKING);
+      if (view.isExistingUser && !view.accountHasPassword) return continueWithoutPassword(state, config, email);
+      // A hint-only answer (privacy mode) can't tell: wait for CHOOSE_ACCOUNT.
+      if (view.needsAccountChoice && !state.accountChoice) return result(state);
+      return goToStep(state, view.isNewUser ? AUTH_STEP.NAME : AUTH_STEP.PASSWORD);
+    }
+    if (emailAuthMode === 'magicLink') {
+      return callProvider(state, { type: AUTH_EFFECT.REQUEST_MAGIC_LINK, email, redirectTo: config.magicLinkRedirectTo });
+    }
+    // OTP mode: request OTP, then go to code entry.
+    return callProvider(state, { type: AUTH_EFFECT.REQUEST_OTP, email });
+  }
+
+  if (step === AUTH_STEP.OTP || step === AUTH_STEP.RESET_CODE) {
+    if (!view.otpIsValid) return withError(state, AUTH_ERROR.OTP_INVALID, { length: config.otp.length });
+    const code = String(state.otpCode ?? '').trim();
+    if (step === AUTH_STEP.OTP && config.phone) {
+      return callProvider(state, { type: AUTH_EFFECT.VERIFY_PHONE_OTP, phone: view.phoneE164, code });
+    }
+    if (step === AUTH_STEP.OTP && config.upgrade) {
+      return callProvider(state, { type: AUTH_EFFECT.VERIFY_EMAIL_LINK, email, code });
+    }
+    const type = step === AUTH_STEP.OTP ? AUTH_EFFECT.VERIFY_OTP : AUTH_EFFECT.VERIFY_RECOVERY_CODE;
+    return callProvider(state, { type, email, code });
+  }
+
+  if (step === AUTH_STEP.NAME) {
+    if (!view.nameIsValid) return withError(state, AUTH_ERROR.NAME_REQUIRED);
+    const invalidKey = config.profileFields.map((field) => field.key).find((key) => view.profileErrors[key]);
+    if (invalidKey) {
+      const { code, params } = view.profileErrors[invalidKey];
+      return withError(state, code, { ...params, key: invalidKey });
+    }
+    const blocked = blockedByValidator(state, config, view, 'name');
+    if (blocked) return blocked;
+    if (state.pendingSuccess) {
+      // Session is already active; just save the name (and profile fields).
+      return callProvider(state, {
+        type: AUTH_EFFECT.UPDATE_PROFILE,
+        name: String(state.name ?? '').trim(),
+        data: profileDataOf(config.profileFields, state.profile),
+      });
+    }
+    return goToStep(state, AUTH_STEP.PASSWORD);
+  }
+
+  if (step === AUTH_STEP.PASSWORD) {
+    return submitPassword(state, config, view);
+  }
+
+  if (step === AUTH_STEP.CONFIRM_EMAIL) {
+    return callProvider(state, {
+      type: AUTH_EFFECT.CHECK_CONFIRMATION,
+      email,
+      password: String(state.password ?? ''),
+      quiet: false,
+    });
+  }
+
+  if (step === AUTH_STEP.NEW_PASSWORD) {
+    if (!view.passwordIsValid) return withPasswordError(state, config, view);
+    const blocked = blockedByValidator(state, config, view, 'password');
+    if (blocked) return blocked;
+    return callProvider(state, { type: AUTH_EFFECT.UPDATE_PASSWORD, password: String(state.password ?? '') });
+  }
+
+  return result(state);
+}
+
+function back(state, config, view) {
+  const cleared = { ...state, error: null };
+  const { step } = state;
+
+  if (step === AUTH_STEP.MAGIC_LINK_SENT) {
+    return goToStep({ ...cleared, otpResendSeconds: 0 }, AUTH_STEP.EMAIL);
+  }
+  if (step === AUTH_STEP.CONFIRM_EMAIL) {
+    return goToStep(
+      { ...cleared, password: '', otpResendSeconds: 0, awaitingConfirmation: false },
+      AUTH_STEP.EMAIL
+    );
+  }
+  if (step === AUTH_STEP.RESET_CODE || step === AUTH_STEP.NEW_PASSWORD) {
+    // Accounts without a password came here straight from the email.
+    const to = view.accountHasPassword ? AUTH_STEP.PASSWORD : AUTH_STEP.EMAIL;
+    return goToStep({ ...cleared, otpCode: '', otpResendSeconds: 0, password: '' }, to);
+  }
+  if (step === AUTH_STEP.PASSWORD) {
+    return goToStep({ ...cleared, password: '' }, view.isNewUser ? AUTH_STEP.NAME : AUTH_STEP.EMAIL);
+  }
+  if (step === AUTH_STEP.NAME) {
+    // After an OTP sign-in the session is already active: there's no step to go back to.
+    if (state.pendingSuccess) return result(cleared);
+    return goToStep({ ...cleared, name: '' }, AUTH_STEP.EMAIL);
+  }
+  if (step === AUTH_STEP.OTP) {
+    return goToStep({ ...cleared, otpCode: '', otpResendSeconds: 0, password: '' }, identifierStepOf(config));
+  }
+  if (step === AUTH_STEP.PHONE) {
+    return goToStep({ ...cleared, phone: '' }, config.initialStep);
+  }
+  if (step === AUTH_STEP.EMAIL) {
+    return goToStep({ ...cleared, email: '', ...NO_EMAIL_CHECK_ANSWER, emailCheckStatus: 'idle' }, config.initialStep);
+  }
+  return result(cleared);
+}
+
+function resend(state, config, view) {
+  const email = normalizedEmailOf(state);
+  if (state.step === AUTH_STEP.RESET_CODE) {
+    return callProvider(state, {
+      type: AUTH_EFFECT.REQUEST_PASSWORD_RESET,
+      email,
+      redirectTo: config.passwordResetRedirectTo,
+      resend: true,
+    });
+  }
+  if (state.step === AUTH_STEP.CONFIRM_EMAIL) {
+    return callProvider(state, { type: AUTH_EFFECT.RESEND_CONFIRMATION, email, redirectTo: config.confirmRedirectTo });
+  }
+  if (state.step === AUTH_STEP.MAGIC_LINK_SENT) {
+    return callProvider(state, {
+      type: AUTH_EFFECT.REQUEST_MAGIC_LINK,
+      email,
+      redirectTo: config.magicLinkRedirectTo,
+      resend: true,
+    });
+  }
+  if (config.phone) {
+    return callProvider(state, { type: AUTH_EFFECT.REQUEST_PHONE_OTP, phone: view.phoneE164, resend: true });
+  }
+  if (config.upgrade) {
+    return callProvider(state, { type: AUTH_EFFECT.LINK_EMAIL, email, redirectTo: config.confirmRedirectTo, resend: true });
+  }
+  return callProvider(state, { type: AUTH_EFFECT.REQUEST_OTP, email, resend: true });
+}
+
+/** CONFIRM_EMAIL: keeps the password so the flow can sign in once the link is opened. */
+function awaitConfirmation(state, resendSeconds) {
+  const next = {
+    ...state,
+    error: null,
+    otpResendSeconds: resendSeconds,
+    awaitingConfirmation: true,
+    step: AUTH_STEP.CONFIRM_EMAIL,
+  };
+  return result(next, [track(AUTH_EVENT.EMAIL_CONFIRMATION_REQUIRED)]);
+}
+
+function confirmed(state, effectResult) {
+  return result({ ...state, password: '', awaitingConfirmation: false, otpResendSeconds: 0 }, [
+    success(effectResult, 'password', true),
+  ]);
+}
+
+function effectDone(state, { effect, result: effectResult }, config, view) {
+  const idle = { ...state, busy: false };
+  const cooldown = config.otp.resendCooldownSeconds;
+
+  switch (effect.type) {
+    case AUTH_EFFECT.REQUEST_OTP:
+      if (effect.resend) {
+        return result({ ...idle, otpCode: '', otpResendSeconds: cooldown }, [
+          track(AUTH_EVENT.OTP_RESENT, { kind: 'otp' }),
+        ]);
+      }
+      return result(
+        {
+          ...idle,
+          // Switched over from the PASSWORD step.
+          ...(effect.switchMode ? { emailAuthMode: 'otp', emailAuthModeChosen: true, password: '' } : {}),
+          otpCode: '',
+          otpResendSeconds: cooldown,
+          step: AUTH_STEP.OTP,
+        },
+        [track(AUTH_EVENT.OTP_REQUESTED, { channel: 'email' })]
+      );
+
+    case AUTH_EFFECT.LINK_EMAIL:
+      if (effect.resend) {
+        return result({ ...idle, otpCode: '', otpResendSeconds: cooldown }, [
+          track(AUTH_EVENT.OTP_RESENT, { kind: 'emailLink' }),
+        ]);
+      }
+      return result({ ...idle, otpCode: '', otpResendSeconds: cooldown, step: AUTH_STEP.OTP }, [
+        track(AUTH_EVENT.OTP_REQUESTED, { channel: 'email' }),
+      ]);
+
+    case AUTH_EFFECT.VERIFY_EMAIL_LINK:
+      // The guest now owns the email. Password upgrades still have to set the password.
+      if (state.emailAuthMode === 'password') {
+        return callProvider(
+          { ...idle, otpCode: '', otpResendSeconds: 0 },
+          { type: AUTH_EFFECT.UPDATE_PASSWORD, password: String(state.password ?? '') }
+        );
+      }
+      return (
+        collectNameAfterOtp(idle, config, effectResult, 'otp', false) ??
+        result(idle, [success(effectResult, 'otp', false)])
+      );
+
+    case AUTH_EFFECT.REQUEST_PHONE_OTP:
+      if (effect.resend) {
+        return result({ ...idle, otpCode: '', otpResendSeconds: cooldown }, [
+          track(AUTH_EVENT.OTP_RESENT, { kind: 'sms' }),
+        ]);
+      }
+      return result({ ...idle, otpCode: '', otpResendSeconds: cooldown, step: AUTH_STEP.OTP }, [
+        track(AUTH_EVENT.OTP_REQUESTED, { channel: 'sms' }),
+      ]);
+
+    case AUTH_EFFECT.REQUEST_MAGIC_LINK:
+      if (effect.resend) {
+        return result({ ...idle, otpCode: '', otpResendSeconds: cooldown }, [
+          track(AUTH_EVENT.OTP_RESENT, { kind: 'magicLink' }),
+        ]);
+      }
+      return result({ ...idle, otpResendSeconds: cooldown, step: AUTH_STEP.MAGIC_LINK_SENT }, [
+        track(AUTH_EVENT.MAGIC_LINK_REQUESTED),
+      ]);
+
+    case AUTH_EFFECT.REQUEST_PASSWORD_RESET:
+      if (effect.resend) {
+        return result({ ...idle, otpCode: '', otpResendSeconds: cooldown }, [
+          track(AUTH_EVENT.OTP_RESENT, { kind: 'passwordReset' }),
+        ]);
+      }
+      return result(
+        { ...idle, password: '', otpCode: '', otpResendSeconds: cooldown, step: AUTH_STEP.RESET_CODE },
+        [track(AUTH_EVENT.PASSWORD_RESET_REQUESTED)]
+      );
+
+    case AUTH_EFFECT.VERIFY_OTP:
+    case AUTH_EFFECT.VERIFY_PHONE_OTP: {
+      // Session is active; host app should react to auth state and close.
+      const method = effect.type === AUTH_EFFECT.VERIFY_OTP ? 'otp' : 'phone';
+      const user = effectResult?.user ?? effectResult?.session?.user;
+      // Phone numbers have no existence check: the user's timestamps tell.
+      const isNewUser = (method === 'otp' && view.isNewUser) || isFreshUser(user);
+      return (
+        collectNameAfterOtp(idle, config, effectResult, method, isNewUser) ??
+        result(idle, [success(effectResult, method, isNewUser)])
+      );
+    }
+
+    case AUTH_EFFECT.UPDATE_PROFILE: {
+      const pending = state.pendingSuccess;
+      if (!pending) return result(idle);
+      const user = effectResult?.user ?? pending.result?.user ?? pending.result?.session?.user ?? null;
+      return result({ ...idle, pendingSuccess: null }, [
+        success({ ...pending.result, user }, pending.method, pending.isNewUser),
+      ]);
+    }
+
+    case AUTH_EFFECT.VERIFY_RECOVERY_CODE:
+      return result({ ...idle, otpCode: '', otpResendSeconds: 0, password: '', step: AUTH_STEP.NEW_PASSWORD });
+
+    case AUTH_EFFECT.UPDATE_PASSWORD:
+      if (config.upgrade) {
+        return result({ ...idle, password: '' }, [success({ user: effectResult?.user ?? null }, 'password', false)]);
+      }
+      // Recovery session is now a normal session.
+      return result(idle, [success({ user: effectResult?.user ?? null }, 'passwordReset', false)]);
+
+    case AUTH_EFFECT.SIGN_IN_ANONYMOUSLY:
+      return result(idle, [success(effectResult, 'anonymous', true)]);
+
+    case AUTH_EFFECT.SIGN_UP:
+      // No session: the project requires email confirmation before the first sign-in.
+      if (!effectResult?.session) return awaitConfirmation(idle, cooldown);
+      return result(idle, [success(effectResult, 'password', true)]);
+
+    case AUTH_EFFECT.RESEND_CONFIRMATION:
+      return result({ ...idle, otpResendSeconds: cooldown }, [
+        track(AUTH_EVENT.OTP_RESENT, { kind: 'signupConfirmation' }),
+      ]);
+
+    case AUTH_EFFECT.CHECK_CONFIRMATION:
+      if (!state.awaitingConfirmation) return result(idle);
+      if (!effectResult?.session) {
+        return effect.quiet ? result(idle) : withError(idle, AUTH_ERROR.EMAIL_NOT_CONFIRMED);
+      }
+      return confirmed(idle, effectResult);
+
+    case AUTH_EFFECT.SIGN_IN:
+      return result(idle, [success(effectResult, 'password', false)]);
+
+    case AUTH_EFFECT.SIGN_IN_WITH_OAUTH: {
+      const done = { ...idle, oauthPending: null };
+      // null: the user cancelled the browser / native sheet.
+      if (!effectResult) return result(done);
+      const user = effectResult.user ?? effectResult.session?.user;
+      return result(done, [success(effectResult, effect.provider, isFreshUser(user))]);
+    }
+
+    case AUTH_EFFECT.COMPLETE_FROM_URL:
+      if (!effectResult) return result(idle);
+      if (state.step === AUTH_STEP.CONFIRM_EMAIL) {
+        // Confirmation link opened on this device.
+        return state.awaitingConfirmation ? confirmed(idle, effectResult) : result(idle);
+      }
+      return result(idle, [success(effectResult, 'magicLink', view.isNewUser)]);
+
+    default:
+      return result(idle);
+  }
+}
+
+function effectFailed(state, { effect, error }, config) {
+  const failed = { ...state, busy: false, oauthPending: null };
+  const nextError = toErrorState(error);
+  if (effect.type === AUTH_EFFECT.CHECK_CONFIRMATION && effect.quiet) {
+    // Background checks fail until the link is opened; stay quiet.
+    return result(failed);
+  }
+  if (effect.type === AUTH_EFFECT.SIGN_IN && nextError.code === AUTH_ERROR.EMAIL_NOT_CONFIRMED) {
+    // Signed up earlier but never confirmed: same "check your inbox" step, resend allowed right away.
+    return awaitConfirmation(failed, 0);
+  }
+  if (
+    effect.type === AUTH_EFFECT.VERIFY_OTP ||
+    effect.type === AUTH_EFFECT.VERIFY_PHONE_OTP ||
+    effect.type === AUTH_EFFECT.VERIFY_EMAIL_LINK ||
+    effect.type === AUTH_EFFECT.VERIFY_RECOVERY_CODE
+  ) {
+    const nextError = explainOtpVerifyError(error);
+    const purpose = effect.type === AUTH_EFFECT.VERIFY_RECOVERY_CODE ? 'passwordReset' : 'signIn';
+    return result({ ...failed, error: nextError }, [
+      track(AUTH_EVENT.OTP_VERIFY_FAILED, { code: nextError.code, purpose }),
+    ]);
+  }
+  return result({ ...failed, error: nextError });
+}
+
+/**
+ * The whole flow: (state, action) -> { state, effects }. Pure; safe to unit test.
+ *
+ * @param {ReturnType<typeof createInitialAuthState>} state
+ * @param {{ type: string } & Record<string, any>} action one of AUTH_ACTION
+ * @param {ReturnType<typeof resolveAuthConfig>} config
+ * @returns {{ state: ReturnType<typeof createInitialAuthState>, effects: Array<{ type: string } & Record<string, any>> }}
+ */
+export function authTransition(state, action, config) {
+  const view = selectAuthView(state, config);
+
+  switch (action.type) {
+    case AUTH_ACTION.SET_FIELD: {
+      const nextState = { ...state, [action.field]: action.value };
+      if (action.field === 'email' && state.step === AUTH_STEP.EMAIL) {
+        return withFieldValidation(withEmailCheck(nextState), 'email', config);
+      }
+      if (action.field === 'email' || action.field === 'name' || action.field === 'password') {
+        return withFieldValidation(result(nextState), action.field, config);
+      }
+      if (action.field === 'otpCode' && view.isCodeStep) {
+        // Clear the code error as the user edits the code.
+        const edited = state.error && action.value ? { ...nextState, error: null } : nextState;
+        // Last digit in: verify automatically. Any further edit cancels the pending submit.
+        const complete = config.otp.autoSubmit && validateOtpCode(action.value, config.otp.length);
+        const effect = complete
+          ? { type: AUTH_EFFECT.SCHEDULE_OTP_SUBMIT, code: String(action.value) }
+          : { type: AUTH_EFFECT.CANCEL_OTP_SUBMIT };
+        return result(edited, [effect]);
+      }
+      return result(nextState);
+    }
+
+    case AUTH_ACTION.SET_PROFILE_FIELD: {
+      const profile = { ...state.profile, [action.key]: action.value };
+      // Drop the error that was pointing at this field.
+      const error = state.error?.params?.key === action.key ? null : state.error;
+      return result({ ...state, profile, error });
+    }
+
+    case AUTH_ACTION.START:
+      return goToStep({ ...state, error: null }, identifierStepOf(config));
+
+    case AUTH_ACTION.NEXT:
+      if (state.busy) return result(state);
+      return next({ ...state, error: null }, config, view);
+
+    case AUTH_ACTION.SUBMIT:
+      if (state.busy) return result(state);
+      return submitPassword({ ...state, error: null }, config, view);
+
+    case AUTH_ACTION.BACK:
+      return back(state, config, view);
+
+    case AUTH_ACTION.EDIT_EMAIL:
+      // Tapping the email row on a later step: back to EMAIL to edit + re-check existence.
+      return goToStep(
+        { ...state, error: null, password: '', otpCode: '', otpResendSeconds: 0 },
+        identifierStepOf(config)
+      );
+
+    case AUTH_ACTION.RESEND:
+      if (state.busy || !view.isResendStep || state.otpResendSeconds > 0) return result(state);
+      return resend(state, config, view);
+
+    case AUTH_ACTION.FORGOT_PASSWORD:
+      if (state.busy || state.step !== AUTH_STEP.PASSWORD || !view.isExistingUser) return result(state);
+      return callProvider(state, {
+        type: AUTH_EFFECT.REQUEST_PASSWORD_RESET,
+        email: normalizedEmailOf(state),
+        redirectTo: config.passwordResetRedirectTo,
+      });
+
+    case AUTH_ACTION.OAUTH:
+      if (state.busy) return result(state);
+      return startOauth(state, config, action.provider);
+
+    case AUTH_ACTION.GUEST:
+      if (state.busy || !config.guest || state.step !== AUTH_STEP.START) return result(state);
+      return callProvider(state, { type: AUTH_EFFECT.SIGN_IN_ANONYMOUSLY });
+
+    case AUTH_ACTION.DEEP_LINK:
+      // One call at a time: a link opened twice (or mid sign-in) must not complete twice.
+      if (state.busy || !action.url) return result(state);
+      return callProvider(state, { type: AUTH_EFFECT.COMPLETE_FROM_URL, url: action.url });
+
+    case AUTH_ACTION.RESET: {
+      // Remembered methods outlive the reset.
+      const fresh = withMethodPreferences(createInitialAuthState(config), config, state.methodPreferences).state;
+      return goToStep(fresh, config.initialStep);
+    }
+
+    case AUTH_ACTION.SWITCH_EMAIL_MODE:
+      return switchEmailMode(state, config, view, action.mode);
+
+    case AUTH_ACTION.CHOOSE_ACCOUNT: {
+      if (state.busy || !view.needsAccountChoice) return result(state);
+      const chosen = { ...state, error: null, accountChoice: action.newAccount ? 'signUp' : 'signIn' };
+      return next(chosen, config, selectAuthView(chosen, config));
+    }
+
+    case AUTH_ACTION.METHOD_PREFERENCES_LOADED:
+      return withMethodPreferences(state, config, action.preferences);
+
+    case AUTH_ACTION.TICK:
+      if (state.otpResendSeconds <= 0) return result(state);
+      return result({ ...state, otpResendSeconds: state.otpResendSeconds <= 1 ? 0 : state.otpResendSeconds - 1 });
+
+    case AUTH_ACTION.CONFIRMATION_CHECK:
+      if (state.step !== AUTH_STEP.CONFIRM_EMAIL || !state.awaitingConfirmation || state.busy) return result(state);
+      return result(state, [
+        {
+          type: AUTH_EFFECT.CHECK_CONFIRMATION,
+          email: normalizedEmailOf(state),
+          password: String(state.password ?? ''),
+          quiet: true,
+        },
+      ]);
+
+    case AUTH_ACTION.SESSION_STARTED:
+      if (state.step !== AUTH_STEP.CONFIRM_EMAIL || !state.awaitingConfirmation || !action.session) {
+        return result(state);
+      }
+      return confirmed({ ...state, busy: false }, { session: action.session, user: action.session.user ?? null });
+
+    case AUTH_ACTION.PASSWORD_RECOVERY:
+      // Recovery link opened instead of typing the code: go straight to a new password.
+      if (state.step !== AUTH_STEP.RESET_CODE) return result(state);
+      return result({ ...state, error: null, otpCode: '', password: '', step: AUTH_STEP.NEW_PASSWORD });
+
+    case AUTH_ACTION.EMAIL_CHECK_STARTED:
+      if (action.email !== normalizedEmailOf(state)) return result(state);
+      // Keep UI clean: no error surfaced for email-check failures.
+      return result({ ...state, emailCheckStatus: 'checking', error: null });
+
+    case AUTH_ACTION.EMAIL_CHECK_SUCCEEDED:
+      if (action.email !== normalizedEmailOf(state)) return result(state);
+      return result({
+        ...state,
+        emailExists: typeof action.exists === 'boolean' ? action.exists : null,
+        emailHint: typeof action.hint === 'string' ? action.hint : null,
+        emailMethods: Array.isArray(action.methods) ? action.methods : null,
+        emailConfirmed: typeof action.emailConfirmed === 'boolean' ? action.emailConfirmed : null,
+        emailCheckStatus: 'ready',
+      });
+
+    case AUTH_ACTION.EMAIL_CHECK_FAILED:
+      // Give up silently: the user can retry by editing the email. Only a rate limit or a
+      // rejected captcha is shown, since retrying right away won't help.
+      if (action.email !== normalizedEmailOf(state)) return result(state);
+      return result({ ...state, ...NO_EMAIL_CHECK_ANSWER, emailCheckStatus: 'idle', error: action.error ?? state.error });
+
+    case AUTH_ACTION.FIELD_VALIDATED: {
+      const entry = state.fieldValidation[action.field];
+      if (!entry || entry.value !== action.value) return result(state);
+      const checked = { ...entry, status: action.error ? 'invalid' : 'valid', error: action.error ?? null };
+      const nextState = { ...state, fieldValidation: { ...state.fieldValidation, [action.field]: checked } };
+      if (FIELD_OF_STEP[state.step] === action.field) {
+        // Show the validator's error under the field being edited; drop a stale "Checking…".
+        if (action.error) nextState.error = action.error;
+        else if (state.error?.code === AUTH_ERROR.FIELD_VALIDATING) nextState.error = null;
+      }
+      return result(nextState);
+    }
+
+    case AUTH_ACTION.EFFECT_DONE:
+      return effectDone(state, action, config, view);
+
+    case AUTH_ACTION.EFFECT_FAILED:
+      return effectFailed(state, action, config);
+
+    default:
+      return result(state);
+  }
+}
+
+/**
+ * checkEmailExists() may answer a boolean (older adapters), `{ exists, methods?, emailConfirmed? }`
+ * or `{ hint }` (privacy mode: existence stays unknown).
+ *
+ * @param {any} answer
+ */
+function emailCheckAnswerOf(answer) {
+  if (typeof answer?.hint === 'string') return { exists: null, hint: answer.hint, methods: null, emailConfirmed: null };
+  const isObject = answer !== null && typeof answer === 'object';
+  return {
+    exists: Boolean(isObject ? answer.exists : answer),
+    hint: undefined,
+    methods: isObject && Array.isArray(answer.methods) ? answer.methods : null,
+    emailConfirmed: isObject && typeof answer.emailConfirmed === 'boolean' ? answer.emailConfirmed : null,
+  };
+}
+
+/**
+ * Run one provider effect. Returns the provider result (null = cancelled / not an auth link).
+ *
+ * @param {{ type: string } & Record<string, any>} effect
+ * @param {any} providers from createAuthProviders()
+ * @param {ReturnType<typeof resolveAuthConfig>} config
+ */
+export async function runAuthEffect(effect, providers, config) {
+  const { emailPassword, emailOtp } = providers;
+
+  switch (effect.type) {
+    case AUTH_EFFECT.REQUEST_OTP:
+      return emailOtp.requestOtp({ email: effect.email, emailHint: effect.emailHint });
+    case AUTH_EFFECT.VERIFY_OTP:
+      return emailOtp.verifyOtp({ email: effect.email, code: effect.code });
+    case AUTH_EFFECT.REQUEST_PHONE_OTP:
+      return providers.phoneOtp.requestOtp({ phone: effect.phone });
+    case AUTH_EFFECT.VERIFY_PHONE_OTP:
+      return providers.phoneOtp.verifyOtp({ phone: effect.phone, code: effect.code });
+    case AUTH_EFFECT.REQUEST_MAGIC_LINK:
+      return emailOtp.requestMagicLink({ email: effect.email, redirectTo: effect.redirectTo, emailHint: effect.emailHint });
+    case AUTH_EFFECT.REQUEST_PASSWORD_RESET:
+      return emailPassword.requestPasswordReset({ email: effect.email, redirectTo: effect.redirectTo });
+    case AUTH_EFFECT.VERIFY_RECOVERY_CODE:
+      return emailPassword.verifyRecoveryCode({ email: effect.email, code: effect.code });
+    case AUTH_EFFECT.UPDATE_PASSWORD:
+      return emailPassword.updatePassword({ password: effect.password });
+    case AUTH_EFFECT.SIGN_IN:
+      return emailPassword.signIn({ email: effect.email, password: effect.password, emailHint: effect.emailHint });
+    case AUTH_EFFECT.SIGN_UP:
+      return emailPassword.signUp({
+        name: effect.name,
+        email: effect.email,
+        password: effect.password,
+        data: effect.data,
+        redirectTo: effect.redirectTo,
+        emailHint: effect.emailHint,
+      });
+    case AUTH_EFFECT.RESEND_CONFIRMATION:
+      return emailPassword.resendConfirmation({ email: effect.email, redirectTo: effect.redirectTo });
+    case AUTH_EFFECT.CHECK_CONFIRMATION:
+      // Supabase only lets the password sign in after the email is confirmed.
+      return emailPassword.signIn({ email: effect.email, password: effect.password });
+    case AUTH_EFFECT.SIGN_IN_ANONYMOUSLY:
+      return providers.anonymous.signIn();
+    case AUTH_EFFECT.LINK_EMAIL: {
+      const { email, name, data, redirectTo } = effect;
+      // OTP upgrades collect the name after the code (collectNameAfterOtp).
+      const metadata = name ? { ...data, name } : undefined;
+      return providers.anonymous.linkEmail({ email, data: metadata, redirectTo });
+    }
+    case AUTH_EFFECT.VERIFY_EMAIL_LINK:
+      return providers.anonymous.verifyEmailLink({ email: effect.email, code: effect.code });
+    case AUTH_EFFECT.UPDATE_PROFILE:
+      return emailOtp.updateProfile({ name: effect.name, data: effect.data });
+    case AUTH_EFFECT.COMPLETE_FROM_URL:
+      return emailOtp.completeFromUrl({ url: effect.url });
+    case AUTH_EFFECT.SIGN_IN_WITH_OAUTH: {
+      // Prefers the native ID-token flow when the host supplies `getIdToken`,
+      // otherwise falls back to the PKCE browser redirect.
+      const oauthProvider = effect.provider === 'apple' ? providers.oauthApple : providers.oauthGoogle;
+      if (config.oauth.getIdToken) {
+        const credential = await config.oauth.getIdToken(effect.provider);
+        // Host returned nothing: user cancelled the native sheet.
+        if (!credential?.token) return null;
+        return oauthProvider.signInWithIdToken(credential);
+      }
+      return oauthProvider.signInWithRedirect({
+        redirectTo: config.oauth.redirectTo,
+        openAuthSession: config.oauth.openAuthSession,
+      });
+    }
+    default:
+      throw new Error(`Unknown auth effect: ${effect.type}`);
+  }
+}
+
+/**
+ * Framework-free interpreter around authTransition().
+ *
+ *   const flow = createAuthFlow({ providers: createAuthProviders({ supabase }), options });
+ *   flow.subscribe((state) => render(state));
+ *   flow.start();
+ *   await flow.dispatch({ type: AUTH_ACTION.SET_FIELD, field: 'email', value: 'a@b.co' });
+ *   await flow.dispatch({ type: AUTH_ACTION.NEXT });
+ *
+ * dispatch() resolves once every provider call it started (and their follow-ups) settled,
+ * with [{ effect, result } | { effect, error }].
+ *
+ * @param {{
+ *   providers: any,
+ *   options?: any,
+ *   startAt?: 'start'|'email',
+ *   mode?: 'signIn'|'upgrade',
+ *   translate?: (key: string, params?: Record<string, any>) => string,
+ *   onSuccess?: (result: { user: any, session: any, isNewUser: boolean, method: string, upgraded: boolean }) => void,
+ *   onStepChange?: (step: string) => void,
+ *   onError?: (error: { code: string, message: string, step: string }) => void,
+ *   emailCheckDebounceMs?: number,
+ *   otpAutoSubmitDelayMs?: number,
+ *   confirmationPollMs?: number,
+ * }} params
+ */
+export function createAuthFlow({
+  providers,
+  options,
+  startAt,
+  mode,
+  translate,
+  onSuccess,
+  onStepChange,
+  onError,
+  emailCheckDebounceMs = 500,
+  // Short pause so a mistyped last digit can still be corrected.
+  otpAutoSubmitDelayMs = 300,
+  // CONFIRM_EMAIL: each check is a sign-in attempt, so keep well under Supabase's sign-in rate limit.
+  confirmationPollMs = 15000,
+}) {
+  let currentProviders = providers;
+  let currentOptions = options;
+  let config = resolveAuthConfig({ options, startAt, mode });
+  let analytics = createAnalyticsTracker(options?.analytics);
+  // Last OTP / password choice per email; see auth.preferences.js.
+  let methodMemory = createMethodMemory(options);
+  // Recent checkEmailExists answers; see auth.cache.js.
+  let emailCheckCache = createEmailCheckCache(options);
+  let state = createInitialAuthState(config);
+  let started = false;
+  let preferencesRequested = false;
+  const listeners = new Set();
+
+  // Timers / subscriptions owned by the interpreter
+  let resendTimer = null;
+  let otpSubmitTimer = null;
+  let recoveryUnsubscribe = null;
+  let confirmationTimer = null;
+  let confirmationUnsubscribe = null;
+  let emailCheckTimer = null;
+  let emailCheckRequestId = 0;
+  // { email, controller, promise } of the check on the wire, shared by identical requests
+  let emailCheckInFlight = null;
+  // A check cut short by dispose(); start() runs it again.
+  let emailCheckInterrupted = false;
+
+  // Analytics timings
+  let flowStartedAt = Date.now();
+  let stepEnteredAt = Date.now();
+
+  function trackEvent(name, step, properties) {
+    // The email is only used for the optional hash, never sent as-is.
+    analytics?.track(name, step, properties, normalizedEmailOf(state) || undefined);
+  }
+
+  function syncTimers() {
+    const view = selectAuthView(state, config);
+    const wantsResendTimer = started && view.isResendStep && state.otpResendSeconds > 0;
+    if (wantsResendTimer && !resendTimer) {
+      resendTimer = setInterval(() => dispatch({ type: AUTH_ACTION.TICK }), 1000);
+    } else if (!wantsResendTimer && resendTimer) {
+      clearInterval(resendTimer);
+      resendTimer = null;
+    }
+
+    // supabase-js emits PASSWORD_RECOVERY once the host app has handed it the recovery link.
+    const wantsRecovery = started && state.step === AUTH_STEP.RESET_CODE;
+    if (wantsRecovery && !recoveryUnsubscribe) {
+      recoveryUnsubscribe = currentProviders.emailPassword.onAuthStateChange(({ event }) => {
+        if (event === 'PASSWORD_RECOVERY') dispatch({ type: AUTH_ACTION.PASSWORD_RECOVERY });
+      });
+    } else if (!wantsRecovery && recoveryUnsubscribe) {
+      recoveryUnsubscribe();
+      recoveryUnsubscribe = null;
+    }
+
+    // Confirmation link opened on this device (session arrives via the auth listener) or
+    // elsewhere (only a sign-in attempt notices): listen and poll.
+    const wantsConfirmation = started && state.step === AUTH_STEP.CONFIRM_EMAIL && state.awaitingConfirmation;
+    if (wantsConfirmation && !confirmationTimer) {
+      confirmationTimer = setInterval(() => dispatch({ type: AUTH_ACTION.CONFIRMATION_CHECK }), confirmationPollMs);
+      confirmationUnsubscribe = currentProviders.emailPassword.onAuthStateChange(({ event, session }) => {
+        if (event === 'SIGNED_IN' && session) dispatch({ type: AUTH_ACTION.SESSION_STARTED, session });
+      });
+    } else if (!wantsConfirmation && confirmationTimer) {
+      clearInterval(confirmationTimer);
+      confirmationTimer = null;
+      confirmationUnsubscribe?.();
+      confirmationUnsubscribe = null;
+    }
+  }
+
+  function cancelOtpSubmit() {
+    if (otpSubmitTimer) clearTimeout(otpSubmitTimer);
+    otpSubmitTimer = null;
+  }
+
+  function notify(prev) {
+    if (prev.step !== state.step) {
+      const now = Date.now();
+      trackEvent(AUTH_EVENT.STEP_VIEWED, state.step, {
+        previousStep: prev.step,
+        msInPreviousStep: now - stepEnteredAt,
+      });
+      stepEnteredAt = now;
+      onStepChange?.(state.step);
+    }
+    if (state.error && state.error !== prev.error) {
+      trackEvent(AUTH_EVENT.ERROR_SHOWN, state.step, { code: state.error.code });
+      onError?.({
+        code: state.error.code,
+        message: translate
+          ? translateError(translate, state.error)
+          : (state.error.params?.message ?? state.error.code),
+        step: state.step,
+      });
+    }
+    listeners.forEach((listener) => listener(state, prev));
+    syncTimers();
+  }
+
+  function abortEmailCheck() {
+    emailCheckInFlight?.controller?.abort();
+    emailCheckInFlight = null;
+  }
+
+  /** Drop the pending / running check. True when one was cut short (status stuck on "checking"). */
+  function interruptEmailCheck() {
+    const interrupted = Boolean(emailCheckTimer) || state.emailCheckStatus === 'checking';
+    if (emailCheckTimer) clearTimeout(emailCheckTimer);
+    emailCheckTimer = null;
+    // Drop any in-flight email check result, and stop the request itself.
+    emailCheckRequestId += 1;
+    abortEmailCheck();
+    return interrupted;
+  }
+
+  function recheckEmail() {
+    const email = normalizedEmailOf(state);
+    if (state.step !== AUTH_STEP.EMAIL || !email || !validateEmailV2(email)) return;
+    runEmailCheck(email);
+  }
+
+  /**
+   * One network check with retries. Resolves { answer } | { error } (error null = silent
+   * give-up) | { aborted }; never dispatches, so several runEmailCheck calls can share it.
+   */
+  async function checkEmailWithRetries(email, signal) {
+    const maxAttempts = 4;
+    const baseDelayMs = 350;
+    const checkStartedAt = Date.now();
+    let lastError = null;
+    trackEvent(AUTH_EVENT.EMAIL_CHECK_STARTED, state.step);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+      try {
+        // Captcha tokens are single-use: ask for a new one on every attempt.
+        // eslint-disable-next-line no-await-in-loop
+        const captchaToken = config.getCaptchaToken ? await config.getCaptchaToken(email) : undefined;
+        if (signal?.aborted) return { aborted: true };
+        const params = { email };
+        if (captchaToken) params.captchaToken = captchaToken;
+        if (signal) params.signal = signal;
+        // eslint-disable-next-line no-await-in-loop
+        const answer = await currentProviders.emailPassword.checkEmailExists(params);
+        if (signal?.aborted) return { aborted: true };
+        const checked = emailCheckAnswerOf(answer);
+        emailCheckCache?.set(email, checked);
+        trackEvent(AUTH_EVENT.EMAIL_CHECK_SUCCEEDED, state.step, {
+          exists: checked.exists,
+          methods: checked.methods ?? undefined,
+          attempts: attempt + 1,
+          durationMs: Date.now() - checkStartedAt,
+        });
+        return { answer: checked };
+      } catch (err) {
+        lastError = err;
+        // Cancelled on purpose (new email, step left): not a failure.
+        if (signal?.aborted) return { aborted: true };
+        const { code } = toErrorState(err);
+        // Retrying would only burn more of the limit (or another captcha).
+        const retryable = code !== AUTH_ERROR.RATE_LIMITED && code !== AUTH_ERROR.CAPTCHA_FAILED;
+        // willRetry: false is the silent give-up.
+        trackEvent(AUTH_EVENT.EMAIL_CHECK_FAILED, state.step, {
+          code,
+          attempt: attempt + 1,
+          maxAttempts,
+          willRetry: retryable && attempt + 1 < maxAttempts,
+          durationMs: Date.now() - checkStartedAt,
+        });
+        if (!retryable) return { error: toErrorState(err) };
+        if (typeof __DEV__ !== 'undefined' && __DEV__) {
+          const message = err instanceof Error ? err.message : String(err ?? 'Unknown error');
+          // eslint-disable-next-line no-console
+          console.warn('[auth-module] Email check failed (retrying silently)', {
+            attempt: attempt + 1,
+            maxAttempts,
+            message,
+          });
+        }
+
+        if (attempt + 1 < maxAttempts) {
+          // Backoff with small jitter; status stays "checking" so the UI just shows a spinner.
+          const jitter = Math.floor(Math.random() * 120);
+          const delay = baseDelayMs * (attempt + 1) + jitter;
+          // eslint-disable-next-line no-await-in-loop
+          await new Promise((r) => setTimeout(r, delay));
+          if (signal?.aborted) return { aborted: true };
+        }
+      }
+    }
+
+    if (typeof __DEV__ !== 'undefined' && __DEV__) {
+      const message = lastError instanceof Error ? lastError.message : String(lastError ?? 'Unknown error');
+      // eslint-disable-next-line no-console
+      console.error('[auth-module] Email check failed (silent) after retries', { message });
+    }
+    return { error: null };
+  }
+
+  async function runEmailCheck(email) {
+    const reqId = ++emailCheckRequestId;
+    const cached = emailCheckCache?.get(email);
+    if (cached) {
+      trackEvent(AUTH_EVENT.EMAIL_CHECK_SUCCEEDED, state.step, {
+        exists: cached.exists,
+        methods: cached.methods ?? undefined,
+        attempts: 0,
+        durationMs: 0,
+        cached: true,
+      });
+      dispatch({ type: AUTH_ACTION.EMAIL_CHECK_SUCCEEDED, email, ...cached });
+      return;
+    }
+
+    dispatch({ type: AUTH_ACTION.EMAIL_CHECK_STARTED, email });
+    // The same email already on the wire (a typo fixed and undone while it ran) shares
+    // that request; a check for any other email is cancelled. Until then a stale answer
+    // is simply ignored by the transition.
+    if (emailCheckInFlight?.email !== email) {
+      abortEmailCheck();
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const inFlight = { email, controller, promise: null };
+      inFlight.promise = checkEmailWithRetries(email, controller?.signal).finally(() => {
+        if (emailCheckInFlight === inFlight) emailCheckInFlight = null;
+      });
+      emailCheckInFlight = inFlight;
+    }
+
+    const outcome = await emailCheckInFlight.promise;
+    if (reqId !== emailCheckRequestId || outcome.aborted) return;
+    if (outcome.answer) {
+      dispatch({ type: AUTH_ACTION.EMAIL_CHECK_SUCCEEDED, email, ...outcome.answer });
+      return;
+    }
+    dispatch({ type: AUTH_ACTION.EMAIL_CHECK_FAILED, email, ...(outcome.error ? { error: outcome.error } : {}) });
+  }
+
+  async function runEffect(effect, step) {
+    switch (effect.type) {
+      case AUTH_EFFECT.CHECK_EMAIL:
+        if (emailCheckTimer) clearTimeout(emailCheckTimer);
+        emailCheckTimer = null;
+        // Cached answers cost nothing, so only network checks are debounced.
+        if (emailCheckCache?.get(effect.email)) {
+          runEmailCheck(effect.email);
+          return [];
+        }
+        // Debounce to avoid firing on every keystroke.
+        emailCheckTimer = setTimeout(() => {
+          emailCheckTimer = null;
+          runEmailCheck(effect.email);
+        }, emailCheckDebounceMs);
+        return [];
+
+      case AUTH_EFFECT.CANCEL_EMAIL_CHECK:
+        if (emailCheckTimer) clearTimeout(emailCheckTimer);
+        emailCheckTimer = null;
+        abortEmailCheck();
+        return [];
+
+      case AUTH_EFFECT.SCHEDULE_OTP_SUBMIT: {
+        cancelOtpSubmit();
+        const scheduledStep = state.step;
+        otpSubmitTimer = setTimeout(() => {
+          otpSubmitTimer = null;
+          // Stale if the code or step changed meanwhile.
+          if (state.busy || state.step !== scheduledStep || state.otpCode !== effect.code) return;
+          dispatch({ type: AUTH_ACTION.NEXT });
+        }, otpAutoSubmitDelayMs);
+        return [];
+      }
+
+      case AUTH_EFFECT.CANCEL_OTP_SUBMIT:
+        cancelOtpSubmit();
+        return [];
+
+      case AUTH_EFFECT.VALIDATE_FIELD: {
+        const validator = config.validators[effect.field];
+        let error = null;
+        try {
+          const context = {
+            field: effect.field,
+            email: normalizedEmailOf(state),
+            name: String(state.name ?? '').trim(),
+          };
+          error = validator ? toValidationError(await validator(effect.value, context)) : null;
+        } catch (err) {
+          // A broken validator shouldn't lock users out: log it and let the value through.
+          if (typeof __DEV__ !== 'undefined' && __DEV__) {
+            // eslint-disable-next-line no-console
+            console.warn('[auth-module] Validator failed', effect.field, err instanceof Error ? err.message : err);
+          }
+        }
+        return dispatch({ type: AUTH_ACTION.FIELD_VALIDATED, field: effect.field, value: effect.value, error });
+      }
+
+      case AUTH_EFFECT.TRACK:
+        trackEvent(effect.name, step, effect.properties);
+        return [];
+
+      case AUTH_EFFECT.SUCCESS: {
+        const session = effect.result?.session ?? null;
+        let event = effect.isNewUser ? AUTH_EVENT.SIGNUP_COMPLETED : AUTH_EVENT.SIGNIN_COMPLETED;
+        if (config.upgrade) event = AUTH_EVENT.GUEST_UPGRADED;
+        trackEvent(event, step, {
+          method: effect.method,
+          timeToSignInMs: Date.now() - flowStartedAt,
+        });
+        // The account behind this email just changed (created, linked, password set).
+        emailCheckCache?.delete(normalizedEmailOf(state));
+        if (methodMemory && config.emailAuthModes.length > 1 && config.emailAuthModes.includes(effect.method)) {
+          methodMemory
+            .save(normalizedEmailOf(state), effect.method)
+            .then((preferences) => dispatch({ type: AUTH_ACTION.METHOD_PREFERENCES_LOADED, preferences }));
+        }
+        onSuccess?.({
+          user: effect.result?.user ?? session?.user ?? null,
+          session,
+          isNewUser: effect.isNewUser,
+          method: effect.method,
+          // Same user id as the guest; their data carries over.
+          upgraded: config.upgrade,
+        });
+        return [];
+      }
+
+      default: {
+        let outcome;
+        let followUp;
+        try {
+          const effectResult = await runAuthEffect(effect, currentProviders, config);
+          outcome = { effect, result: effectResult };
+          followUp = dispatch({ type: AUTH_ACTION.EFFECT_DONE, effect, result: effectResult });
+        } catch (error) {
+          outcome = { effect, error };
+          // A cached "not registered" was wrong (or went stale): ask again next time.
+          if (effect.email && toErrorState(error).code === AUTH_ERROR.USER_EXISTS) {
+            emailCheckCache?.delete(effect.email);
+          }
+          followUp = dispatch({ type: AUTH_ACTION.EFFECT_FAILED, effect, error });
+        }
+        return [outcome, ...(await followUp)];
+      }
+    }
+  }
+
+  function dispatch(action) {
+    const prev = state;
+    const { state: nextState, effects } = authTransition(prev, action, config);
+    state = nextState;
+    if (action.type === AUTH_ACTION.RESET) flowStartedAt = Date.now();
+    // Tapping CONTINUE first makes a pending auto-submit redundant.
+    if (action.type === AUTH_ACTION.NEXT) cancelOtpSubmit();
+    if (nextState !== prev) notify(prev);
+    return Promise.all(effects.map((effect) => runEffect(effect, prev.step))).then((outcomes) => outcomes.flat());
+  }
+
+  return {
+    getState: () => state,
+    getConfig: () => config,
+    getView: () => selectAuthView(state, config),
+    dispatch,
+
+    /** listener(state, prevState) after every change. Returns unsubscribe. */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    /** Begin timers / subscriptions and report the first step_viewed. Idempotent. */
+    start() {
+      if (started) return;
+      started = true;
+      stepEnteredAt = Date.now();
+      trackEvent(AUTH_EVENT.STEP_VIEWED, state.step, { previousStep: null, msInPreviousStep: 0 });
+      syncTimers();
+      // e.g. StrictMode's dispose / start cycle while the email was being checked.
+      if (emailCheckInterrupted) {
+        emailCheckInterrupted = false;
+        recheckEmail();
+      }
+      if (methodMemory && config.emailAuthModes.length > 1 && !preferencesRequested) {
+        preferencesRequested = true;
+        methodMemory.load().then((preferences) => dispatch({ type: AUTH_ACTION.METHOD_PREFERENCES_LOADED, preferences }));
+      }
+    },
+
+    /** Stop timers / subscriptions; start() can resume later. */
+    dispose() {
+      started = false;
+      syncTimers();
+      if (interruptEmailCheck()) emailCheckInterrupted = true;
+      cancelOtpSubmit();
+    },
+
+    /** Swap providers / options without losing the current state. */
+    update({ providers: nextProviders, options: nextOptions, startAt: nextStartAt, mode: nextMode }) {
+      if (nextOptions !== currentOptions) {
+        if (nextOptions?.analytics !== currentOptions?.analytics) {
+          // Same flow, new sinks (often just an inline config re-created by a render).
+          analytics = createAnalyticsTracker(nextOptions?.analytics, { flowId: analytics?.flowId });
+        }
+        if (nextOptions?.email?.rememberMethod !== currentOptions?.email?.rememberMethod) {
+          methodMemory = createMethodMemory(nextOptions);
+        }
+        if (!sameCheckCacheSetting(nextOptions?.email?.checkCache, currentOptions?.email?.checkCache)) {
+          emailCheckCache = createEmailCheckCache(nextOptions);
+        }
+        currentOptions = nextOptions;
+      }
+      config = resolveAuthConfig({ options: currentOptions, startAt: nextStartAt, mode: nextMode });
+      if (!config.emailAuthModes.includes(state.emailAuthMode)) {
+        // The current mode was turned off.
+        const prev = state;
+        state = { ...state, emailAuthMode: config.emailAuthMode, emailAuthModeChosen: false };
+        notify(prev);
+      }
+      if (nextProviders && nextProviders !== currentProviders) {
+        currentProviders = nextProviders;
+        // Answers came from the old backend; ask the new one.
+        emailCheckCache?.clear();
+        if (interruptEmailCheck()) {
+          if (started) recheckEmail();
+          else emailCheckInterrupted = true;
+        }
+        // Resubscribe recovery / confirmation events on the new provider.
+        if (recoveryUnsubscribe) {
+          recoveryUnsubscribe();
+          recoveryUnsubscribe = null;
+        }
+        if (confirmationTimer) {
+          clearInterval(confirmationTimer);
+          confirmationTimer = null;
+          confirmationUnsubscribe?.();
+          confirmationUnsubscribe = null;
+        }
+        syncTimers();
+      }
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * auth.password.js (password policy, no React / no imports)
+ *
+ *   const policy = resolvePasswordPolicy({ minLength: 10, requireDigit: true });
+ *   checkPassword('hunter2', policy, { email: 'jane@example.com' });
+ *   // { valid: false, failedRule: 'minLength', rules: [...], strength: 0 }
+ *
+ * Self-contained on purpose: import the same file on your server (Node, Deno Edge
+ * Functions) so the client and the backend accept exactly the same passwords.
+ */
+
+export const PASSWORD_RULE = {
+  MIN_LENGTH: 'minLength',
+  LOWERCASE: 'lowercase',
+  UPPERCASE: 'uppercase',
+  DIGIT: 'digit',
+  SYMBOL: 'symbol',
+  NOT_COMMON: 'notCommon',
+  NO_PERSONAL_INFO: 'noPersonalInfo',
+};
+
+// Most common leaked passwords (lowercase). Checked case-insensitively.
+const COMMON_PASSWORDS = [
+  '123456', '123456789', '12345678', '1234567890', '12345', '1234567', '111111', '000000', '123123',
+  '654321', '666666', '121212', '112233', '123321', '987654321', '11111111', '88888888', '147258369',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'qwerty1', '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx', 'zaq12wsx',
+  'asdfghjkl', 'asdf1234', 'zxcvbnm', 'abc123', 'abcd1234', 'a1b2c3d4', 'aa123456', 'iloveyou',
+  'admin', 'admin123', 'administrator', 'welcome', 'welcome1', 'welcome123', 'letmein', 'login',
+  'monkey', 'dragon', 'football', 'baseball', 'basketball', 'soccer', 'superman', 'batman', 'starwars',
+  'princess', 'sunshine', 'shadow', 'master', 'michael', 'jennifer', 'jordan23', 'charlie', 'freedom',
+  'whatever', 'trustno1', 'hello123', 'changeme', 'secret', 'default', 'computer', 'internet',
+  'google', 'samsung', 'pokemon', 'naruto', 'mustang', 'liverpool', 'chelsea', 'arsenal',
+  'summer2024', 'winter2024', 'spring2024', 'autumn2024', 'summer2025', 'qwe123', 'qweasdzxc',
+  'test1234', 'testtest', 'guest123', 'user1234', 'mypassword', 'newpassword', 'temp1234',
+];
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireLowercase: false,
+  requireUppercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+  disallowCommon: true,
+  disallowPersonalInfo: true,
+  commonPasswords: [],
+};
+
+/**
+ * Fill in defaults for `options.password.policy`.
+ *
+ * @param {{
+ *   minLength?: number,
+ *   requireLowercase?: boolean,
+ *   requireUppercase?: boolean,
+ *   requireDigit?: boolean,
+ *   requireSymbol?: boolean,
+ *   disallowCommon?: boolean,
+ *   disallowPersonalInfo?: boolean,
+ *   commonPasswords?: string[],
+ * }} [policy]
+ */
+export function resolvePasswordPolicy(policy) {
+  const input = policy && typeof policy === 'object' ? policy : {};
+  const minLength =
+    Number.isInteger(input.minLength) && input.minLength > 0 ? input.minLength : DEFAULT_POLICY.minLength;
+  const flag = (key) => (typeof input[key] === 'boolean' ? input[key] : DEFAULT_POLICY[key]);
+
+  return {
+    minLength,
+    requireLowercase: flag('requireLowercase'),
+    requireUppercase: flag('requireUppercase'),
+    requireDigit: flag('requireDigit'),
+    requireSymbol: flag('requireSymbol'),
+    disallowCommon: flag('disallowCommon'),
+    disallowPersonalInfo: flag('disallowPersonalInfo'),
+    // Extra entries for the disallow-list (e.g. your product name).
+    commonPasswords: Array.isArray(input.commonPasswords)
+      ? input.commonPasswords.map((p) => String(p).toLowerCase())
+      : [],
+  };
+}
+
+function isCommonPassword(password, policy) {
+  const lower = password.toLowerCase();
+  return COMMON_PASSWORDS.includes(lower) || policy.commonPasswords.includes(lower);
+}
+
+// Email local part and name words; shorter pieces match too much by accident.
+function personalInfoTokens({ email, name } = {}) {
+  const local = String(email ?? '').split('@')[0];
+  return [local, ...String(name ?? '').split(/\s+/)]
+    .map((token) => token.trim().toLowerCase())
+    .filter((token) => token.length >= 3);
+}
+
+/**
+ * 0 (very weak) – 4 (strong). A rough estimate from length and variety; common
+ * passwords always score 0.
+ *
+ * @param {string} password
+ * @param {ReturnType<typeof resolvePasswordPolicy>} [policy]
+ */
+export function scorePasswordStrength(password, policy = resolvePasswordPolicy()) {
+  const value = String(password ?? '');
+  if (!value || isCommonPassword(value, policy)) return 0;
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((re) => re.test(value)).length;
+  let score = 0;
+  if (value.length >= 8) score += 1;
+  if (value.length >= 12) score += 1;
+  if (value.length >= 16) score += 1;
+  if (classes >= 3) score += 1;
+  if (classes === 4) score += 1;
+  // Repeats / single-character-class passwords are easy to guess whatever their length.
+  if (/^(.)\1+$/.test(value) || classes === 1) score = Math.min(score, 1);
+  return Math.min(score, 4);
+}
+
+/**
+ * Check a password against a policy. `rules` lists every enabled rule in display
+ * order; `failedRule` is the first one that fails (null when valid).
+ *
+ * @param {string} password
+ * @param {ReturnType<typeof resolvePasswordPolicy>} [policy]
+ * @param {{ email?: string, name?: string }} [context]
+ * @returns {{
+ *   valid: boolean,
+ *   failedRule: string | null,
+ *   rules: Array<{ id: string, passed: boolean, params?: Record<string, any> }>,
+ *   strength: number,
+ * }}
+ */
+export function checkPassword(password, policy = resolvePasswordPolicy(), context = {}) {
+  const value = String(password ?? '');
+  const lower = value.toLowerCase();
+  const rules = [
+    { id: PASSWORD_RULE.MIN_LENGTH, passed: value.length >= policy.minLength, params: { min: policy.minLength } },
+  ];
+
+  if (policy.requireLowercase) rules.push({ id: PASSWORD_RULE.LOWERCASE, passed: /[a-z]/.test(value) });
+  if (policy.requireUppercase) rules.push({ id: PASSWORD_RULE.UPPERCASE, passed: /[A-Z]/.test(value) });
+  if (policy.requireDigit) rules.push({ id: PASSWORD_RULE.DIGIT, passed: /\d/.test(value) });
+  if (policy.requireSymbol) rules.push({ id: PASSWORD_RULE.SYMBOL, passed: /[^A-Za-z0-9]/.test(value) });
+  if (policy.disallowCommon) {
+    rules.push({ id: PASSWORD_RULE.NOT_COMMON, passed: Boolean(value) && !isCommonPassword(value, policy) });
+  }
+  if (policy.disallowPersonalInfo) {
+    const tokens = personalInfoTokens(context);
+    rules.push({ id: PASSWORD_RULE.NO_PERSONAL_INFO, passed: Boolean(value) && !tokens.some((t) => lower.includes(t)) });
+  }
+
+  const failed = rules.find((rule) => !rule.passed);
+  return {
+    valid: !failed,
+    failedRule: failed ? failed.id : null,
+    rules,
+    strength: scorePasswordStrength(value, policy),
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * auth.phone.js (phone numbers only, no React)
+ *
+ * Country list for the dial-code picker plus E.164 helpers:
+ *
+ *   toE164('44', '07700 900123')  // '+447700900123'
+ *   isValidE164('+447700900123')  // true
+ *
+ * Supabase (and most SMS gateways) expect numbers as E.164: "+", country code,
+ * subscriber number, digits only, 8–15 digits total.
+ */
+
+// Sorted by name; `dial` is the country calling code without "+".
+export const PHONE_COUNTRIES = [
+  { iso: 'AR', dial: '54', name: 'Argentina' },
+  { iso: 'AU', dial: '61', name: 'Australia' },
+  { iso: 'BD', dial: '880', name: 'Bangladesh' },
+  { iso: 'BR', dial: '55', name: 'Brazil' },
+  { iso: 'CA', dial: '1', name: 'Canada' },
+  { iso: 'CL', dial: '56', name: 'Chile' },
+  { iso: 'CN', dial: '86', name: 'China' },
+  { iso: 'CO', dial: '57', name: 'Colombia' },
+  { iso: 'EG', dial: '20', name: 'Egypt' },
+  { iso: 'FR', dial: '33', name: 'France' },
+  { iso: 'DE', dial: '49', name: 'Germany' },
+  { iso: 'GH', dial: '233', name: 'Ghana' },
+  { iso: 'IN', dial: '91', name: 'India' },
+  { iso: 'ID', dial: '62', name: 'Indonesia' },
+  { iso: 'IE', dial: '353', name: 'Ireland' },
+  { iso: 'IT', dial: '39', name: 'Italy' },
+  { iso: 'JP', dial: '81', name: 'Japan' },
+  { iso: 'KE', dial: '254', name: 'Kenya' },
+  { iso: 'MY', dial: '60', name: 'Malaysia' },
+  { iso: 'MX', dial: '52', name: 'Mexico' },
+  { iso: 'MA', dial: '212', name: 'Morocco' },
+  { iso: 'NL', dial: '31', name: 'Netherlands' },
+  { iso: 'NG', dial: '234', name: 'Nigeria' },
+  { iso: 'PK', dial: '92', name: 'Pakistan' },
+  { iso: 'PE', dial: '51', name: 'Peru' },
+  { iso: 'PH', dial: '63', name: 'Philippines' },
+  { iso: 'PL', dial: '48', name: 'Poland' },
+  { iso: 'PT', dial: '351', name: 'Portugal' },
+  { iso: 'SA', dial: '966', name: 'Saudi Arabia' },
+  { iso: 'SG', dial: '65', name: 'Singapore' },
+  { iso: 'ZA', dial: '27', name: 'South Africa' },
+  { iso: 'KR', dial: '82', name: 'South Korea' },
+  { iso: 'ES', dial: '34', name: 'Spain' },
+  { iso: 'SE', dial: '46', name: 'Sweden' },
+  { iso: 'TH', dial: '66', name: 'Thailand' },
+  { iso: 'TR', dial: '90', name: 'Turkey' },
+  { iso: 'AE', dial: '971', name: 'United Arab Emirates' },
+  { iso: 'GB', dial: '44', name: 'United Kingdom' },
+  { iso: 'US', dial: '1', name: 'United States' },
+  { iso: 'VN', dial: '84', name: 'Vietnam' },
+];
+
+// Countries whose leading 0 is part of the number rather than a trunk prefix.
+const KEEPS_LEADING_ZERO = new Set(['39']);
+
+/**
+ * Flag emoji for an ISO 3166-1 alpha-2 code ("GB" -> 🇬🇧).
+ *
+ * @param {string} iso
+ */
+export function countryFlag(iso) {
+  const code = String(iso ?? '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) return '';
+  return String.fromCodePoint(...[...code].map((c) => 0x1f1e6 + c.charCodeAt(0) - 65));
+}
+
+/**
+ * Normalize what the user typed into E.164.
+ * - "+..." / "00..." are treated as already international (the picker is ignored)
+ * - otherwise the national trunk "0" is dropped and `dialCode` is prepended
+ *
+ * @param {string} dialCode e.g. '44'
+ * @param {string} input e.g. '07700 900123'
+ * @returns {string} '+447700900123', or '' when there are no digits
+ */
+export function toE164(dialCode, input) {
+  const raw = String(input ?? '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+  if (raw.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+
+  const dial = String(dialCode ?? '').replace(/\D/g, '');
+  const national = KEEPS_LEADING_ZERO.has(dial) ? digits : digits.replace(/^0/, '');
+  return `+${dial}${national}`;
+}
+
+/**
+ * @param {string} phone
+ */
+export function isValidE164(phone) {
+  // Country code never starts with 0; 8–15 digits total.
+  return /^\+[1-9]\d{7,14}$/.test(String(phone ?? ''));
+}
+
+/**
+ * Resolve `options.phone` (true | { defaultCountry, countries }) into picker settings.
+ * Returns null when phone sign-in is off.
+ *
+ * @param {any} options AuthScreen options
+ */
+export function resolvePhoneOptions(options) {
+  const phone = options?.phone;
+  if (!phone) return null;
+  const config = typeof phone === 'object' ? phone : {};
+
+  // `countries` can be ISO codes (['US', 'IN']) or full entries ({ iso, dial, name }).
+  let countries = PHONE_COUNTRIES;
+  if (Array.isArray(config.countries) && config.countries.length) {
+    countries = config.countries
+      .map((entry) =>
+        typeof entry === 'string' ? PHONE_COUNTRIES.find((c) => c.iso === entry.toUpperCase()) : entry
+      )
+      .filter((entry) => entry && entry.iso && entry.dial);
+  }
+  if (!countries.length) countries = PHONE_COUNTRIES;
+
+  const wanted = typeof config.defaultCountry === 'string' ? config.defaultCountry.toUpperCase() : 'US';
+  const defaultCountry = (countries.find((c) => c.iso === wanted) ?? countries[0]).iso;
+
+  return { countries, defaultCountry };
+}
+
+/**
+ * @param {{ countries: Array<{ iso: string, dial: string }> }} phoneConfig from resolvePhoneOptions()
+ * @param {string} iso
+ */
+export function findPhoneCountry(phoneConfig, iso) {
+  const countries = phoneConfig?.countries ?? PHONE_COUNTRIES;
+  return countries.find((c) => c.iso === iso) ?? countries[0];
+}
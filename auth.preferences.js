@@ -0,0 +1,104 @@
+/**
+ * auth.preferences.js (remembered sign-in method, no React)
+ *
+ * When both email OTP and password are enabled, the method that last worked is kept
+ * per email (and per device, for the next empty form):
+ *
+ *   options={{ email: { otp: true, password: true, rememberMethod: { storage: AsyncStorage } } }}
+ *
+ * Emails are stored as a short hash, never as-is. Without `storage` the memory lasts
+ * until the app restarts.
+ */
+
+const DEFAULT_STORAGE_KEY = 'expo-login-auth-module.emailMethod';
+// Oldest entries are dropped past this.
+const MAX_REMEMBERED_EMAILS = 20;
+
+// Shared by every AuthScreen in the app when no storage is passed.
+const memoryStore = new Map();
+
+/**
+ * FNV-1a (32-bit): enough to tell a handful of local accounts apart without storing the address.
+ *
+ * @param {string} email
+ */
+export function emailKeyOf(email) {
+  const value = String(email ?? '').trim().toLowerCase();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function emptyPreferences() {
+  return { last: null, byEmail: {} };
+}
+
+function parsePreferences(raw) {
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!parsed || typeof parsed !== 'object') return emptyPreferences();
+    return {
+      last: typeof parsed.last === 'string' ? parsed.last : null,
+      byEmail: parsed.byEmail && typeof parsed.byEmail === 'object' ? parsed.byEmail : {},
+    };
+  } catch {
+    return emptyPreferences();
+  }
+}
+
+/**
+ * Resolve `options.email.rememberMethod` (default true; `{ storage, storageKey }` to persist).
+ * Returns null when it's turned off.
+ *
+ * @param {any} options AuthScreen options
+ */
+export function createMethodMemory(options) {
+  const setting = options?.email?.rememberMethod;
+  if (setting === false) return null;
+  const config = setting && typeof setting === 'object' ? setting : {};
+  const storage = config.storage && typeof config.storage.getItem === 'function' ? config.storage : null;
+  const storageKey = typeof config.storageKey === 'string' ? config.storageKey : DEFAULT_STORAGE_KEY;
+
+  async function read() {
+    if (!storage) return parsePreferences(memoryStore.get(storageKey));
+    try {
+      return parsePreferences(await storage.getItem(storageKey));
+    } catch {
+      return emptyPreferences();
+    }
+  }
+
+  return {
+    /** @returns {Promise<{ last: string | null, byEmail: Record<string, string> }>} */
+    load: read,
+
+    /**
+     * @param {string} email
+     * @param {string} method 'otp' | 'password'
+     */
+    async save(email, method) {
+      const current = await read();
+      const key = emailKeyOf(email);
+      const byEmail = { ...current.byEmail };
+      delete byEmail[key];
+      byEmail[key] = method;
+      const keys = Object.keys(byEmail);
+      keys.slice(0, Math.max(0, keys.length - MAX_REMEMBERED_EMAILS)).forEach((k) => delete byEmail[k]);
+
+      const next = { last: method, byEmail };
+      if (!storage) {
+        memoryStore.set(storageKey, next);
+        return next;
+      }
+      try {
+        await storage.setItem(storageKey, JSON.stringify(next));
+      } catch {
+        // Remembering is best-effort; sign-in already succeeded.
+      }
+      return next;
+    },
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * auth.profile.js (extra sign-up fields, no React)
+ *
+ * `options.profileFields` describes onboarding data beyond the name. The fields are
+ * shown on the NAME step and saved to user metadata next to `name`
+ * (`signUp` options.data in password mode, `updateProfile` after an OTP sign-in):
+ *
+ *   profileFields: [
+ *     { key: 'username', type: 'text', label: 'Username', required: true,
+ *       validate: (v) => (/^[a-z0-9_]{3,}$/.test(v) ? null : 'usernameInvalid') },
+ *     { key: 'birthDate', type: 'date', label: 'Date of birth' },
+ *     { key: 'country', type: 'select', label: 'Country', options: ['US', 'IN', 'GB'] },
+ *     { key: 'marketingOptIn', type: 'checkbox', label: 'Send me product news' },
+ *   ]
+ *
+ * `label` / `placeholder` / option labels go through the translator, so they can be
+ * plain text or keys added via the `messages` prop.
+ */
+
+import { AUTH_ERROR } from './auth.types';
+import { toValidationError } from './auth.validation';
+
+export const PROFILE_FIELD_TYPE = {
+  TEXT: 'text',
+  DATE: 'date', // 'YYYY-MM-DD'
+  SELECT: 'select',
+  CHECKBOX: 'checkbox',
+};
+
+const FIELD_TYPES = Object.values(PROFILE_FIELD_TYPE);
+// Collected by the built-in steps.
+const RESERVED_KEYS = ['name', 'email', 'password', 'phone'];
+
+function toSelectOption(option) {
+  if (option && typeof option === 'object') {
+    return { value: String(option.value), label: String(option.label ?? option.value) };
+  }
+  return { value: String(option), label: String(option) };
+}
+
+/**
+ * Keep the well-formed entries of `options.profileFields` and fill in defaults.
+ *
+ * @param {any} options AuthScreen options
+ */
+export function resolveProfileFields(options) {
+  const fields = Array.isArray(options?.profileFields) ? options.profileFields : [];
+  const seen = new Set();
+  return fields
+    .filter((field) => {
+      const key = field && typeof field.key === 'string' ? field.key : '';
+      if (!key || RESERVED_KEYS.includes(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((field) => {
+      const type = FIELD_TYPES.includes(field.type) ? field.type : PROFILE_FIELD_TYPE.TEXT;
+      return {
+        key: field.key,
+        type,
+        label: typeof field.label === 'string' ? field.label : field.key,
+        placeholder: typeof field.placeholder === 'string' ? field.placeholder : undefined,
+        required: Boolean(field.required),
+        options: type === PROFILE_FIELD_TYPE.SELECT && Array.isArray(field.options) ? field.options.map(toSelectOption) : [],
+        validate: typeof field.validate === 'function' ? field.validate : undefined,
+        defaultValue: field.defaultValue,
+        keyboardType: typeof field.keyboardType === 'string' ? field.keyboardType : undefined,
+        autoCapitalize: typeof field.autoCapitalize === 'string' ? field.autoCapitalize : undefined,
+      };
+    });
+}
+
+/**
+ * Starting values: `defaultValue`, else '' (false for checkboxes).
+ *
+ * @param {ReturnType<typeof resolveProfileFields>} fields
+ * @param {Record<string, any>} [metadata] existing user metadata to prefill from
+ */
+export function initialProfileValues(fields, metadata = {}) {
+  const values = {};
+  fields.forEach((field) => {
+    const stored = metadata?.[field.key];
+    if (field.type === PROFILE_FIELD_TYPE.CHECKBOX) {
+      values[field.key] = typeof stored === 'boolean' ? stored : Boolean(field.defaultValue);
+    } else {
+      values[field.key] = stored != null ? String(stored) : String(field.defaultValue ?? '');
+    }
+  });
+  return values;
+}
+
+function isEmptyValue(field, value) {
+  if (field.type === PROFILE_FIELD_TYPE.CHECKBOX) return value !== true;
+  return String(value ?? '').trim() === '';
+}
+
+function isValidDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  // Rejects 2023-02-30 and friends (Date would roll them over).
+  return date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Errors per field key (null = fine). Empty optional fields are always fine;
+ * `validate(value, values)` only runs on non-empty values and must be synchronous.
+ *
+ * @param {ReturnType<typeof resolveProfileFields>} fields
+ * @param {Record<string, any>} values
+ * @returns {Record<string, { code: string, params: Record<string, any> } | null>}
+ */
+export function checkProfileFields(fields, values) {
+  const errors = {};
+  fields.forEach((field) => {
+    const value = values?.[field.key];
+    let error = null;
+    if (isEmptyValue(field, value)) {
+      if (field.required) error = { code: AUTH_ERROR.FIELD_REQUIRED, params: { field: field.label } };
+    } else if (field.type === PROFILE_FIELD_TYPE.DATE && !isValidDate(String(value).trim())) {
+      error = { code: AUTH_ERROR.DATE_INVALID, params: {} };
+    } else if (
+      field.type === PROFILE_FIELD_TYPE.SELECT &&
+      field.options.length &&
+      !field.options.some((option) => option.value === value)
+    ) {
+      error = { code: AUTH_ERROR.FIELD_INVALID, params: {} };
+    } else if (field.validate) {
+      const input = typeof value === 'string' ? value.trim() : value;
+      try {
+        error = toValidationError(field.validate(input, values));
+      } catch {
+        // Same as options.validators: a broken validator lets the value through.
+        error = null;
+      }
+    }
+    errors[field.key] = error;
+  });
+  return errors;
+}
+
+/**
+ * What gets stored in user metadata: trimmed text, booleans for checkboxes; empty
+ * optional values are left out.
+ *
+ * @param {ReturnType<typeof resolveProfileFields>} fields
+ * @param {Record<string, any>} values
+ */
+export function profileDataOf(fields, values) {
+  const data = {};
+  fields.forEach((field) => {
+    const value = values?.[field.key];
+    if (field.type === PROFILE_FIELD_TYPE.CHECKBOX) data[field.key] = value === true;
+    else if (!isEmptyValue(field, value)) data[field.key] = String(value).trim();
+  });
+  return data;
+}
@@ -5,12 +5,17 @@
  * - All Supabase calls live inside provider methods.
  * - The provider is the ONLY thing that knows Supabase method names.
  * - Provider methods THROW on error (logic catches and shows message).
+ * - Thrown errors carry `code` (AUTH_ERROR) + `params` so the UI can localize them;
+ *   `message` stays English for logs.
  *
  * Later (v2+), you can add providers here (Google/Apple/OTP/SSO) without changing
  * the UI/logic contract.
+ *
+ * Non-Supabase backends plug in through an auth adapter (see auth.adapters.js);
+ * createProvidersFromAdapter maps it onto the same provider shape.
  */
 
-import { PROVIDERS } from './auth.types';
+import { AUTH_ERROR, PROVIDERS } from './auth.types';
 
 function extractSupabaseErrorMessage(error) {
   if (!error) return 'Unknown error';
@@ -19,17 +24,87 @@ function extractSupabaseErrorMessage(error) {
   return 'Unknown error';
 }
 
+/**
+ * Error with a stable `code` (AUTH_ERROR) for the UI and an English `message` for logs.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @param {Record<string, any>} [params] interpolation values for the localized message
+ */
+export function createAuthError(code, message, params) {
+  const err = new Error(message);
+  err.code = code;
+  err.params = { message, ...(params ?? {}) };
+  return err;
+}
+
+// supabase-js v2 AuthError codes -> AUTH_ERROR
+const SUPABASE_ERROR_CODES = {
+  invalid_credentials: AUTH_ERROR.INVALID_CREDENTIALS,
+  user_already_exists: AUTH_ERROR.USER_EXISTS,
+  email_exists: AUTH_ERROR.USER_EXISTS,
+  email_not_confirmed: AUTH_ERROR.EMAIL_NOT_CONFIRMED,
+  weak_password: AUTH_ERROR.WEAK_PASSWORD,
+  same_password: AUTH_ERROR.SAME_PASSWORD,
+  otp_expired: AUTH_ERROR.OTP_WRONG,
+  over_email_send_rate_limit: AUTH_ERROR.RATE_LIMITED,
+  over_sms_send_rate_limit: AUTH_ERROR.RATE_LIMITED,
+  over_request_rate_limit: AUTH_ERROR.RATE_LIMITED,
+  anonymous_provider_disabled: AUTH_ERROR.UNSUPPORTED,
+  session_not_found: AUTH_ERROR.GUEST_SESSION_REQUIRED,
+};
+
+/**
+ * Map a Supabase auth error to a coded error.
+ * Older GoTrue versions have no `code`, so fall back to well-known messages.
+ */
+function toAuthError(error) {
+  const message = extractSupabaseErrorMessage(error);
+  const supabaseCode = typeof error?.code === 'string' ? error.code : null;
+
+  let code = (supabaseCode && SUPABASE_ERROR_CODES[supabaseCode]) || null;
+  if (!code) {
+    if (/invalid login credentials/i.test(message)) code = AUTH_ERROR.INVALID_CREDENTIALS;
+    else if (/already (registered|exists)/i.test(message)) code = AUTH_ERROR.USER_EXISTS;
+    else if (/email not confirmed/i.test(message)) code = AUTH_ERROR.EMAIL_NOT_CONFIRMED;
+    else if (/auth session missing/i.test(message)) code = AUTH_ERROR.GUEST_SESSION_REQUIRED;
+    else if (error?.status === 429 || /rate limit/i.test(message)) code = AUTH_ERROR.RATE_LIMITED;
+    else if (/network request failed|failed to fetch/i.test(message)) code = AUTH_ERROR.NETWORK;
+    else code = AUTH_ERROR.UNKNOWN;
+  }
+
+  return createAuthError(code, message);
+}
+
 function getSupabaseBaseUrl(supabase) {
   // supabase-js v2 exposes supabaseUrl on the client instance.
   const url = supabase?.supabaseUrl;
   return typeof url === 'string' ? url : null;
 }
 
+// On non-2xx supabase-js leaves `data` empty; the function's JSON body is on `error.context` (a Response).
+async function readEdgeFunctionErrorBody(error) {
+  const response = error?.context;
+  if (!response || typeof response.clone !== 'function') return null;
+  try {
+    return await response.clone().json();
+  } catch {
+    return null;
+  }
+}
+
 function explainEdgeFunctionError(error, data) {
   // supabase-js Functions errors often include `context` with HTTP status.
   const status = error?.context?.status;
   const baseUrl = getSupabaseBaseUrl(error?.context?.supabase) || null;
 
+  // Abuse protection answers carry a `code` the UI can show as-is.
+  if (data?.code === AUTH_ERROR.RATE_LIMITED || data?.code === AUTH_ERROR.CAPTCHA_FAILED) {
+    const retryAfter = typeof data.retryAfter === 'number' ? data.retryAfter : undefined;
+    const message = typeof data.error === 'string' ? data.error : 'Email check rejected.';
+    return createAuthError(data.code, message, { retryAfter });
+  }
+
   // If the Edge Function returned a JSON body (even on 5xx), surface it.
   // Our Edge Function intentionally returns *safe* diagnostics (no secrets).
   if (data && typeof data === 'object') {
@@ -40,10 +115,10 @@ function explainEdgeFunctionError(error, data) {
 
     const missing = [];
     if (config) {
-      if (config?.hasSB_URL === false) missing.push('SB_URL');
-      if (config?.hasSB_SERVICE_ROLE_KEY === false) missing.push('SB_SERVICE_ROLE_KEY');
-      if (config?.hasSUPABASE_URL === false) missing.push('SUPABASE_URL');
-      if (config?.hasSUPABASE_SERVICE_ROLE_KEY === false) missing.push('SUPABASE_SERVICE_ROLE_KEY');
+      // { hasSB_URL: false, hasCAPTCHA_SECRET: false, ... } -> SB_URL, CAPTCHA_SECRET
+      Object.keys(config).forEach((key) => {
+        if (key.startsWith('has') && config[key] === false) missing.push(key.slice(3));
+      });
     }
 
     if (serverError) {
@@ -51,18 +126,30 @@ function explainEdgeFunctionError(error, data) {
       if (role) msg += ` (role: ${role})`;
       if (missing.length) msg += ` (missing: ${missing.join(', ')})`;
       if (hint) msg += ` (${hint})`;
-      return msg;
+      return createAuthError(AUTH_ERROR.EMAIL_CHECK_CONFIG, msg);
     }
   }
 
   if (status === 404) {
-    return 'Email check service not found. Deploy the Edge Function: is-email-registered.';
+    return createAuthError(
+      AUTH_ERROR.EMAIL_CHECK_NOT_FOUND,
+      'Email check service not found. Deploy the Edge Function: is-email-registered.'
+    );
   }
   if (status === 401 || status === 403) {
-    return 'Email check not authorized. Ensure your anon key is correct and the function is deployed.';
+    return createAuthError(
+      AUTH_ERROR.EMAIL_CHECK_UNAUTHORIZED,
+      'Email check not authorized. Ensure your anon key is correct and the function is deployed.'
+    );
+  }
+  if (status === 429) {
+    return createAuthError(AUTH_ERROR.RATE_LIMITED, 'Email check rate limited.');
   }
   if (typeof status === 'number' && status >= 500) {
-    return 'Email check server error. Ensure Edge Function secrets are set (recommended): SB_URL and SB_SERVICE_ROLE_KEY.';
+    return createAuthError(
+      AUTH_ERROR.EMAIL_CHECK_SERVER,
+      'Email check server error. Ensure Edge Function secrets are set (recommended): SB_URL and SB_SERVICE_ROLE_KEY.'
+    );
   }
   const message = extractSupabaseErrorMessage(error);
 
@@ -72,24 +159,338 @@ function explainEdgeFunctionError(error, data) {
     message === 'Network request failed' ||
     /Failed to send a request/i.test(message)
   ) {
-    return [
-      'Cannot reach the Edge Function.',
-      'Check:',
-      '- EXPO_PUBLIC_SUPABASE_URL is exactly `https://<project-ref>.supabase.co` (no spaces, no quotes).',
-      '- Restart Expo with `npx expo start -c` after changing env vars.',
-      '- Device/simulator has internet access.',
-    ].join(' ');
+    return createAuthError(
+      AUTH_ERROR.NETWORK,
+      [
+        'Cannot reach the Edge Function.',
+        'Check:',
+        '- EXPO_PUBLIC_SUPABASE_URL is exactly `https://<project-ref>.supabase.co` (no spaces, no quotes).',
+        '- Restart Expo with `npx expo start -c` after changing env vars.',
+        '- Device/simulator has internet access.',
+      ].join(' ')
+    );
+  }
+
+  return createAuthError(AUTH_ERROR.UNKNOWN, message);
+}
+
+/**
+ * Parse an auth callback URL (OAuth redirect / deep link).
+ *
+ * Supabase can return either:
+ * - PKCE: `?code=...` (exchange it for a session)
+ * - Implicit: `#access_token=...&refresh_token=...`
+ * - Email templates using `{{ .TokenHash }}`: `?token_hash=...&type=magiclink`
+ * - Error: `?error=...&error_description=...` (query or fragment)
+ *
+ * @param {string} url
+ */
+function parseAuthCallbackUrl(url) {
+  const raw = String(url ?? '');
+  const params = {};
+
+  const collect = (part) => {
+    if (!part) return;
+    part.split('&').forEach((pair) => {
+      if (!pair) return;
+      const index = pair.indexOf('=');
+      const key = index === -1 ? pair : pair.slice(0, index);
+      const value = index === -1 ? '' : pair.slice(index + 1);
+      try {
+        params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+      } catch {
+        params[key] = value;
+      }
+    });
+  };
+
+  const hashIndex = raw.indexOf('#');
+  const beforeHash = hashIndex === -1 ? raw : raw.slice(0, hashIndex);
+  const queryIndex = beforeHash.indexOf('?');
+  collect(queryIndex === -1 ? '' : beforeHash.slice(queryIndex + 1));
+  collect(hashIndex === -1 ? '' : raw.slice(hashIndex + 1));
+
+  return {
+    code: params.code ?? null,
+    accessToken: params.access_token ?? null,
+    refreshToken: params.refresh_token ?? null,
+    tokenHash: params.token_hash ?? null,
+    type: params.type ?? null,
+    error: params.error ?? null,
+    errorDescription: params.error_description ?? null,
+  };
+}
+
+/**
+ * Finish a session from an auth callback URL.
+ * Returns null when the URL carries neither a code nor tokens.
+ *
+ * @param {any} supabase
+ * @param {string} url
+ */
+async function completeSessionFromUrl(supabase, url) {
+  const { code, accessToken, refreshToken, tokenHash, type, error, errorDescription } = parseAuthCallbackUrl(url);
+
+  if (error) {
+    throw createAuthError(AUTH_ERROR.LINK_INVALID, errorDescription || error);
   }
 
-  return message;
+  if (code) {
+    // PKCE: supabase-js stored the code verifier when the flow started.
+    const { data, error: exchangeError } = await supabase.auth.exchangeCodeForSession(code);
+    if (exchangeError) {
+      throw toAuthError(exchangeError);
+    }
+    return data;
+  }
+
+  if (accessToken && refreshToken) {
+    const { data, error: sessionError } = await supabase.auth.setSession({
+      access_token: accessToken,
+      refresh_token: refreshToken,
+    });
+    if (sessionError) {
+      throw toAuthError(sessionError);
+    }
+    return data;
+  }
+
+  if (tokenHash) {
+    const { data, error: verifyError } = await supabase.auth.verifyOtp({
+      token_hash: tokenHash,
+      type: type || 'email',
+    });
+    if (verifyError) {
+      throw toAuthError(verifyError);
+    }
+    return data;
+  }
+
+  return null;
 }
 
 /**
- * @param {{ supabase: any }} params
+ * OAuth provider factory (Google / Apple share the same Supabase calls).
+ *
+ * @param {any} supabase
+ * @param {{ id: string, label: string, provider: 'google'|'apple' }} config
  */
-export function createAuthProviders({ supabase }) {
+function createOAuthProvider(supabase, { id, label, provider }) {
+  return {
+    id,
+    label,
+    enabled: true,
+
+    /**
+     * Browser sign-in (PKCE redirect + code exchange).
+     *
+     * The host app passes `openAuthSession` (e.g. `WebBrowser.openAuthSessionAsync`
+     * from expo-web-browser) so this package stays free of browser dependencies.
+     * Returns null if the user cancelled.
+     *
+     * @param {{ redirectTo: string, openAuthSession: (url: string, redirectTo: string) => Promise<{ type: string, url?: string }>, scopes?: string }} params
+     */
+    async signInWithRedirect({ redirectTo, openAuthSession, scopes }) {
+      if (!redirectTo) {
+        throw createAuthError(
+          AUTH_ERROR.OAUTH_CONFIG,
+          `${label} sign-in requires options.oauth.redirectTo (your app deep link).`,
+          { provider: label }
+        );
+      }
+      if (typeof openAuthSession !== 'function') {
+        throw createAuthError(
+          AUTH_ERROR.OAUTH_CONFIG,
+          `${label} sign-in requires options.oauth.openAuthSession (e.g. WebBrowser.openAuthSessionAsync).`,
+          { provider: label }
+        );
+      }
+
+      const { data, error } = await supabase.auth.signInWithOAuth({
+        provider,
+        options: {
+          redirectTo,
+          scopes,
+          // We open the URL ourselves so the redirect comes back into the app.
+          skipBrowserRedirect: true,
+        },
+      });
+
+      if (error) {
+        throw toAuthError(error);
+      }
+      if (!data?.url) {
+        throw createAuthError(AUTH_ERROR.OAUTH_FAILED, `${label} sign-in failed (no authorization URL).`, {
+          provider: label,
+        });
+      }
+
+      const result = await openAuthSession(data.url, redirectTo);
+      if (result?.type !== 'success' || !result?.url) {
+        return null;
+      }
+
+      const session = await completeSessionFromUrl(supabase, result.url);
+      if (!session) {
+        throw createAuthError(AUTH_ERROR.OAUTH_FAILED, `${label} sign-in failed (no code in redirect URL).`, {
+          provider: label,
+        });
+      }
+      return session;
+    },
+
+    /**
+     * Native sign-in with an ID token obtained by the host app
+     * (e.g. expo-apple-authentication, @react-native-google-signin/google-signin).
+     *
+     * @param {{ token: string, nonce?: string, accessToken?: string }} params
+     */
+    async signInWithIdToken({ token, nonce, accessToken }) {
+      const { data, error } = await supabase.auth.signInWithIdToken({
+        provider,
+        token,
+        nonce,
+        access_token: accessToken,
+      });
+
+      if (error) {
+        throw toAuthError(error);
+      }
+
+      return data;
+    },
+  };
+}
+
+/**
+ * Wrap an auth adapter (see auth.adapters.js for the contract) in the provider
+ * shape the logic layer uses. Optional adapter methods that are missing throw
+ * when called, so the screen surfaces a clear message instead of crashing.
+ *
+ * @param {import('./auth.adapters').AuthAdapter} adapter
+ */
+export function createProvidersFromAdapter(adapter) {
+  const call = (method, params) => {
+    if (typeof adapter?.[method] !== 'function') {
+      throw createAuthError(AUTH_ERROR.UNSUPPORTED, `Auth adapter does not support ${method}().`, { method });
+    }
+    return adapter[method](params);
+  };
+
+  const oauth = (id, label, provider) => ({
+    id,
+    label,
+    enabled: typeof adapter.signInWithOAuth === 'function' || typeof adapter.signInWithIdToken === 'function',
+    async signInWithRedirect(params) {
+      return call('signInWithOAuth', { ...params, provider });
+    },
+    async signInWithIdToken(params) {
+      return call('signInWithIdToken', { ...params, provider });
+    },
+  });
+
+  return {
+    emailPassword: {
+      id: PROVIDERS.EMAIL_PASSWORD,
+      label: 'Email',
+      enabled: true,
+      async checkEmailExists(params) {
+        return call('checkEmailExists', params);
+      },
+      async signIn(params) {
+        return call('signIn', params);
+      },
+      async signUp(params) {
+        return call('signUp', params);
+      },
+      async resendConfirmation(params) {
+        return call('resendConfirmation', params);
+      },
+      async requestPasswordReset(params) {
+        return call('requestPasswordReset', params);
+      },
+      async verifyRecoveryCode(params) {
+        return call('verifyRecoveryCode', params);
+      },
+      async updatePassword(params) {
+        return call('updatePassword', params);
+      },
+      async signOut() {
+        return call('signOut');
+      },
+      async getCurrentUser() {
+        if (typeof adapter.getCurrentUser !== 'function') return null;
+        return adapter.getCurrentUser();
+      },
+      onAuthStateChange(handler) {
+        return call('onAuthStateChange', handler);
+      },
+    },
+
+    emailOtp: {
+      id: PROVIDERS.EMAIL_OTP,
+      label: 'Email OTP',
+      enabled: true,
+      async requestOtp(params) {
+        return call('requestOtp', params);
+      },
+      async verifyOtp(params) {
+        return call('verifyOtp', params);
+      },
+      async requestMagicLink(params) {
+        return call('requestMagicLink', params);
+      },
+      async completeFromUrl(params) {
+        // Not every backend uses auth links; treat the URL as "not ours".
+        if (typeof adapter.completeFromUrl !== 'function') return null;
+        return adapter.completeFromUrl(params);
+      },
+      async updateProfile(params) {
+        return call('updateProfile', params);
+      },
+    },
+
+    phoneOtp: {
+      id: PROVIDERS.PHONE_OTP,
+      label: 'Phone OTP',
+      enabled: typeof adapter.requestPhoneOtp === 'function',
+      async requestOtp(params) {
+        return call('requestPhoneOtp', params);
+      },
+      async verifyOtp(params) {
+        return call('verifyPhoneOtp', params);
+      },
+    },
+
+    anonymous: {
+      id: PROVIDERS.ANONYMOUS,
+      label: 'Guest',
+      enabled: typeof adapter.signInAnonymously === 'function',
+      async signIn(params) {
+        return call('signInAnonymously', params);
+      },
+      async linkEmail(params) {
+        return call('linkEmail', params);
+      },
+      async verifyEmailLink(params) {
+        return call('verifyEmailLink', params);
+      },
+    },
+
+    oauthGoogle: oauth(PROVIDERS.OAUTH_GOOGLE, 'Google', 'google'),
+    oauthApple: oauth(PROVIDERS.OAUTH_APPLE, 'Apple', 'apple'),
+  };
+}
+
+/**
+ * @param {{ supabase?: any, adapter?: import('./auth.adapters').AuthAdapter }} params
+ */
+export function createAuthProviders({ supabase, adapter }) {
+  if (adapter) {
+    return createProvidersFromAdapter(adapter);
+  }
   if (!supabase) {
-    throw new Error('Supabase client is required (pass supabase={client}).');
+    throw new Error('Supabase client or auth adapter is required (pass supabase={client} or adapter={adapter}).');
   }
 
   return {
@@ -106,26 +507,36 @@ export function createAuthProviders({ supabase }) {
        * - Do NOT attempt to check this purely client-side (not reliable or safe).
        *
        * Edge function name: is-email-registered
-       * Input: { email }
-       * Output: { exists: boolean }
+       * Input: { email, captchaToken? } (+ `signal` to cancel the request)
+       * Output: { exists, methods, emailConfirmed }, or { hint } in the function's privacy mode
+       * (older deployments answer { exists } only: methods / emailConfirmed come back null)
        *
-       * @param {{ email: string }} params
-       * @returns {Promise<boolean>}
+       * @param {{ email: string, captchaToken?: string, signal?: AbortSignal }} params
+       * @returns {Promise<{ exists: boolean, methods: string[] | null, emailConfirmed: boolean | null } | { hint: string }>}
        */
-      async checkEmailExists({ email }) {
+      async checkEmailExists({ email, captchaToken, signal }) {
         const { data, error } = await supabase.functions.invoke('is-email-registered', {
-          body: { email },
+          body: captchaToken ? { email, captchaToken } : { email },
+          // Aborted when the typed email changes; supabase-js forwards it to fetch.
+          ...(signal ? { signal } : {}),
         });
 
         if (error) {
-          throw new Error(explainEdgeFunctionError(error, data));
+          throw explainEdgeFunctionError(error, data ?? (await readEdgeFunctionErrorBody(error)));
         }
 
+        if (typeof data?.hint === 'string') {
+          return { hint: data.hint };
+        }
         if (typeof data?.exists !== 'boolean') {
-          throw new Error('Email check failed (invalid response).');
+          throw createAuthError(AUTH_ERROR.EMAIL_CHECK_INVALID_RESPONSE, 'Email check failed (invalid response).');
         }
 
-        return data.exists;
+        return {
+          exists: data.exists,
+          methods: Array.isArray(data.methods) ? data.methods.map(String) : null,
+          emailConfirmed: typeof data.emailConfirmed === 'boolean' ? data.emailConfirmed : null,
+        };
       },
 
       /**
@@ -139,7 +550,7 @@ export function createAuthProviders({ supabase }) {
         });
 
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
         }
 
         return data;
@@ -147,20 +558,89 @@ export function createAuthProviders({ supabase }) {
 
       /**
        * Sign up using email + password (v1).
-       * Store name in user metadata for now.
-       * @param {{ name: string, email: string, password: string }} params
+       * Store name (plus any profile fields) in user metadata.
+       * With "Confirm email" on, `session` is null until the link in the email is opened.
+       * @param {{ name: string, email: string, password: string, data?: Record<string, any>, redirectTo?: string }} params
        */
-      async signUp({ name, email, password }) {
+      async signUp({ name, email, password, data: profile, redirectTo }) {
         const { data, error } = await supabase.auth.signUp({
           email,
           password,
           options: {
-            data: { name },
+            data: { ...profile, name },
+            emailRedirectTo: redirectTo,
           },
         });
 
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Send the sign-up confirmation email again.
+       * @param {{ email: string, redirectTo?: string }} params
+       */
+      async resendConfirmation({ email, redirectTo }) {
+        const { data, error } = await supabase.auth.resend({
+          type: 'signup',
+          email,
+          options: { emailRedirectTo: redirectTo },
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Send a password recovery email (contains a 6-digit code and a link).
+       * @param {{ email: string, redirectTo?: string }} params
+       */
+      async requestPasswordReset({ email, redirectTo }) {
+        const { data, error } = await supabase.auth.resetPasswordForEmail(email, {
+          redirectTo,
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Verify the recovery code from the reset email.
+       * On success the user has a (recovery) session and can set a new password.
+       * @param {{ email: string, code: string }} params
+       */
+      async verifyRecoveryCode({ email, code }) {
+        const { data, error } = await supabase.auth.verifyOtp({
+          email,
+          token: code,
+          type: 'recovery',
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Set a new password for the signed-in (recovery) user.
+       * @param {{ password: string }} params
+       */
+      async updatePassword({ password }) {
+        const { data, error } = await supabase.auth.updateUser({ password });
+
+        if (error) {
+          throw toAuthError(error);
         }
 
         return data;
@@ -172,7 +652,7 @@ export function createAuthProviders({ supabase }) {
       async signOut() {
         const { error } = await supabase.auth.signOut();
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
         }
       },
 
@@ -182,7 +662,7 @@ export function createAuthProviders({ supabase }) {
       async getCurrentUser() {
         const { data, error } = await supabase.auth.getUser();
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
         }
         return data?.user ?? null;
       },
@@ -208,6 +688,8 @@ export function createAuthProviders({ supabase }) {
      *
      * - requestOtp: sends a code to user's email
      * - verifyOtp: verifies the code and creates/signs-in user
+     * - requestMagicLink: sends a sign-in link instead of a code
+     * - completeFromUrl: finishes the session from an opened link (deep link)
      * - updateProfile: optional metadata update (e.g., name) after verification
      */
     emailOtp: {
@@ -229,7 +711,7 @@ export function createAuthProviders({ supabase }) {
         });
 
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
         }
 
         return data;
@@ -247,29 +729,198 @@ export function createAuthProviders({ supabase }) {
         });
 
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
         }
 
         return data;
       },
 
       /**
-       * Update the current user's metadata (e.g., name) after OTP verification.
-       * @param {{ name: string }} params
+       * Request a magic (sign-in) link.
+       * @param {{ email: string, redirectTo?: string }} params
        */
-      async updateProfile({ name }) {
+      async requestMagicLink({ email, redirectTo }) {
+        const { data, error } = await supabase.auth.signInWithOtp({
+          email,
+          options: {
+            shouldCreateUser: true,
+            // Link in the email opens this URL (your app's deep link).
+            emailRedirectTo: redirectTo,
+          },
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Finish sign-in from a link the app was opened with.
+       * Handles PKCE `code`, implicit tokens, and `token_hash` links.
+       * Returns null if the URL isn't an auth callback.
+       * @param {{ url: string }} params
+       */
+      async completeFromUrl({ url }) {
+        return completeSessionFromUrl(supabase, url);
+      },
+
+      /**
+       * Update the current user's metadata (name plus any profile fields) after OTP verification.
+       * @param {{ name: string, data?: Record<string, any> }} params
+       */
+      async updateProfile({ name, data: profile }) {
         const { data, error } = await supabase.auth.updateUser({
-          data: { name },
+          data: { ...profile, name },
         });
 
         if (error) {
-          throw new Error(extractSupabaseErrorMessage(error));
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+    },
+
+    /**
+     * Phone (SMS) OTP auth. Needs an SMS provider configured in Supabase Auth → Providers → Phone.
+     *
+     * - requestOtp: texts a code to an E.164 number ("+14155550123")
+     * - verifyOtp: verifies the code and creates/signs-in user
+     */
+    phoneOtp: {
+      id: PROVIDERS.PHONE_OTP,
+      label: 'Phone OTP',
+      enabled: true,
+
+      /**
+       * Request an SMS OTP.
+       * @param {{ phone: string }} params E.164 number
+       */
+      async requestOtp({ phone }) {
+        const { data, error } = await supabase.auth.signInWithOtp({
+          phone,
+          options: {
+            // Same endpoint for sign-up and sign-in.
+            shouldCreateUser: true,
+            channel: 'sms',
+          },
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Verify an SMS OTP code.
+       * @param {{ phone: string, code: string }} params
+       */
+      async verifyOtp({ phone, code }) {
+        const { data, error } = await supabase.auth.verifyOtp({
+          phone,
+          token: code,
+          type: 'sms',
+        });
+
+        if (error) {
+          throw toAuthError(error);
         }
 
         return data;
       },
     },
-  };
-}
 
+    /**
+     * Guest (anonymous) users. Needs Authentication → Providers → Anonymous sign-ins enabled.
+     *
+     * - signIn: creates a guest user with a session
+     * - linkEmail: attaches an email to the signed-in guest (sends a confirmation code)
+     * - verifyEmailLink: confirms it; the guest becomes a permanent user with the same id
+     */
+    anonymous: {
+      id: PROVIDERS.ANONYMOUS,
+      label: 'Guest',
+      enabled: true,
 
+      /**
+       * Sign in as a new guest.
+       * @param {{ data?: Record<string, any> }} [params] initial user metadata
+       */
+      async signIn({ data: metadata } = {}) {
+        const { data, error } = await supabase.auth.signInAnonymously({
+          options: { data: metadata },
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Attach an email (and optional metadata) to the current guest.
+       * The "Change Email Address" template must include `{{ .Token }}` for the code.
+       * @param {{ email: string, data?: Record<string, any>, redirectTo?: string }} params
+       */
+      async linkEmail({ email, data: metadata, redirectTo }) {
+        // updateUser on a permanent user would change their email; only guests may link.
+        const { data: current } = await supabase.auth.getSession();
+        if (!current?.session?.user?.is_anonymous) {
+          throw createAuthError(AUTH_ERROR.GUEST_SESSION_REQUIRED, 'Upgrade needs a signed-in guest (anonymous) user.');
+        }
+
+        const { data, error } = await supabase.auth.updateUser(
+          metadata ? { email, data: metadata } : { email },
+          { emailRedirectTo: redirectTo }
+        );
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+
+      /**
+       * Verify the code sent by linkEmail.
+       * @param {{ email: string, code: string }} params
+       */
+      async verifyEmailLink({ email, code }) {
+        const { data, error } = await supabase.auth.verifyOtp({
+          email,
+          token: code,
+          type: 'email_change',
+        });
+
+        if (error) {
+          throw toAuthError(error);
+        }
+
+        return data;
+      },
+    },
+
+    /**
+     * OAuth (social) auth.
+     *
+     * - signInWithRedirect: PKCE browser flow (needs redirectTo + openAuthSession)
+     * - signInWithIdToken: native flow with an ID token from the host app
+     */
+    oauthGoogle: createOAuthProvider(supabase, {
+      id: PROVIDERS.OAUTH_GOOGLE,
+      label: 'Google',
+      provider: 'google',
+    }),
+
+    oauthApple: createOAuthProvider(supabase, {
+      id: PROVIDERS.OAUTH_APPLE,
+      label: 'Apple',
+      provider: 'apple',
+    }),
+  };
+}
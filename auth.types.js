@@ -11,8 +11,51 @@ export const AUTH_MODE = {
 export const PROVIDERS = {
   EMAIL_PASSWORD: 'emailPassword',
   EMAIL_OTP: 'emailOtp',
+  PHONE_OTP: 'phoneOtp',
   OAUTH_GOOGLE: 'oauthGoogle',
   OAUTH_APPLE: 'oauthApple',
+  ANONYMOUS: 'anonymous',
 };
 
-
+/**
+ * Error codes returned by logic and thrown by providers (`err.code`).
+ * The UI maps each one to the `errors.<code>` message in auth.i18n.js.
+ */
+export const AUTH_ERROR = {
+  UNKNOWN: 'unknown',
+  EMAIL_INVALID: 'emailInvalid',
+  PHONE_INVALID: 'phoneInvalid',
+  // App validators (options.validators): still running / returned `false`
+  FIELD_VALIDATING: 'fieldValidating',
+  FIELD_INVALID: 'fieldInvalid',
+  // options.profileFields
+  FIELD_REQUIRED: 'fieldRequired',
+  DATE_INVALID: 'dateInvalid',
+  EMAIL_CHECKING: 'emailChecking',
+  NAME_REQUIRED: 'nameRequired',
+  OTP_INVALID: 'otpInvalid',
+  OTP_WRONG: 'otpWrong',
+  PASSWORD_TOO_SHORT: 'passwordTooShort',
+  INVALID_CREDENTIALS: 'invalidCredentials',
+  USER_EXISTS: 'userExists',
+  EMAIL_NOT_CONFIRMED: 'emailNotConfirmed',
+  WEAK_PASSWORD: 'weakPassword',
+  PASSWORD_COMMON: 'passwordCommon',
+  PASSWORD_PERSONAL_INFO: 'passwordPersonalInfo',
+  SAME_PASSWORD: 'samePassword',
+  RATE_LIMITED: 'rateLimited',
+  // Email check rejected the captcha token (options.email.getCaptchaToken)
+  CAPTCHA_FAILED: 'captchaFailed',
+  NETWORK: 'network',
+  LINK_INVALID: 'linkInvalid',
+  OAUTH_CONFIG: 'oauthConfig',
+  OAUTH_FAILED: 'oauthFailed',
+  UNSUPPORTED: 'unsupported',
+  // Upgrade mode without a signed-in guest
+  GUEST_SESSION_REQUIRED: 'guestSessionRequired',
+  EMAIL_CHECK_NOT_FOUND: 'emailCheckNotFound',
+  EMAIL_CHECK_UNAUTHORIZED: 'emailCheckUnauthorized',
+  EMAIL_CHECK_SERVER: 'emailCheckServer',
+  EMAIL_CHECK_CONFIG: 'emailCheckConfig',
+  EMAIL_CHECK_INVALID_RESPONSE: 'emailCheckInvalidResponse',
+};
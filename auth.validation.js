@@ -0,0 +1,271 @@
+/**
+ * auth.validation.js (field validators + email typo suggestions, no React)
+ *
+ * App validators (`options.validators`) run after the built-in checks pass:
+ *
+ *   options={{
+ *     validators: {
+ *       email: (email) => (email.endsWith('@acme.com') ? null : 'workEmailOnly'),
+ *       name: async (name) => ((await isBlocked(name)) ? { code: 'nameTaken' } : null),
+ *     },
+ *   }}
+ *
+ * Return null / undefined when valid, otherwise an error code (shown as
+ * `errors.<code>`, add it via the `messages` prop) or `{ code, params?, message? }`
+ * (`message` is shown when there is no translation).
+ * Async validators are fine; results for stale values are ignored.
+ */
+
+import { AUTH_ERROR } from './auth.types';
+
+const VALIDATED_FIELDS = ['email', 'name', 'password'];
+
+/**
+ * Keep only the validator functions from `options.validators`.
+ *
+ * @param {any} options AuthScreen options
+ * @returns {{ email?: Function, name?: Function, password?: Function }}
+ */
+export function resolveValidators(options) {
+  const validators = options?.validators && typeof options.validators === 'object' ? options.validators : {};
+  const out = {};
+  VALIDATED_FIELDS.forEach((field) => {
+    if (typeof validators[field] === 'function') out[field] = validators[field];
+  });
+  return out;
+}
+
+/**
+ * Normalize what a validator returned into `null` (valid) or `{ code, params }`.
+ *
+ * @param {any} value
+ */
+export function toValidationError(value) {
+  if (value === null || value === undefined || value === true || value === '') return null;
+  if (value === false) return { code: AUTH_ERROR.FIELD_INVALID, params: {} };
+  if (typeof value === 'string') return { code: value, params: {} };
+  if (typeof value === 'object' && value.code) {
+    const params = { ...(value.params ?? {}) };
+    if (value.message) params.message = value.message;
+    return { code: String(value.code), params };
+  }
+  return { code: AUTH_ERROR.FIELD_INVALID, params: {} };
+}
+
+// Domains people actually sign up with; typos are matched against these.
+const POPULAR_EMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'yahoo.co.uk',
+  'yahoo.co.in',
+  'yahoo.fr',
+  'yahoo.es',
+  'yahoo.de',
+  'yahoo.com.br',
+  'yahoo.it',
+  'yahoo.ca',
+  'yahoo.co.jp',
+  'ymail.com',
+  'hotmail.com',
+  'hotmail.co.uk',
+  'hotmail.fr',
+  'hotmail.it',
+  'hotmail.es',
+  'hotmail.de',
+  'outlook.com',
+  'outlook.fr',
+  'outlook.de',
+  'outlook.es',
+  'live.com',
+  'live.co.uk',
+  'live.fr',
+  'msn.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'aol.com',
+  'mail.com',
+  'email.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'gmx.de',
+  'gmx.net',
+  'web.de',
+  't-online.de',
+  'orange.fr',
+  'free.fr',
+  'libero.it',
+  'mail.ru',
+  'yandex.ru',
+  'qq.com',
+  '163.com',
+  '126.com',
+  'naver.com',
+  'hanmail.net',
+  'rediffmail.com',
+  'zoho.com',
+  'comcast.net',
+  'att.net',
+  'verizon.net',
+  'btinternet.com',
+  'bol.com.br',
+  'uol.com.br',
+];
+
+// Frequent top-level-domain slips ("gmail.con").
+const TLD_TYPOS = {
+  con: 'com',
+  cmo: 'com',
+  comm: 'com',
+  coom: 'com',
+  ocm: 'com',
+  vom: 'com',
+  xom: 'com',
+  nte: 'net',
+  nett: 'net',
+  ogr: 'org',
+  orgg: 'org',
+};
+
+// Generic TLDs people sign up with; every two-letter TLD counts as a country code.
+const GENERIC_TLDS = [
+  'com',
+  'net',
+  'org',
+  'edu',
+  'gov',
+  'mil',
+  'int',
+  'info',
+  'biz',
+  'name',
+  'pro',
+  'mobi',
+  'app',
+  'dev',
+  'xyz',
+  'online',
+  'site',
+  'tech',
+  'email',
+  'cloud',
+  'live',
+  'store',
+];
+
+// Country-code second levels: "yahoo.co.jp" is the name "yahoo" under "co.jp".
+const SECOND_LEVEL_SUFFIXES = [
+  'co.uk',
+  'org.uk',
+  'ac.uk',
+  'co.in',
+  'co.jp',
+  'ne.jp',
+  'co.nz',
+  'co.za',
+  'co.kr',
+  'com.br',
+  'com.au',
+  'com.mx',
+  'com.ar',
+  'com.tr',
+  'com.cn',
+  'com.sg',
+];
+
+function isRealSuffix(suffix) {
+  return SECOND_LEVEL_SUFFIXES.includes(suffix) || /^[a-z]{2}$/.test(suffix) || GENERIC_TLDS.includes(suffix);
+}
+
+/** "mail.yahoo.co.jp" -> { name: 'mail.yahoo', suffix: 'co.jp' }; null without a dot. */
+function splitDomain(domain) {
+  const labels = domain.split('.');
+  if (labels.length < 2 || labels.some((label) => !label)) return null;
+  const lastTwo = labels.slice(-2).join('.');
+  const suffixLabels = labels.length > 2 && SECOND_LEVEL_SUFFIXES.includes(lastTwo) ? 2 : 1;
+  return { name: labels.slice(0, -suffixLabels).join('.'), suffix: labels.slice(-suffixLabels).join('.') };
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * "jane@gmial.com" -> "jane@gmail.com". Returns null when the domain looks fine
+ * (or nothing close enough is known).
+ *
+ * @param {string} email
+ * @param {string[]} [domains] domains to match against (defaults to popular providers)
+ */
+export function suggestEmailCorrection(email, domains = POPULAR_EMAIL_DOMAINS) {
+  const value = String(email ?? '').trim().toLowerCase();
+  const at = value.lastIndexOf('@');
+  if (at <= 0) return null;
+  const domain = correctDomain(value.slice(at + 1), domains);
+  return domain ? `${value.slice(0, at)}@${domain}` : null;
+}
+
+function closest(value, candidates, maxDistance) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    const distance = editDistance(value, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * A real TLD is never swapped for another one (yahoo.it stays yahoo.it): the name is
+ * compared with the TLD held fixed, and the TLD itself only changes when it isn't a real
+ * one ("gmail.cmo") or lost a letter of the provider's ("gmail.co").
+ */
+function correctDomain(domain, domains) {
+  if (!domain || domains.includes(domain)) return null;
+  const parts = splitDomain(domain);
+  if (!parts) return null;
+  const { name, suffix } = parts;
+
+  if (TLD_TYPOS[suffix]) {
+    const fixed = `${name}.${TLD_TYPOS[suffix]}`;
+    return correctDomain(fixed, domains) ?? fixed;
+  }
+
+  const known = domains.map((candidate) => ({ domain: candidate, ...splitDomain(candidate) }));
+  if (isRealSuffix(suffix)) {
+    // One edit catches drops ("yaho"); swaps ("gmial") cost two, which is only safe on
+    // longer names: short real ones sit within two edits of each other (163 / 126).
+    if (name.length >= 3) {
+      const sameSuffix = known.filter((candidate) => candidate.suffix === suffix);
+      const bestName = closest(name, sameSuffix.map((candidate) => candidate.name), name.length >= 5 ? 2 : 1);
+      if (bestName) return `${bestName}.${suffix}`;
+    }
+    const truncated = known.find(
+      (candidate) =>
+        candidate.name === name &&
+        !candidate.suffix.includes('.') &&
+        candidate.suffix.length === suffix.length + 1 &&
+        editDistance(suffix, candidate.suffix) === 1
+    );
+    return truncated ? truncated.domain : null;
+  }
+
+  // Not a TLD we know ("gmail.cpm"): match the whole domain.
+  if (domain.length < 5) return null;
+  return closest(domain, domains, domain.length >= 8 ? 2 : 1);
+}
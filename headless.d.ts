@@ -0,0 +1,108 @@
+export {
+  AUTH_STEP,
+  AUTH_ACTION,
+  AUTH_EFFECT,
+  AUTH_MODE,
+  PROVIDERS,
+  AUTH_ERROR,
+  AUTH_MESSAGES,
+  AUTH_EVENT,
+  useAuthScreenLogic,
+  handleAuthDeepLink,
+  authTransition,
+  createAuthFlow,
+  createInitialAuthState,
+  resolveAuthConfig,
+  runAuthEffect,
+  selectAuthView,
+  createAuthProviders,
+  createSupabaseAdapter,
+  createRestAdapter,
+  createAuthError,
+  createTranslator,
+  formatMessage,
+  isRtlLocale,
+  translateError,
+  createConsoleAnalytics,
+  createHttpAnalytics,
+  PHONE_COUNTRIES,
+  countryFlag,
+  isValidE164,
+  toE164,
+  PASSWORD_RULE,
+  checkPassword,
+  resolvePasswordPolicy,
+  scorePasswordStrength,
+  suggestEmailCorrection,
+  PROFILE_FIELD_TYPE,
+  checkProfileFields,
+  profileDataOf,
+  resolveProfileFields,
+} from './index';
+
+export type {
+  AuthStep,
+  AuthAction,
+  AuthEffect,
+  AuthEffectOutcome,
+  AuthFlow,
+  AuthFlowConfig,
+  AuthFlowState,
+  AuthEmailMethodPreferences,
+  AuthFlowView,
+  ProviderId,
+  AuthErrorCode,
+  AuthFlowErrorCode,
+  AuthError,
+  AuthMessages,
+  Translate,
+  EmailAuthMode,
+  EmailCheckStatus,
+  EmailCheckAnswer,
+  AuthSignInMethod,
+  AuthProviderBase,
+  EmailPasswordProvider,
+  EmailOtpProvider,
+  PhoneOtpProvider,
+  AnonymousProvider,
+  PhoneCountry,
+  OAuthProvider,
+  AuthProviders,
+  AuthAdapter,
+  AuthBackend,
+  AuthStateChangePayload,
+  AuthScreenOptions,
+  AuthScreenMode,
+  AuthScreenEmailOptions,
+  AuthScreenPhoneOptions,
+  AuthScreenOtpOptions,
+  AuthScreenPasswordOptions,
+  PasswordPolicy,
+  PasswordCheck,
+  PasswordRuleId,
+  AuthScreenValidators,
+  AuthFieldValidator,
+  AuthValidationResult,
+  ProfileField,
+  ProfileFieldValue,
+  ResolvedProfileField,
+  AuthFieldValidationStatus,
+  AuthScreenOauthOptions,
+  AuthScreenOauthProvider,
+  AuthScreenOauthIdToken,
+  AuthScreenOauthSessionResult,
+  RestAdapterOptions,
+  RestAdapterPaths,
+  AsyncStorageLike,
+  AuthScreenCallbacks,
+  AuthSuccessResult,
+  AuthSuccessMethod,
+  AuthErrorEvent,
+  AuthEventName,
+  AuthAnalyticsEvent,
+  AuthAnalyticsSink,
+  AuthAnalyticsOptions,
+  HttpAnalyticsOptions,
+  UseAuthScreenLogicParams,
+  UseAuthScreenLogicResult,
+} from './index';
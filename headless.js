@@ -0,0 +1,29 @@
+/**
+ * Headless entry: logic + providers only, no UI.
+ *
+ *   import { useAuthScreenLogic, AUTH_STEP } from 'expo-login-auth-module/headless';
+ *
+ * Build your own screen on the same state machine AuthScreen.ui.js uses.
+ * (Does not import react-native-safe-area-context.)
+ */
+
+export { AUTH_STEP, useAuthScreenLogic, handleAuthDeepLink } from './AuthScreen.logic';
+export {
+  AUTH_ACTION,
+  AUTH_EFFECT,
+  authTransition,
+  createAuthFlow,
+  createInitialAuthState,
+  resolveAuthConfig,
+  runAuthEffect,
+  selectAuthView,
+} from './auth.machine';
+export { createAuthProviders, createAuthError } from './auth.providers';
+export { createSupabaseAdapter, createRestAdapter } from './auth.adapters';
+export { AUTH_EVENT, createConsoleAnalytics, createHttpAnalytics } from './auth.analytics';
+export { AUTH_MODE, PROVIDERS, AUTH_ERROR } from './auth.types';
+export { AUTH_MESSAGES, createTranslator, formatMessage, isRtlLocale, translateError } from './auth.i18n';
+export { PHONE_COUNTRIES, countryFlag, isValidE164, toE164 } from './auth.phone';
+export { PASSWORD_RULE, checkPassword, resolvePasswordPolicy, scorePasswordStrength } from './auth.password';
+export { PROFILE_FIELD_TYPE, checkProfileFields, profileDataOf, resolveProfileFields } from './auth.profile';
+export { suggestEmailCorrection } from './auth.validation';
@@ -1,26 +1,1077 @@
-import type { ComponentType } from 'react';
+import type { ComponentType, ReactNode } from 'react';
 
 export type AuthScreenEmailOptions = {
   password?: boolean;
   otp?: boolean;
-  default?: 'password' | 'otp';
+  /** Sign in with a link instead of a code (`signInWithOtp` + `emailRedirectTo`). */
+  magicLink?: boolean;
+  default?: 'password' | 'otp' | 'magicLink';
+  /** Deep link the magic link opens (must be in Supabase redirect URLs). */
+  magicLinkRedirectTo?: string;
+  /** Where the password-reset email link sends the user (deep link). */
+  resetRedirectTo?: string;
+  /** Where the sign-up confirmation link sends the user (deep link; "Confirm email" on). */
+  confirmRedirectTo?: string;
+  /** "Did you mean jane@gmail.com?" under the email field (default true). */
+  suggestTypos?: boolean;
+  /**
+   * With both `otp` and `password`: remember each email's last method (default true).
+   * Pass `{ storage }` (e.g. AsyncStorage) to keep it across app restarts.
+   */
+  rememberMethod?: boolean | { storage?: AsyncStorageLike; storageKey?: string };
+  /**
+   * A fresh captcha token (Turnstile / hCaptcha) for each email check, when the
+   * is-email-registered function has CAPTCHA_PROVIDER set. Called once per attempt.
+   */
+  getCaptchaToken?: (email: string) => Promise<string | null | undefined>;
+  /**
+   * Reuse email check answers per email for `ttlMs` (default 120000), keeping the
+   * `maxEntries` (default 50) most recent. `false` checks every time.
+   */
+  checkCache?: boolean | { ttlMs?: number; maxEntries?: number };
+};
+
+/**
+ * Sign-in methods of a registered account: 'password', 'otp' or an identity provider
+ * ('google', 'apple', ...).
+ */
+export type AuthSignInMethod = 'password' | 'otp' | (string & {});
+
+/**
+ * What an email check answers. `methods` lets password mode skip the password step for
+ * accounts that have none; privacy mode answers an opaque hint only.
+ */
+export type EmailCheckAnswer =
+  | boolean
+  | { exists: boolean; methods?: AuthSignInMethod[] | null; emailConfirmed?: boolean | null }
+  | { hint: string };
+
+/**
+ * null / undefined / true = valid; a string = error code (`errors.<code>` via `messages`);
+ * `message` is shown when the code has no translation.
+ */
+export type AuthValidationResult =
+  | null
+  | undefined
+  | boolean
+  | string
+  | { code: string; params?: Record<string, unknown>; message?: string };
+
+export type AuthFieldValidator = (
+  value: string,
+  context: { field: 'email' | 'name' | 'password'; email: string; name: string }
+) => AuthValidationResult | Promise<AuthValidationResult>;
+
+/** Run after the built-in checks pass; the password validator only runs for new passwords. */
+export type AuthScreenValidators = {
+  email?: AuthFieldValidator;
+  name?: AuthFieldValidator;
+  password?: AuthFieldValidator;
+};
+
+export type AuthFieldValidationStatus = 'idle' | 'validating' | 'valid' | 'invalid';
+
+/** Code entry (email OTP, SMS OTP and password-reset codes). */
+export type AuthScreenOtpOptions = {
+  /** Digits per code, 4–10 (default 6). Match Supabase Auth → Providers → Email → OTP length. */
+  length?: number;
+  /** Seconds before "Resend" is allowed again (default 30). */
+  resendCooldownSeconds?: number;
+  /** Verify as soon as the last digit is entered (default true). */
+  autoSubmit?: boolean;
+  /** After verifying, ask new users and users without `user_metadata.name` for their name (default true). */
+  collectName?: boolean;
+};
+
+export type PasswordPolicy = {
+  /** Default 8. */
+  minLength?: number;
+  requireLowercase?: boolean;
+  requireUppercase?: boolean;
+  requireDigit?: boolean;
+  /** Anything that isn't a letter or digit. */
+  requireSymbol?: boolean;
+  /** Reject the bundled list of common passwords (default true). */
+  disallowCommon?: boolean;
+  /** Reject passwords containing the email's local part or a name word (default true). */
+  disallowPersonalInfo?: boolean;
+  /** Extra entries for the common-password list. */
+  commonPasswords?: string[];
+};
+
+export type AuthScreenPasswordOptions = {
+  /** Rules for new passwords (sign-up, reset). Sign-in accepts any non-empty password. */
+  policy?: PasswordPolicy;
+};
+
+export type AuthScreenOauthProvider = 'google' | 'apple';
+
+export type AuthScreenOauthSessionResult = {
+  type: 'success' | 'cancel' | 'dismiss' | string;
+  url?: string;
+};
+
+export type AuthScreenOauthIdToken = {
+  token: string;
+  nonce?: string;
+  accessToken?: string;
 };
 
 export type AuthScreenOauthOptions = {
   google?: boolean;
   apple?: boolean;
+  /** Deep link Supabase redirects back to (must be in Auth → URL Configuration → Redirect URLs). */
+  redirectTo?: string;
+  /** Opens the auth URL and resolves with the redirect, e.g. `WebBrowser.openAuthSessionAsync`. */
+  openAuthSession?: (url: string, redirectTo: string) => Promise<AuthScreenOauthSessionResult>;
+  /** Native flow: return an ID token (or null if cancelled) instead of opening a browser. */
+  getIdToken?: (provider: AuthScreenOauthProvider) => Promise<AuthScreenOauthIdToken | null>;
+};
+
+export const AUTH_EVENT: {
+  readonly STEP_VIEWED: 'step_viewed';
+  readonly EMAIL_CHECK_STARTED: 'email_check_started';
+  readonly EMAIL_CHECK_SUCCEEDED: 'email_check_succeeded';
+  readonly EMAIL_CHECK_FAILED: 'email_check_failed';
+  readonly OTP_REQUESTED: 'otp_requested';
+  readonly OTP_RESENT: 'otp_resent';
+  readonly OTP_VERIFY_FAILED: 'otp_verify_failed';
+  readonly MAGIC_LINK_REQUESTED: 'magic_link_requested';
+  readonly PASSWORD_RESET_REQUESTED: 'password_reset_requested';
+  readonly EMAIL_CONFIRMATION_REQUIRED: 'email_confirmation_required';
+  readonly EMAIL_MODE_SWITCHED: 'email_mode_switched';
+  readonly OAUTH_STARTED: 'oauth_started';
+  readonly ERROR_SHOWN: 'error_shown';
+  readonly SIGNIN_COMPLETED: 'signin_completed';
+  readonly SIGNUP_COMPLETED: 'signup_completed';
+  readonly GUEST_UPGRADED: 'guest_upgraded';
 };
 
+export type AuthEventName = (typeof AUTH_EVENT)[keyof typeof AUTH_EVENT];
+
+export type AuthAnalyticsEvent = {
+  name: AuthEventName;
+  timestamp: number;
+  /** Random id per AuthScreen mount; joins the events of one funnel. */
+  flowId: string;
+  /** Step the event happened on. */
+  step: AuthStep;
+  /** Event details (timings, codes, counts). `emailHash` only when `hashEmail` is set. */
+  properties: Record<string, unknown>;
+};
+
+export type AuthAnalyticsSink = ((event: AuthAnalyticsEvent) => void | Promise<void>) | { track: (event: AuthAnalyticsEvent) => void | Promise<void> };
+
+export type AuthAnalyticsOptions =
+  | AuthAnalyticsSink
+  | AuthAnalyticsSink[]
+  | {
+      sinks: AuthAnalyticsSink | AuthAnalyticsSink[];
+      /** Opt-in: adds `properties.emailHash` (e.g. SHA-256 via expo-crypto). Emails are never sent otherwise. */
+      hashEmail?: (email: string) => string | Promise<string>;
+    };
+
+export function createConsoleAnalytics(params?: {
+  logger?: { log: (...args: unknown[]) => void };
+  prefix?: string;
+}): { track: (event: AuthAnalyticsEvent) => void };
+
+export type HttpAnalyticsOptions = {
+  /** Receives POST { events: AuthAnalyticsEvent[] }. */
+  url: string;
+  fetch?: typeof fetch;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** Default 20. */
+  batchSize?: number;
+  /** Default 5000. */
+  flushIntervalMs?: number;
+  /** Oldest events are dropped past this. Default 500. */
+  maxQueueSize?: number;
+};
+
+export function createHttpAnalytics(params: HttpAnalyticsOptions): {
+  track: (event: AuthAnalyticsEvent) => void;
+  flush: () => Promise<void>;
+  dispose: () => void;
+};
+
+export type PhoneCountry = {
+  /** ISO 3166-1 alpha-2, e.g. 'US'. */
+  iso: string;
+  /** Calling code without "+", e.g. '1'. */
+  dial: string;
+  name: string;
+};
+
+/** Phone (SMS OTP) sign-in: the PHONE step replaces EMAIL. */
+export type AuthScreenPhoneOptions = {
+  /** ISO code preselected in the picker (default 'US'). */
+  defaultCountry?: string;
+  /** Picker entries: ISO codes from PHONE_COUNTRIES or custom entries. Defaults to PHONE_COUNTRIES. */
+  countries?: Array<string | PhoneCountry>;
+};
+
+export declare const PROFILE_FIELD_TYPE: {
+  readonly TEXT: 'text';
+  /** 'YYYY-MM-DD' */
+  readonly DATE: 'date';
+  readonly SELECT: 'select';
+  readonly CHECKBOX: 'checkbox';
+};
+
+export type ProfileFieldType = (typeof PROFILE_FIELD_TYPE)[keyof typeof PROFILE_FIELD_TYPE];
+
+export type ProfileFieldValue = string | boolean;
+
+/** Extra NAME-step field, saved to user metadata under `key`. */
+export type ProfileField = {
+  /** Metadata key; 'name', 'email', 'password' and 'phone' are reserved. */
+  key: string;
+  /** Default 'text'. */
+  type?: ProfileFieldType;
+  /** Plain text or a translation key (via `messages`). */
+  label?: string;
+  placeholder?: string;
+  /** Required checkboxes must be ticked. */
+  required?: boolean;
+  /** `select` entries (labels go through the translator too). */
+  options?: Array<string | { value: string; label?: string }>;
+  /** Runs on non-empty values; synchronous. */
+  validate?: (value: ProfileFieldValue, values: Record<string, ProfileFieldValue>) => AuthValidationResult;
+  defaultValue?: ProfileFieldValue;
+  /** Text fields: TextInput keyboardType / autoCapitalize. */
+  keyboardType?: string;
+  autoCapitalize?: 'none' | 'sentences' | 'words' | 'characters';
+};
+
+export type ResolvedProfileField = Required<Pick<ProfileField, 'key' | 'type' | 'label' | 'required'>> &
+  Omit<ProfileField, 'key' | 'type' | 'label' | 'required' | 'options'> & {
+    options: Array<{ value: string; label: string }>;
+  };
+
+export type ProfileFieldError = { code: string; params: Record<string, unknown> };
+
+export function resolveProfileFields(options?: { profileFields?: ProfileField[] }): ResolvedProfileField[];
+export function checkProfileFields(
+  fields: ResolvedProfileField[],
+  values: Record<string, ProfileFieldValue>
+): Record<string, ProfileFieldError | null>;
+/** Metadata to store: trimmed text, booleans for checkboxes, empty optional values left out. */
+export function profileDataOf(
+  fields: ResolvedProfileField[],
+  values: Record<string, ProfileFieldValue>
+): Record<string, ProfileFieldValue>;
+
 export type AuthScreenOptions = {
   email?: AuthScreenEmailOptions;
   oauth?: AuthScreenOauthOptions;
+  phone?: boolean | AuthScreenPhoneOptions;
+  otp?: AuthScreenOtpOptions;
+  password?: AuthScreenPasswordOptions;
+  validators?: AuthScreenValidators;
+  /** Extra onboarding fields on the NAME step (username, date of birth, ...). */
+  profileFields?: ProfileField[];
+  /** Funnel events (create sinks once, outside render). */
+  analytics?: AuthAnalyticsOptions;
+  /** "Continue as guest" on the start screen (Supabase anonymous sign-ins). */
+  guest?: boolean;
+};
+
+/** 'upgrade' links an email to the signed-in guest instead of signing in. */
+export type AuthScreenMode = 'signIn' | 'upgrade';
+
+export type AuthStateChangePayload = {
+  event: string;
+  session: unknown;
+};
+
+/** Backend contract used instead of a Supabase client (methods throw on error). */
+export type AuthAdapter = {
+  checkEmailExists: (params: { email: string; captchaToken?: string; signal?: AbortSignal }) => Promise<EmailCheckAnswer>;
+  /** `emailHint`: the privacy-mode hint from checkEmailExists, when there is one. */
+  requestOtp: (params: { email: string; emailHint?: string }) => Promise<unknown>;
+  verifyOtp: (params: { email: string; code: string }) => Promise<unknown>;
+  signIn: (params: { email: string; password: string; emailHint?: string }) => Promise<unknown>;
+  signUp: (params: {
+    name: string;
+    email: string;
+    password: string;
+    data?: Record<string, ProfileFieldValue>;
+    redirectTo?: string;
+    emailHint?: string;
+  }) => Promise<unknown>;
+  updateProfile: (params: { name: string; data?: Record<string, ProfileFieldValue> }) => Promise<unknown>;
+  signOut: () => Promise<void>;
+  onAuthStateChange: (handler: (payload: AuthStateChangePayload) => void) => () => void;
+  getCurrentUser?: () => Promise<unknown>;
+  resendConfirmation?: (params: { email: string; redirectTo?: string }) => Promise<unknown>;
+  requestPasswordReset?: (params: { email: string; redirectTo?: string }) => Promise<unknown>;
+  verifyRecoveryCode?: (params: { email: string; code: string }) => Promise<unknown>;
+  updatePassword?: (params: { password: string }) => Promise<unknown>;
+  requestMagicLink?: (params: { email: string; redirectTo?: string; emailHint?: string }) => Promise<unknown>;
+  completeFromUrl?: (params: { url: string }) => Promise<unknown>;
+  signInWithOAuth?: (params: {
+    provider: AuthScreenOauthProvider;
+    redirectTo?: string;
+    openAuthSession?: AuthScreenOauthOptions['openAuthSession'];
+  }) => Promise<unknown>;
+  signInWithIdToken?: (params: {
+    provider: AuthScreenOauthProvider;
+    token: string;
+    nonce?: string;
+    accessToken?: string;
+  }) => Promise<unknown>;
+  /** `phone` is E.164, e.g. '+14155550123'. */
+  requestPhoneOtp?: (params: { phone: string }) => Promise<unknown>;
+  verifyPhoneOtp?: (params: { phone: string; code: string }) => Promise<unknown>;
+  /** "Continue as guest". */
+  signInAnonymously?: (params?: { data?: Record<string, unknown> }) => Promise<unknown>;
+  /** Attach an email to the signed-in guest and send a confirmation code. */
+  linkEmail?: (params: { email: string; data?: Record<string, unknown>; redirectTo?: string }) => Promise<unknown>;
+  /** Resolves with the same user id as the guest. */
+  verifyEmailLink?: (params: { email: string; code: string }) => Promise<unknown>;
+};
+
+/** Either a Supabase client or an auth adapter. */
+export type AuthBackend = { supabase: unknown; adapter?: never } | { adapter: AuthAdapter; supabase?: never };
+
+export type AuthColorScheme = 'light' | 'dark' | 'auto';
+
+export type AuthThemeColors = {
+  bg?: string;
+  text?: string;
+  muted?: string;
+  placeholder?: string;
+  border?: string;
+  borderMuted?: string;
+  primary?: string;
+  primaryText?: string;
+  primaryBorder?: string;
+  danger?: string;
+  success?: string;
+  disabled?: string;
+  closeBg?: string;
+  secondaryBg?: string;
+  shadow?: string;
+};
+
+/** Design tokens; every key is optional and deep-merged over the defaults. */
+export type AuthScreenTheme = {
+  colorScheme?: AuthColorScheme;
+  colors?: AuthThemeColors;
+  /** Merged over `colors` when the resolved scheme is dark. */
+  darkColors?: AuthThemeColors;
+  spacing?: Partial<{
+    screenPadding: number;
+    titleTop: number;
+    titleGap: number;
+    inputTopGap: number;
+    inputHeight: number;
+    buttonHeight: number;
+    buttonMaxWidth: number;
+    buttonTopGap: number;
+    inputHPad: number;
+  }>;
+  radius?: Partial<{ input: number; button: number; close: number }>;
+  font?: Partial<{ title: number; subtitle: number; label: number; input: number; button: number; helper: number }>;
+  fontFamily?: Partial<{ regular: string; bold: string; extraBold: string; italic: string }>;
+};
+
+export type AuthSuccessMethod =
+  | 'password'
+  | 'otp'
+  | 'phone'
+  | 'magicLink'
+  | 'passwordReset'
+  | 'anonymous'
+  | AuthScreenOauthProvider;
+
+export type AuthSuccessResult = {
+  user: unknown;
+  /** Can be null after a password reset. */
+  session: unknown;
+  isNewUser: boolean;
+  method: AuthSuccessMethod;
+  /** `mode="upgrade"`: the guest is now a full account (same user id). */
+  upgraded: boolean;
+};
+
+export type AuthErrorEvent = {
+  code: AuthFlowErrorCode;
+  /** Localized message shown to the user. */
+  message: string;
+  step: AuthStep;
+};
+
+export type AuthScreenCallbacks = {
+  /** A sign-in / sign-up call succeeded. */
+  onSuccess?: (result: AuthSuccessResult) => void;
+  onStepChange?: (step: AuthStep) => void;
+  /** An error was shown to the user. */
+  onError?: (error: AuthErrorEvent) => void;
+  /**
+   * True while a call that may sign the user in runs, or while a signed-in user still has
+   * steps left (name / profile fields after an OTP sign-up).
+   */
+  onFinishingChange?: (finishing: boolean) => void;
 };
 
-export const AuthScreen: ComponentType<{
-  supabase: unknown;
+export type AuthScreenProps = AuthBackend & {
   startAt?: 'start' | 'email';
+  mode?: AuthScreenMode;
   onClose?: () => void;
   options?: AuthScreenOptions;
+  /** Runtime design overrides (memoize it to avoid restyling every render). */
+  theme?: AuthScreenTheme;
+  /** 'auto' follows the OS appearance and updates live. Default: 'light'. */
+  colorScheme?: AuthColorScheme;
+  /** Built-in catalogs: 'en' (default), 'es', 'ar', 'hi'. Region tags fall back to the language ('es-MX' -> 'es'). */
+  locale?: string;
+  /** Per-key copy overrides, e.g. { 'title.welcome': 'Hi!' }. */
+  messages?: AuthMessages;
+  /** Force layout direction. Default: RTL for ar/fa/he/ur locales, else I18nManager.isRTL. */
+  rtl?: boolean;
+} & AuthScreenCallbacks;
+
+export const AuthScreen: ComponentType<AuthScreenProps>;
+
+/** Theme / color scheme for every AuthScreen below it (AuthScreen props win). */
+export const AuthThemeProvider: ComponentType<{
+  theme?: AuthScreenTheme;
+  colorScheme?: AuthColorScheme;
+  children?: ReactNode;
 }>;
 
+export type AuthSessionStatus = 'loading' | 'signedIn' | 'signedOut';
+
+export type AuthSessionValue = {
+  status: AuthSessionStatus;
+  user: unknown;
+  session: unknown;
+  signOut: () => Promise<void>;
+};
+
+export type AuthGateProps = AuthScreenProps & {
+  /** Rendered while signed in. */
+  children?: ReactNode;
+  /** Shown while the stored session is restored. Default: a centered spinner. */
+  loadingFallback?: ReactNode;
+};
+
+/** AuthScreen while signed out (or still finishing the flow), children while signed in. */
+export const AuthGate: ComponentType<AuthGateProps>;
+
+/** Session inside <AuthGate />; throws outside of it. */
+export function useAuthSession(): AuthSessionValue;
+
+/**
+ * Finish sign-in from an incoming auth deep link (magic link / OAuth redirect).
+ * Throws without `supabase` or `adapter`.
+ */
+export function handleAuthDeepLink(url: string, params: AuthBackend): Promise<boolean>;
+
+/* ------------------------------------------------------------------ */
+/* Headless API (also available from 'expo-login-auth-module/headless') */
+/* ------------------------------------------------------------------ */
+
+export const AUTH_STEP: {
+  readonly START: 'start';
+  readonly EMAIL: 'email';
+  readonly PHONE: 'phone';
+  readonly OTP: 'otp';
+  readonly NAME: 'name';
+  readonly PASSWORD: 'password';
+  readonly RESET_CODE: 'resetCode';
+  readonly NEW_PASSWORD: 'newPassword';
+  readonly MAGIC_LINK_SENT: 'magicLinkSent';
+  readonly CONFIRM_EMAIL: 'confirmEmail';
+};
+
+export type AuthStep = (typeof AUTH_STEP)[keyof typeof AUTH_STEP];
+
+export const AUTH_MODE: {
+  readonly SIGN_IN: 'signIn';
+  readonly SIGN_UP: 'signUp';
+};
+
+export const PROVIDERS: {
+  readonly EMAIL_PASSWORD: 'emailPassword';
+  readonly EMAIL_OTP: 'emailOtp';
+  readonly PHONE_OTP: 'phoneOtp';
+  readonly OAUTH_GOOGLE: 'oauthGoogle';
+  readonly OAUTH_APPLE: 'oauthApple';
+  readonly ANONYMOUS: 'anonymous';
+};
+
+export type ProviderId = (typeof PROVIDERS)[keyof typeof PROVIDERS];
+
+export const AUTH_ERROR: {
+  readonly UNKNOWN: 'unknown';
+  readonly EMAIL_INVALID: 'emailInvalid';
+  readonly PHONE_INVALID: 'phoneInvalid';
+  readonly FIELD_VALIDATING: 'fieldValidating';
+  readonly FIELD_INVALID: 'fieldInvalid';
+  readonly FIELD_REQUIRED: 'fieldRequired';
+  readonly DATE_INVALID: 'dateInvalid';
+  readonly EMAIL_CHECKING: 'emailChecking';
+  readonly NAME_REQUIRED: 'nameRequired';
+  readonly OTP_INVALID: 'otpInvalid';
+  readonly OTP_WRONG: 'otpWrong';
+  readonly PASSWORD_TOO_SHORT: 'passwordTooShort';
+  readonly INVALID_CREDENTIALS: 'invalidCredentials';
+  readonly USER_EXISTS: 'userExists';
+  readonly EMAIL_NOT_CONFIRMED: 'emailNotConfirmed';
+  readonly WEAK_PASSWORD: 'weakPassword';
+  readonly PASSWORD_COMMON: 'passwordCommon';
+  readonly PASSWORD_PERSONAL_INFO: 'passwordPersonalInfo';
+  readonly SAME_PASSWORD: 'samePassword';
+  readonly RATE_LIMITED: 'rateLimited';
+  readonly CAPTCHA_FAILED: 'captchaFailed';
+  readonly NETWORK: 'network';
+  readonly LINK_INVALID: 'linkInvalid';
+  readonly OAUTH_CONFIG: 'oauthConfig';
+  readonly OAUTH_FAILED: 'oauthFailed';
+  readonly UNSUPPORTED: 'unsupported';
+  readonly GUEST_SESSION_REQUIRED: 'guestSessionRequired';
+  readonly EMAIL_CHECK_NOT_FOUND: 'emailCheckNotFound';
+  readonly EMAIL_CHECK_UNAUTHORIZED: 'emailCheckUnauthorized';
+  readonly EMAIL_CHECK_SERVER: 'emailCheckServer';
+  readonly EMAIL_CHECK_CONFIG: 'emailCheckConfig';
+  readonly EMAIL_CHECK_INVALID_RESPONSE: 'emailCheckInvalidResponse';
+};
+
+export type AuthErrorCode = (typeof AUTH_ERROR)[keyof typeof AUTH_ERROR];
+
+/** AUTH_ERROR codes plus any code returned by `options.validators`. */
+export type AuthFlowErrorCode = AuthErrorCode | (string & {});
+
+/** Errors thrown by providers / adapters; `code` picks the localized `errors.<code>` message. */
+export type AuthError = Error & { code: AuthErrorCode; params: Record<string, unknown> };
+
+export function createAuthError(code: AuthErrorCode, message: string, params?: Record<string, unknown>): AuthError;
+
+/* ------------------------------------------------------------------ */
+/* i18n                                                                */
+/* ------------------------------------------------------------------ */
+
+/** Flat message catalog keyed by id ('title.welcome', 'errors.otpWrong', ...). */
+export type AuthMessages = Record<string, string>;
+
+export const AUTH_MESSAGES: Record<string, AuthMessages>;
+
+export type Translate = (key: string, params?: Record<string, unknown>) => string;
+
+/** `messages` > locale catalog > English > the key itself. */
+export function createTranslator(params?: { locale?: string; messages?: AuthMessages }): Translate;
+
+/** Replace `{name}` placeholders; unknown placeholders are left as-is. */
+export function formatMessage(template: string, params?: Record<string, unknown>): string;
+
+export function isRtlLocale(locale?: string): boolean;
+
+/** Message for `{ code, params }`; untranslated codes fall back to `params.message`, then the code. */
+export function translateError(t: Translate, error: { code: string; params?: Record<string, unknown> }): string;
+
+/** 'jane@gmial.com' -> 'jane@gmail.com'; null when the domain looks fine. */
+export function suggestEmailCorrection(email: string, domains?: string[]): string | null;
+
+export type EmailAuthMode = 'otp' | 'password' | 'magicLink';
+
+export type EmailCheckStatus = 'idle' | 'checking' | 'ready';
+
+/** Provider methods throw on error. */
+export type AuthProviderBase = {
+  id: ProviderId;
+  label: string;
+  enabled: boolean;
+};
+
+export type EmailPasswordProvider = AuthProviderBase & {
+  checkEmailExists: (params: { email: string; captchaToken?: string; signal?: AbortSignal }) => Promise<EmailCheckAnswer>;
+  signIn: (params: { email: string; password: string; emailHint?: string }) => Promise<unknown>;
+  signUp: (params: {
+    name: string;
+    email: string;
+    password: string;
+    data?: Record<string, ProfileFieldValue>;
+    redirectTo?: string;
+    emailHint?: string;
+  }) => Promise<unknown>;
+  resendConfirmation: (params: { email: string; redirectTo?: string }) => Promise<unknown>;
+  requestPasswordReset: (params: { email: string; redirectTo?: string }) => Promise<unknown>;
+  verifyRecoveryCode: (params: { email: string; code: string }) => Promise<unknown>;
+  updatePassword: (params: { password: string }) => Promise<unknown>;
+  signOut: () => Promise<void>;
+  getCurrentUser: () => Promise<unknown>;
+  onAuthStateChange: (handler: (payload: AuthStateChangePayload) => void) => () => void;
+};
+
+export type EmailOtpProvider = AuthProviderBase & {
+  requestOtp: (params: { email: string; emailHint?: string }) => Promise<unknown>;
+  verifyOtp: (params: { email: string; code: string }) => Promise<unknown>;
+  requestMagicLink: (params: { email: string; redirectTo?: string; emailHint?: string }) => Promise<unknown>;
+  /** Resolves null if the URL is not an auth callback. */
+  completeFromUrl: (params: { url: string }) => Promise<unknown | null>;
+  updateProfile: (params: { name: string; data?: Record<string, ProfileFieldValue> }) => Promise<unknown>;
+};
+
+export type PhoneOtpProvider = AuthProviderBase & {
+  /** `phone` must be E.164 (see toE164). */
+  requestOtp: (params: { phone: string }) => Promise<unknown>;
+  verifyOtp: (params: { phone: string; code: string }) => Promise<unknown>;
+};
+
+export type OAuthProvider = AuthProviderBase & {
+  /** Resolves null if the user cancelled the browser session. */
+  signInWithRedirect: (params: {
+    redirectTo?: string;
+    openAuthSession?: AuthScreenOauthOptions['openAuthSession'];
+    scopes?: string;
+  }) => Promise<unknown | null>;
+  signInWithIdToken: (params: AuthScreenOauthIdToken) => Promise<unknown>;
+};
+
+export type AnonymousProvider = AuthProviderBase & {
+  signIn: (params?: { data?: Record<string, unknown> }) => Promise<unknown>;
+  linkEmail: (params: { email: string; data?: Record<string, unknown>; redirectTo?: string }) => Promise<unknown>;
+  verifyEmailLink: (params: { email: string; code: string }) => Promise<unknown>;
+};
+
+export type AuthProviders = {
+  emailPassword: EmailPasswordProvider;
+  emailOtp: EmailOtpProvider;
+  phoneOtp: PhoneOtpProvider;
+  anonymous: AnonymousProvider;
+  oauthGoogle: OAuthProvider;
+  oauthApple: OAuthProvider;
+};
+
+export function createAuthProviders(params: { supabase?: unknown; adapter?: AuthAdapter }): AuthProviders;
+
+export type UseAuthScreenLogicParams = AuthBackend & {
+  startAt?: 'start' | 'email';
+  mode?: AuthScreenMode;
+  options?: AuthScreenOptions;
+  /** Language for `errorMessage` / `primaryButtonLabel`. */
+  locale?: string;
+  messages?: AuthMessages;
+} & AuthScreenCallbacks;
+
+export type UseAuthScreenLogicResult = {
+  step: AuthStep;
+  name: string;
+  email: string;
+  /** As typed (national format). */
+  phone: string;
+  /** ISO code picked in the country picker (null outside phone mode). */
+  phoneCountry: string | null;
+  password: string;
+  otpCode: string;
+  /** Digits expected in `otpCode` (options.otp.length). */
+  otpLength: number;
+  busy: boolean;
+  errorCode: AuthFlowErrorCode | null;
+  /** Interpolation values for `errors.<errorCode>`. */
+  errorParams: Record<string, unknown> | null;
+  /** `errorCode` translated for the current locale ('' when there is no error). */
+  errorMessage: string;
+  emailCheckStatus: EmailCheckStatus;
+  /** null until the email check has an answer. */
+  emailExists: boolean | null;
+  /** null when the email check didn't say (or the email isn't registered). */
+  emailMethods: AuthSignInMethod[] | null;
+  emailConfirmed: boolean | null;
+  setName: (name: string) => void;
+  setEmail: (email: string) => void;
+  setPhone: (phone: string) => void;
+  setPhoneCountry: (iso: string) => void;
+  setPassword: (password: string) => void;
+  setOtpCode: (code: string) => void;
+  profileFields: ResolvedProfileField[];
+  profile: Record<string, ProfileFieldValue>;
+  profileErrors: Record<string, ProfileFieldError | null>;
+  setProfileField: (key: string, value: ProfileFieldValue) => void;
+  isNewUser: boolean;
+  isExistingUser: boolean;
+  shouldCollectName: boolean;
+  /** Current mode (switchable when `options.email` enables both `otp` and `password`). */
+  emailAuthMode: EmailAuthMode;
+  /** Show "Use password instead" / "Email me a code instead". */
+  canSwitchEmailAuthMode: boolean;
+  alternateEmailAuthMode: EmailAuthMode | null;
+  /** Defaults to the alternate mode. */
+  switchEmailAuthMode: (mode?: 'otp' | 'password') => Promise<void>;
+  /** Privacy mode, password: show "Sign in" / "Create account" instead of Continue. */
+  needsAccountChoice: boolean;
+  /** true: sign up (NAME, then a new password); false: sign in. */
+  chooseAccount: (newAccount: boolean) => Promise<void>;
+  /** 'phone' when `options.phone` is set. */
+  identifier: 'email' | 'phone';
+  phoneCountries: PhoneCountry[];
+  /** Seconds until "Resend" is allowed on code / magic-link steps. */
+  otpResendSeconds: number;
+  resendOtp: () => Promise<void>;
+  forgotPassword: () => Promise<void>;
+  handleAuthDeepLink: (url: string) => Promise<boolean>;
+  /** OAuth buttons to render, in order. */
+  oauthProviders: AuthScreenOauthProvider[];
+  oauthPending: AuthScreenOauthProvider | null;
+  signInWithOAuth: (provider: AuthScreenOauthProvider) => Promise<void>;
+  /** `options.guest`: show "Continue as guest". */
+  guestEnabled: boolean;
+  continueAsGuest: () => Promise<void>;
+  isUpgrade: boolean;
+  emailIsValid: boolean;
+  /** Corrected address for a likely domain typo, or null. */
+  emailSuggestion: string | null;
+  applyEmailSuggestion: () => void;
+  validation: Record<'email' | 'name' | 'password', AuthFieldValidationStatus>;
+  phoneIsValid: boolean;
+  /** True on steps that set a new password (policy checklist + strength meter). */
+  isNewPassword: boolean;
+  passwordCheck: PasswordCheck;
+  /** '+<dial><number>', or '' outside phone mode. */
+  phoneE164: string;
+  canContinue: boolean;
+  primaryButtonLabel: string;
+  start: () => void;
+  reset: () => void;
+  goBack: () => void;
+  beginEditEmail: () => void;
+  goNext: () => Promise<void>;
+  submit: () => Promise<void>;
+};
+
+export function useAuthScreenLogic(params: UseAuthScreenLogicParams): UseAuthScreenLogicResult;
+
+/* ------------------------------------------------------------------ */
+/* State machine (also 'expo-login-auth-module/machine', no React)     */
+/* ------------------------------------------------------------------ */
+
+export const AUTH_ACTION: {
+  readonly SET_FIELD: 'setField';
+  readonly SET_PROFILE_FIELD: 'setProfileField';
+  readonly START: 'start';
+  readonly NEXT: 'next';
+  readonly SUBMIT: 'submit';
+  readonly BACK: 'back';
+  readonly EDIT_EMAIL: 'editEmail';
+  readonly RESEND: 'resend';
+  readonly FORGOT_PASSWORD: 'forgotPassword';
+  readonly OAUTH: 'oauth';
+  readonly GUEST: 'guest';
+  readonly DEEP_LINK: 'deepLink';
+  readonly RESET: 'reset';
+  readonly SWITCH_EMAIL_MODE: 'switchEmailMode';
+  readonly CHOOSE_ACCOUNT: 'chooseAccount';
+  readonly METHOD_PREFERENCES_LOADED: 'methodPreferencesLoaded';
+  readonly TICK: 'tick';
+  readonly PASSWORD_RECOVERY: 'passwordRecovery';
+  readonly CONFIRMATION_CHECK: 'confirmationCheck';
+  readonly SESSION_STARTED: 'sessionStarted';
+  readonly EMAIL_CHECK_STARTED: 'emailCheckStarted';
+  readonly EMAIL_CHECK_SUCCEEDED: 'emailCheckSucceeded';
+  readonly EMAIL_CHECK_FAILED: 'emailCheckFailed';
+  readonly FIELD_VALIDATED: 'fieldValidated';
+  readonly EFFECT_DONE: 'effectDone';
+  readonly EFFECT_FAILED: 'effectFailed';
+};
+
+export const AUTH_EFFECT: {
+  readonly CHECK_EMAIL: 'checkEmail';
+  readonly CANCEL_EMAIL_CHECK: 'cancelEmailCheck';
+  readonly VALIDATE_FIELD: 'validateField';
+  readonly SCHEDULE_OTP_SUBMIT: 'scheduleOtpSubmit';
+  readonly CANCEL_OTP_SUBMIT: 'cancelOtpSubmit';
+  readonly REQUEST_OTP: 'requestOtp';
+  readonly VERIFY_OTP: 'verifyOtp';
+  readonly REQUEST_PHONE_OTP: 'requestPhoneOtp';
+  readonly VERIFY_PHONE_OTP: 'verifyPhoneOtp';
+  readonly REQUEST_MAGIC_LINK: 'requestMagicLink';
+  readonly REQUEST_PASSWORD_RESET: 'requestPasswordReset';
+  readonly VERIFY_RECOVERY_CODE: 'verifyRecoveryCode';
+  readonly UPDATE_PASSWORD: 'updatePassword';
+  readonly SIGN_IN: 'signIn';
+  readonly SIGN_UP: 'signUp';
+  readonly RESEND_CONFIRMATION: 'resendConfirmation';
+  readonly CHECK_CONFIRMATION: 'checkConfirmation';
+  readonly UPDATE_PROFILE: 'updateProfile';
+  readonly SIGN_IN_ANONYMOUSLY: 'signInAnonymously';
+  readonly LINK_EMAIL: 'linkEmail';
+  readonly VERIFY_EMAIL_LINK: 'verifyEmailLink';
+  readonly SIGN_IN_WITH_OAUTH: 'signInWithOAuth';
+  readonly COMPLETE_FROM_URL: 'completeFromUrl';
+  readonly TRACK: 'track';
+  readonly SUCCESS: 'success';
+};
+
+export type AuthFlowConfig = {
+  initialStep: AuthStep;
+  upgrade: boolean;
+  guest: boolean;
+  /** Starting mode; the current one is `AuthFlowState.emailAuthMode`. */
+  emailAuthMode: EmailAuthMode;
+  /** ['otp', 'password'] when users can switch, else just the one mode. */
+  emailAuthModes: EmailAuthMode[];
+  phone: { countries: PhoneCountry[]; defaultCountry: string } | null;
+  otp: { length: number; resendCooldownSeconds: number; autoSubmit: boolean; collectName: boolean };
+  passwordPolicy: ResolvedPasswordPolicy;
+  validators: AuthScreenValidators;
+  suggestEmailTypos: boolean;
+  getCaptchaToken: AuthScreenEmailOptions['getCaptchaToken'] | null;
+  profileFields: ResolvedProfileField[];
+  oauth: {
+    providers: AuthScreenOauthProvider[];
+    redirectTo?: string;
+    openAuthSession?: AuthScreenOauthOptions['openAuthSession'];
+    getIdToken?: AuthScreenOauthOptions['getIdToken'];
+  };
+  passwordResetRedirectTo?: string;
+  magicLinkRedirectTo?: string;
+  confirmRedirectTo?: string;
+};
+
+export type AuthEmailMethodPreferences = { last: string | null; byEmail: Record<string, string> };
+
+export type AuthFlowState = {
+  step: AuthStep;
+  emailAuthMode: EmailAuthMode;
+  /** The user switched by hand; remembered methods no longer apply. */
+  emailAuthModeChosen: boolean;
+  methodPreferences: AuthEmailMethodPreferences | null;
+  name: string;
+  email: string;
+  phone: string;
+  phoneCountry: string | null;
+  password: string;
+  otpCode: string;
+  busy: boolean;
+  error: { code: AuthFlowErrorCode; params: Record<string, unknown> } | null;
+  oauthPending: AuthScreenOauthProvider | null;
+  emailCheckStatus: EmailCheckStatus;
+  /** Stays null when the check only returned a hint (privacy mode). */
+  emailExists: boolean | null;
+  emailHint: string | null;
+  emailMethods: AuthSignInMethod[] | null;
+  emailConfirmed: boolean | null;
+  /** Hint-only answer in password mode: what the user picked. */
+  accountChoice: 'signIn' | 'signUp' | null;
+  otpResendSeconds: number;
+  fieldValidation: Partial<
+    Record<'email' | 'name' | 'password', { value: string; status: AuthFieldValidationStatus; error: { code: string; params: Record<string, unknown> } | null } | null>
+  >;
+  profile: Record<string, ProfileFieldValue>;
+  /** OTP sign-in held back while the NAME step collects the user's name. */
+  pendingSuccess: { result: unknown; method: AuthSuccessMethod; isNewUser: boolean } | null;
+  /** CONFIRM_EMAIL: still waiting for the confirmed session. */
+  awaitingConfirmation: boolean;
+};
+
+export type AuthFlowView = {
+  isNewUser: boolean;
+  isExistingUser: boolean;
+  /** false only when the email check says the account has no password. */
+  accountHasPassword: boolean;
+  emailAuthMode: EmailAuthMode;
+  canSwitchEmailMode: boolean;
+  alternateEmailMode: EmailAuthMode | null;
+  /** Hint-only answer in password mode: CHOOSE_ACCOUNT instead of NEXT. */
+  needsAccountChoice: boolean;
+  shouldCollectName: boolean;
+  isCodeStep: boolean;
+  isResendStep: boolean;
+  emailIsValid: boolean;
+  emailSuggestion: string | null;
+  validation: Record<'email' | 'name' | 'password', AuthFieldValidationStatus>;
+  phoneE164: string;
+  phoneIsValid: boolean;
+  isNewPassword: boolean;
+  passwordCheck: PasswordCheck;
+  passwordIsValid: boolean;
+  nameIsValid: boolean;
+  profileErrors: Record<string, ProfileFieldError | null>;
+  profileIsValid: boolean;
+  otpIsValid: boolean;
+  canContinue: boolean;
+};
+
+export type AuthEffect = { type: (typeof AUTH_EFFECT)[keyof typeof AUTH_EFFECT] } & Record<string, unknown>;
+
+export type AuthAction =
+  | { type: 'setField'; field: 'name' | 'email' | 'phone' | 'phoneCountry' | 'password' | 'otpCode'; value: string }
+  | { type: 'setProfileField'; key: string; value: ProfileFieldValue }
+  | {
+      type:
+        | 'start'
+        | 'next'
+        | 'submit'
+        | 'back'
+        | 'editEmail'
+        | 'resend'
+        | 'forgotPassword'
+        | 'reset'
+        | 'tick'
+        | 'passwordRecovery'
+        | 'confirmationCheck'
+        | 'guest';
+    }
+  | { type: 'sessionStarted'; session: unknown }
+  | { type: 'switchEmailMode'; mode?: 'otp' | 'password' }
+  | { type: 'chooseAccount'; newAccount: boolean }
+  | { type: 'methodPreferencesLoaded'; preferences: AuthEmailMethodPreferences | null }
+  | { type: 'oauth'; provider: AuthScreenOauthProvider }
+  | { type: 'deepLink'; url: string }
+  | { type: 'emailCheckStarted'; email: string }
+  | { type: 'emailCheckFailed'; email: string; error?: { code: string; params: Record<string, unknown> } }
+  | {
+      type: 'emailCheckSucceeded';
+      email: string;
+      exists: boolean | null;
+      methods?: AuthSignInMethod[] | null;
+      emailConfirmed?: boolean | null;
+      hint?: string;
+    }
+  | {
+      type: 'fieldValidated';
+      field: 'email' | 'name' | 'password';
+      value: string;
+      error: { code: string; params: Record<string, unknown> } | null;
+    }
+  | { type: 'effectDone'; effect: AuthEffect; result: unknown }
+  | { type: 'effectFailed'; effect: AuthEffect; error: unknown };
+
+export type AuthEffectOutcome = { effect: AuthEffect; result?: unknown; error?: unknown };
+
+export function resolveAuthConfig(params?: {
+  options?: AuthScreenOptions;
+  startAt?: 'start' | 'email';
+  mode?: AuthScreenMode;
+}): AuthFlowConfig;
+export function createInitialAuthState(config: AuthFlowConfig): AuthFlowState;
+export function selectAuthView(state: AuthFlowState, config: AuthFlowConfig): AuthFlowView;
+/** Pure: next state + effect descriptors. */
+export function authTransition(
+  state: AuthFlowState,
+  action: AuthAction,
+  config: AuthFlowConfig
+): { state: AuthFlowState; effects: AuthEffect[] };
+/** Run one provider effect (what createAuthFlow does for you). */
+export function runAuthEffect(effect: AuthEffect, providers: AuthProviders, config: AuthFlowConfig): Promise<unknown>;
+
+export type AuthFlow = {
+  getState: () => AuthFlowState;
+  getConfig: () => AuthFlowConfig;
+  getView: () => AuthFlowView;
+  /** Resolves once every provider call it started (and follow-ups) settled. */
+  dispatch: (action: AuthAction) => Promise<AuthEffectOutcome[]>;
+  subscribe: (listener: (state: AuthFlowState, prevState: AuthFlowState) => void) => () => void;
+  start: () => void;
+  dispose: () => void;
+  update: (params: {
+    providers?: AuthProviders;
+    options?: AuthScreenOptions;
+    startAt?: 'start' | 'email';
+    mode?: AuthScreenMode;
+  }) => void;
+};
+
+export function createAuthFlow(
+  params: {
+    providers: AuthProviders;
+    options?: AuthScreenOptions;
+    startAt?: 'start' | 'email';
+    mode?: AuthScreenMode;
+    translate?: Translate;
+    emailCheckDebounceMs?: number;
+    /** Pause between the last digit and the automatic verify (default 300). */
+    otpAutoSubmitDelayMs?: number;
+    /** CONFIRM_EMAIL: ms between "confirmed yet?" sign-in attempts (default 15000). */
+    confirmationPollMs?: number;
+  } & AuthScreenCallbacks
+): AuthFlow;
+
+export type AsyncStorageLike = {
+  getItem: (key: string) => Promise<string | null>;
+  setItem: (key: string, value: string) => Promise<void>;
+  removeItem: (key: string) => Promise<void>;
+};
+
+export type RestAdapterPaths = {
+  checkEmailExists?: string;
+  requestOtp?: string;
+  verifyOtp?: string;
+  signIn?: string;
+  signUp?: string;
+  updateProfile?: string;
+  signOut?: string;
+  getCurrentUser?: string;
+  resendConfirmation?: string;
+  requestPasswordReset?: string;
+  verifyRecoveryCode?: string;
+  updatePassword?: string;
+  requestPhoneOtp?: string;
+  verifyPhoneOtp?: string;
+  signInAnonymously?: string;
+  linkEmail?: string;
+  verifyEmailLink?: string;
+};
+
+export type RestAdapterOptions = {
+  baseUrl: string;
+  fetch?: typeof fetch;
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  paths?: RestAdapterPaths;
+  /** Persist the session (e.g. AsyncStorage); in-memory otherwise. */
+  storage?: AsyncStorageLike;
+  storageKey?: string;
+};
+
+export function createSupabaseAdapter(params: { supabase: unknown }): AuthAdapter;
+export function createRestAdapter(params: RestAdapterOptions): AuthAdapter;
+
+/* ------------------------------------------------------------------ */
+/* Phone numbers                                                      */
+/* ------------------------------------------------------------------ */
+
+export const PHONE_COUNTRIES: PhoneCountry[];
+/** Flag emoji for an ISO code ('GB' -> 🇬🇧). */
+export function countryFlag(iso: string): string;
+/** '07700 900123' + '44' -> '+447700900123'; input starting with '+' / '00' is kept international. */
+export function toE164(dialCode: string, input: string): string;
+export function isValidE164(phone: string): boolean;
+
+/* ------------------------------------------------------------------ */
+/* Password policy (no React; safe to import on your server)          */
+/* ------------------------------------------------------------------ */
+
+export const PASSWORD_RULE: {
+  readonly MIN_LENGTH: 'minLength';
+  readonly LOWERCASE: 'lowercase';
+  readonly UPPERCASE: 'uppercase';
+  readonly DIGIT: 'digit';
+  readonly SYMBOL: 'symbol';
+  readonly NOT_COMMON: 'notCommon';
+  readonly NO_PERSONAL_INFO: 'noPersonalInfo';
+};
+
+export type PasswordRuleId = (typeof PASSWORD_RULE)[keyof typeof PASSWORD_RULE];
+
+export type ResolvedPasswordPolicy = Required<PasswordPolicy>;
+
+export type PasswordCheck = {
+  valid: boolean;
+  /** First failing rule, or null. */
+  failedRule: PasswordRuleId | null;
+  /** Enabled rules in display order. */
+  rules: Array<{ id: PasswordRuleId; passed: boolean; params?: Record<string, unknown> }>;
+  /** 0 (very weak) – 4 (strong). */
+  strength: 0 | 1 | 2 | 3 | 4;
+};
 
+export function resolvePasswordPolicy(policy?: PasswordPolicy): ResolvedPasswordPolicy;
+export function checkPassword(
+  password: string,
+  policy?: ResolvedPasswordPolicy,
+  context?: { email?: string; name?: string }
+): PasswordCheck;
+export function scorePasswordStrength(password: string, policy?: ResolvedPasswordPolicy): 0 | 1 | 2 | 3 | 4;
@@ -0,0 +1,74 @@
+export {
+  AUTH_STEP,
+  AUTH_ACTION,
+  AUTH_EFFECT,
+  AUTH_EVENT,
+  AUTH_MODE,
+  AUTH_ERROR,
+  AUTH_MESSAGES,
+  PROVIDERS,
+  authTransition,
+  createAuthFlow,
+  createInitialAuthState,
+  resolveAuthConfig,
+  runAuthEffect,
+  selectAuthView,
+  createAuthProviders,
+  createAuthError,
+  createSupabaseAdapter,
+  createRestAdapter,
+  createConsoleAnalytics,
+  createHttpAnalytics,
+  createTranslator,
+  formatMessage,
+  isRtlLocale,
+  translateError,
+  PHONE_COUNTRIES,
+  countryFlag,
+  isValidE164,
+  toE164,
+  PASSWORD_RULE,
+  checkPassword,
+  resolvePasswordPolicy,
+  scorePasswordStrength,
+  suggestEmailCorrection,
+  PROFILE_FIELD_TYPE,
+  checkProfileFields,
+  profileDataOf,
+  resolveProfileFields,
+} from './index';
+
+export type {
+  AuthStep,
+  AuthAction,
+  AuthEffect,
+  AuthEffectOutcome,
+  AuthFlow,
+  AuthFlowConfig,
+  AuthFlowState,
+  AuthEmailMethodPreferences,
+  AuthFlowView,
+  AuthProviders,
+  AuthAdapter,
+  EmailCheckAnswer,
+  AuthSignInMethod,
+  AuthScreenOptions,
+  AuthScreenMode,
+  AuthScreenCallbacks,
+  AuthSuccessResult,
+  AuthErrorEvent,
+  AuthErrorCode,
+  AuthFlowErrorCode,
+  AuthError,
+  AuthAnalyticsEvent,
+  AuthAnalyticsOptions,
+  Translate,
+  PhoneCountry,
+  PasswordPolicy,
+  PasswordCheck,
+  AuthFieldValidator,
+  AuthValidationResult,
+  ProfileField,
+  ProfileFieldValue,
+  ResolvedProfileField,
+} from './index';
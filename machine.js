@@ -0,0 +1,28 @@
+/**
+ * Framework-free entry: the auth flow state machine + providers, no React / React Native.
+ *
+ *   import { createAuthFlow, createAuthProviders, AUTH_ACTION } from 'expo-login-auth-module/machine';
+ *
+ * For unit tests, CLIs, web forms or any other non-React host.
+ */
+
+export {
+  AUTH_STEP,
+  AUTH_ACTION,
+  AUTH_EFFECT,
+  authTransition,
+  createAuthFlow,
+  createInitialAuthState,
+  resolveAuthConfig,
+  runAuthEffect,
+  selectAuthView,
+} from './auth.machine';
+export { createAuthProviders, createAuthError } from './auth.providers';
+export { createSupabaseAdapter, createRestAdapter } from './auth.adapters';
+export { AUTH_EVENT, createConsoleAnalytics, createHttpAnalytics } from './auth.analytics';
+export { AUTH_MODE, PROVIDERS, AUTH_ERROR } from './auth.types';
+export { AUTH_MESSAGES, createTranslator, formatMessage, isRtlLocale, translateError } from './auth.i18n';
+export { PHONE_COUNTRIES, countryFlag, isValidE164, toE164 } from './auth.phone';
+export { PASSWORD_RULE, checkPassword, resolvePasswordPolicy, scorePasswordStrength } from './auth.password';
+export { PROFILE_FIELD_TYPE, checkProfileFields, profileDataOf, resolveProfileFields } from './auth.profile';
+export { suggestEmailCorrection } from './auth.validation';
@@ -0,0 +1,88 @@
+// Opaque "is this email registered?" hints for privacy mode.
+//
+// With EMAIL_CHECK_PRIVACY_MODE on, is-email-registered answers `{ "hint": "v1...." }`
+// instead of `{ "exists": ... }`. The hint is AES-GCM encrypted (so the client can't read
+// it) and authenticated (so it can't forge one). Your own sign-in / sign-up functions
+// import this file and open the hint they receive back from the app:
+//
+//   import { openEmailHint } from '../_shared/email-hint.ts';
+//   const hint = await openEmailHint(body.emailHint, body.email, Deno.env.get('EMAIL_CHECK_HINT_SECRET')!);
+//   if (hint === null) { /* missing, forged, expired or for another email: check again */ }
+//   else if (hint.exists) { /* sign in */ } else { /* sign up */ }
+//
+// Plain Web Crypto, no imports: works in Edge Functions and any other Deno / Node 18+ server.
+
+const VERSION = 'v1';
+
+export type EmailHint = { exists: boolean; expiresAt: number };
+
+function toBase64Url(bytes: Uint8Array) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value: string) {
+  const b64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+export async function sha256Hex(value: string) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizeEmail(email: string) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+async function keyFromSecret(secret: string) {
+  // Any length of secret works; SHA-256 turns it into a 256-bit AES key.
+  const raw = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Seal the lookup result for one email. The email itself is only stored as a hash.
+ */
+export async function sealEmailHint(email: string, exists: boolean, secret: string, ttlSeconds = 600) {
+  const payload = {
+    e: await sha256Hex(normalizeEmail(email)),
+    x: exists,
+    t: Date.now() + ttlSeconds * 1000,
+  };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await keyFromSecret(secret),
+    new TextEncoder().encode(JSON.stringify(payload)),
+  );
+  return `${VERSION}.${toBase64Url(iv)}.${toBase64Url(new Uint8Array(sealed))}`;
+}
+
+/**
+ * Open a hint for `email`. Returns null when it is missing, tampered with, expired,
+ * or was issued for a different address.
+ */
+export async function openEmailHint(hint: unknown, email: string, secret: string): Promise<EmailHint | null> {
+  if (typeof hint !== 'string' || !secret) return null;
+  const [version, iv, sealed] = hint.split('.');
+  if (version !== VERSION || !iv || !sealed) return null;
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(iv) },
+      await keyFromSecret(secret),
+      fromBase64Url(sealed),
+    );
+    const payload = JSON.parse(new TextDecoder().decode(plain));
+    if (typeof payload?.x !== 'boolean' || typeof payload?.t !== 'number') return null;
+    if (payload.t < Date.now()) return null;
+    if (payload.e !== (await sha256Hex(normalizeEmail(email)))) return null;
+    return { exists: payload.x, expiresAt: payload.t };
+  } catch {
+    return null;
+  }
+}
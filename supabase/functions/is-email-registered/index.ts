@@ -4,14 +4,36 @@
 // - Client-side Supabase cannot reliably check if an email is registered.
 // - This function uses the service role key (server-side only) to check.
 //
-// Input:  { "email": "user@example.com" }
-// Output: { "exists": true }
+// Input:  { "email": "user@example.com", "captchaToken"?: "..." }
+// Output: { "exists": true, "methods": ["password", "otp", "google"], "emailConfirmed": true }
+//         (privacy mode: { "hint": "v1...." } only, see ../_shared/email-hint.ts)
 //
 // IMPORTANT:
 // - Never expose SUPABASE_SERVICE_ROLE_KEY in the client app.
 // - Configure these secrets for the function environment:
 //   - SB_URL
 //   - SB_SERVICE_ROLE_KEY
+//
+// Abuse protection (all optional except rate limiting, see supabase/README.md):
+// - Rate limits per IP and per email, counted in public.email_check_rate_limits
+//   (migration: supabase/migrations/*_email_check_rate_limits.sql). Turn off with
+//   EMAIL_CHECK_RATE_LIMIT=off. Keys are HMACs (EMAIL_CHECK_RATE_LIMIT_SECRET, else
+//   derived from the service role key). The IP is the x-forwarded-for entry added by our
+//   proxy (EMAIL_CHECK_TRUSTED_PROXY_HOPS from the right) or EMAIL_CHECK_CLIENT_IP_HEADER.
+// - CAPTCHA_PROVIDER (turnstile | hcaptcha) + CAPTCHA_SECRET: the captcha token is verified
+//   before the lookup.
+// - Every response takes at least EMAIL_CHECK_MIN_RESPONSE_MS, so timing doesn't tell
+//   registered and unregistered emails apart.
+// - EMAIL_CHECK_PRIVACY_MODE=true + EMAIL_CHECK_HINT_SECRET: answer with an opaque hint only.
+//
+// Web clients (Expo web, browsers): CORS preflight is answered and every response carries
+// CORS headers. ALLOWED_ORIGINS="https://app.example.com,http://localhost:8081" restricts
+// them (default: any origin).
+//
+// The lookup itself (exact RPC, admin API paging as a fallback) lives in ./lookup.ts.
+
+import { sealEmailHint } from '../_shared/email-hint.ts';
+import { createEmailLookup } from './lookup.ts';
 
 // NOTE:
 // We intentionally avoid importing `@supabase/supabase-js` inside Edge Functions here.
@@ -33,6 +55,71 @@ function isValidEmail(email: string) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+function envInt(name: string, fallback: number) {
+  const value = Number.parseInt(Deno.env.get(name) ?? '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function envFlag(name: string) {
+  return /^(1|true|on|yes)$/i.test(Deno.env.get(name) ?? '');
+}
+
+// Only trust what our own proxies wrote. Clients can send any x-forwarded-for they like;
+// each proxy appends the address that connected to it, so the entry added by the
+// outermost trusted proxy sits EMAIL_CHECK_TRUSTED_PROXY_HOPS (default 1) from the
+// right. EMAIL_CHECK_CLIENT_IP_HEADER (e.g. cf-connecting-ip, x-real-ip) reads a header
+// the platform overwrites instead; only set it if that's true for your deployment.
+function clientIpOf(req: Request) {
+  const header = Deno.env.get('EMAIL_CHECK_CLIENT_IP_HEADER')?.trim().toLowerCase();
+  if (header) return req.headers.get(header)?.trim() || 'unknown';
+
+  const chain = (req.headers.get('x-forwarded-for') ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const hops = Math.max(1, envInt('EMAIL_CHECK_TRUSTED_PROXY_HOPS', 1));
+  // Fewer entries than proxies: nothing in the chain came from the client.
+  return chain[Math.max(0, chain.length - hops)] ?? 'unknown';
+}
+
+// Keyed hash for rate-limit keys: a plain SHA-256 of an email or IPv4 address is
+// reversed by brute force, an HMAC isn't without the secret.
+async function hmacHex(secret: string, value: string) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return Array.from(new Uint8Array(signature), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// supabase-js sends authorization, apikey, content-type and x-client-info.
+const CORS_ALLOW_HEADERS = 'authorization, x-client-info, apikey, content-type';
+
+function allowedOrigins() {
+  const raw = (Deno.env.get('ALLOWED_ORIGINS') ?? '*').trim() || '*';
+  return raw.split(',').map((origin) => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// null = a browser on an origin that isn't allowed. Requests without Origin (native apps,
+// servers) aren't subject to CORS and always get through.
+function corsHeadersFor(req: Request): Record<string, string> | null {
+  const origin = req.headers.get('origin');
+  const allowed = allowedOrigins();
+  const base = {
+    'access-control-allow-headers': CORS_ALLOW_HEADERS,
+    'access-control-allow-methods': 'POST, OPTIONS',
+    'access-control-expose-headers': 'retry-after',
+    'access-control-max-age': '86400',
+  };
+  if (allowed.includes('*')) return { ...base, 'access-control-allow-origin': '*' };
+  if (!origin) return { ...base, vary: 'origin' };
+  if (!allowed.includes(origin)) return null;
+  return { ...base, 'access-control-allow-origin': origin, vary: 'origin' };
+}
+
 function decodeJwtPayload(jwt: string): Record<string, unknown> | null {
   // Best-effort decode of JWT payload for diagnostics (NO signature verification).
   // This is safe as long as we never echo back the token itself.
@@ -49,12 +136,51 @@ function decodeJwtPayload(jwt: string): Record<string, unknown> | null {
   }
 }
 
-Deno.serve(async (req) => {
+type ServerConfig = { supabaseUrl: string; serviceRoleKey: string };
+
+async function hitRateLimit(config: ServerConfig, key: string, limit: number, windowSeconds: number) {
+  const res = await fetch(`${config.supabaseUrl}/rest/v1/rpc/email_check_rate_limit_hit`, {
+    method: 'POST',
+    headers: {
+      authorization: `Bearer ${config.serviceRoleKey}`,
+      apikey: config.serviceRoleKey,
+      'content-type': 'application/json',
+      accept: 'application/json',
+    },
+    body: JSON.stringify({ p_key: key, p_limit: limit, p_window_seconds: windowSeconds }),
+  });
+  if (!res.ok) throw new Error(`rate limit rpc ${res.status}`);
+  const rows = (await res.json()) as Array<{ allowed?: boolean; retry_after?: number }>;
+  const row = Array.isArray(rows) ? rows[0] : rows;
+  return { allowed: row?.allowed !== false, retryAfter: Number(row?.retry_after ?? windowSeconds) };
+}
+
+const CAPTCHA_VERIFY_URLS: Record<string, string> = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+};
+
+async function verifyCaptcha(provider: string, secret: string, token: string, ip: string) {
+  const form = new URLSearchParams({ secret, response: token });
+  if (ip !== 'unknown') form.set('remoteip', ip);
+  try {
+    const res = await fetch(CAPTCHA_VERIFY_URLS[provider], { method: 'POST', body: form });
+    const outcome = (await res.json().catch(() => null)) as { success?: boolean } | null;
+    return outcome?.success === true;
+  } catch {
+    return false;
+  }
+}
+
+async function handle(req: Request) {
   if (req.method !== 'POST') {
-    return json({ error: 'Method not allowed' }, { status: 405 });
+    return json({ error: 'Method not allowed' }, { status: 405, headers: { allow: 'POST, OPTIONS' } });
   }
 
-  const { email } = (await req.json().catch(() => ({}))) as { email?: string };
+  const { email, captchaToken } = (await req.json().catch(() => ({}))) as {
+    email?: string;
+    captchaToken?: string;
+  };
   const normalizedEmail = String(email ?? '').trim().toLowerCase();
 
   if (!normalizedEmail || !isValidEmail(normalizedEmail)) {
@@ -98,75 +224,107 @@ Deno.serve(async (req) => {
     );
   }
 
-  // Uses the Auth Admin REST API to check if user exists for the email.
-  //
-  // IMPORTANT:
-  // GoTrue versions differ in supported query params. Some ignore `email=...` and return
-  // the first page of users. Therefore we MUST only return `exists: true` when we find
-  // an exact email match in the response payload.
-  //
-  // We try a narrow search query first; if the backend ignores it, we still scan the
-  // returned users for an exact match.
-  const adminUrl = `${supabaseUrl}/auth/v1/admin/users?search=${encodeURIComponent(
-    normalizedEmail,
-  )}&per_page=50`;
+  const captchaProvider = (Deno.env.get('CAPTCHA_PROVIDER') ?? '').trim().toLowerCase();
+  const captchaSecret = Deno.env.get('CAPTCHA_SECRET');
+  const privacyMode = envFlag('EMAIL_CHECK_PRIVACY_MODE');
+  const hintSecret = Deno.env.get('EMAIL_CHECK_HINT_SECRET');
+  if ((captchaProvider && (!CAPTCHA_VERIFY_URLS[captchaProvider] || !captchaSecret)) || (privacyMode && !hintSecret)) {
+    return json(
+      {
+        error: 'Missing server configuration',
+        hint:
+          privacyMode && !hintSecret
+            ? 'Privacy mode needs EMAIL_CHECK_HINT_SECRET (a long random string).'
+            : 'CAPTCHA_PROVIDER must be turnstile or hcaptcha, with CAPTCHA_SECRET set.',
+        config: {
+          hasCAPTCHA_SECRET: !captchaProvider || Boolean(captchaSecret),
+          hasEMAIL_CHECK_HINT_SECRET: !privacyMode || Boolean(hintSecret),
+        },
+      },
+      { status: 500 },
+    );
+  }
+
+  const config = { supabaseUrl, serviceRoleKey };
+  const ip = clientIpOf(req);
+  const rateLimited = Deno.env.get('EMAIL_CHECK_RATE_LIMIT')?.toLowerCase() !== 'off';
+  const windowSeconds = envInt('EMAIL_CHECK_WINDOW_SECONDS', 600);
+
+  // Keys are HMACed so the table never holds raw IPs or emails, nor hashes anyone can
+  // reverse by trying every address. Without EMAIL_CHECK_RATE_LIMIT_SECRET the service
+  // role key (already secret, already set) is the key.
+  const rateLimitSecret = Deno.env.get('EMAIL_CHECK_RATE_LIMIT_SECRET') || `rate-limit:${serviceRoleKey}`;
+  async function overLimit(key: string, limit: number) {
+    const { allowed, retryAfter } = await hitRateLimit(config, await hmacHex(rateLimitSecret, key), limit, windowSeconds);
+    if (allowed) return null;
+    return json(
+      { error: 'Too many requests', code: 'rateLimited', retryAfter },
+      { status: 429, headers: { 'retry-after': String(retryAfter) } },
+    );
+  }
 
   try {
-    const res = await fetch(adminUrl, {
-      method: 'GET',
-      headers: {
-        authorization: `Bearer ${serviceRoleKey}`,
-        apikey: serviceRoleKey,
-        accept: 'application/json',
+    // Per IP first: it also caps how often one caller can make us verify captchas.
+    if (rateLimited) {
+      const limited = await overLimit(`ip:${ip}`, envInt('EMAIL_CHECK_IP_LIMIT', 30));
+      if (limited) return limited;
+    }
+  } catch {
+    return json(
+      {
+        error: 'Rate limit check failed',
+        hint: 'Apply supabase/migrations/*_email_check_rate_limits.sql, or set EMAIL_CHECK_RATE_LIMIT=off.',
       },
-    });
+      { status: 500 },
+    );
+  }
 
-    // If the endpoint returns 404 for "not found", treat as not registered.
-    if (res.status === 404) {
-      return json({ exists: false }, { status: 200 });
+  if (captchaProvider) {
+    const token = typeof captchaToken === 'string' ? captchaToken : '';
+    if (!token || !(await verifyCaptcha(captchaProvider, captchaSecret!, token, ip))) {
+      return json({ error: 'Captcha verification failed', code: 'captchaFailed' }, { status: 400 });
     }
+  }
 
-    const text = await res.text();
-    const payload = (() => {
-      try {
-        return JSON.parse(text) as any;
-      } catch {
-        return null;
-      }
-    })();
-
-    if (!res.ok) {
-      // Do not leak sensitive internal details.
-      return json(
-        {
-          error: 'Failed to check email',
-          status: res.status,
-        },
-        { status: 500 },
-      );
+  try {
+    // Per email: spreading guesses of one address over many IPs still stops here.
+    if (rateLimited) {
+      const limited = await overLimit(`email:${normalizedEmail}`, envInt('EMAIL_CHECK_EMAIL_LIMIT', 10));
+      if (limited) return limited;
     }
 
-    // Handle common response shapes:
-    // - { user: {...} }
-    // - { users: [...] }
-    // - [ ...users ]
-    const users = Array.isArray(payload)
-      ? payload
-      : Array.isArray(payload?.users)
-        ? payload.users
-        : payload?.user
-          ? [payload.user]
-          : [];
-
-    const exists = users.some((u) => {
-      const uEmail = String(u?.email ?? '').trim().toLowerCase();
-      return uEmail === normalizedEmail;
-    });
-
-    return json({ exists }, { status: 200 });
+    const found = await createEmailLookup(config)(normalizedEmail);
+    if (privacyMode) {
+      const ttlSeconds = envInt('EMAIL_CHECK_HINT_TTL_SECONDS', 600);
+      return json({ hint: await sealEmailHint(normalizedEmail, found.exists, hintSecret!, ttlSeconds) }, { status: 200 });
+    }
+    return json(found, { status: 200 });
   } catch {
     return json({ error: 'Failed to check email' }, { status: 500 });
   }
-});
+}
+
+Deno.serve(async (req) => {
+  const startedAt = Date.now();
+  const cors = corsHeadersFor(req);
 
+  if (req.method === 'OPTIONS') {
+    // Preflight: nothing is looked up, so no padding.
+    return cors ? new Response(null, { status: 204, headers: cors }) : new Response(null, { status: 403 });
+  }
+
+  let response: Response;
+  if (!cors) {
+    response = json({ error: 'Origin not allowed' }, { status: 403 });
+  } else {
+    response = await handle(req).catch(() => json({ error: 'Failed to check email' }, { status: 500 }));
+    Object.entries(cors).forEach(([name, value]) => response.headers.set(name, value));
+  }
 
+  // Pad every answer (hit, miss, limited, rejected) to the same minimum plus jitter, so
+  // response time says nothing about whether the lookup found someone.
+  const minMs = envInt('EMAIL_CHECK_MIN_RESPONSE_MS', 400);
+  const remaining = minMs + Math.floor(Math.random() * 100) - (Date.now() - startedAt);
+  if (remaining > 0) await sleep(remaining);
+  return response;
+});
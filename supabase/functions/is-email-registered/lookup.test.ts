@@ -0,0 +1,135 @@
+// Tests for ./lookup.ts against a fake PostgREST + Auth Admin API.
+//
+//   deno test supabase/functions/is-email-registered/lookup.test.ts
+
+import { assertEquals, assertRejects } from 'jsr:@std/assert@1';
+import { createEmailLookup, EmailLookupError } from './lookup.ts';
+
+const SUPABASE_URL = 'https://project.supabase.test';
+
+type FakeOptions = {
+  userCount: number;
+  // GoTrue caps per_page; anything above this comes back as this many users.
+  maxPerPage?: number;
+  totalCountHeader?: boolean;
+  // How the RPC answers: installed, 404 (PostgREST), or PGRST202 with another status.
+  rpc?: 'installed' | 'notFound' | 'pgrst202';
+};
+
+function userAt(index: number) {
+  return {
+    id: `user-${index}`,
+    email: `user${index}@example.com`,
+    email_confirmed_at: index % 2 === 0 ? '2026-01-01T00:00:00Z' : null,
+    identities: [{ provider: 'email' }],
+    app_metadata: { providers: index % 3 === 0 ? ['email', 'google'] : ['email'] },
+  };
+}
+
+function createFakeApi({ userCount, maxPerPage = 50, totalCountHeader = false, rpc = 'notFound' }: FakeOptions) {
+  const requests: string[] = [];
+
+  const fakeFetch = async (input: string | URL | Request, init?: RequestInit) => {
+    const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+    requests.push(url.pathname + url.search);
+    const headers = new Headers(init?.headers);
+    if (headers.get('authorization') !== 'Bearer service-role') {
+      return Response.json({ message: 'unauthorized' }, { status: 401 });
+    }
+
+    if (url.pathname === '/rest/v1/rpc/email_check_user_methods') {
+      if (rpc === 'notFound') return Response.json({ code: 'PGRST202' }, { status: 404 });
+      if (rpc === 'pgrst202') return Response.json({ code: 'PGRST202' }, { status: 400 });
+      const { p_email } = JSON.parse(String(init?.body));
+      const index = Array.from({ length: userCount }, (_, i) => i).find((i) => userAt(i).email === p_email);
+      if (index === undefined) return Response.json({ exists: false });
+      return Response.json({ exists: true, emailConfirmed: true, hasPassword: false, providers: ['email', 'apple'] });
+    }
+
+    if (url.pathname === '/auth/v1/admin/users') {
+      const page = Number(url.searchParams.get('page'));
+      const perPage = Math.min(Number(url.searchParams.get('per_page')), maxPerPage);
+      const start = (page - 1) * perPage;
+      const users = Array.from({ length: Math.max(0, Math.min(perPage, userCount - start)) }, (_, i) =>
+        userAt(start + i)
+      );
+      return Response.json(
+        { users },
+        { headers: totalCountHeader ? { 'x-total-count': String(userCount) } : {} }
+      );
+    }
+
+    return new Response('not found', { status: 404 });
+  };
+
+  const adminPagesRequested = () => requests.filter((r) => r.startsWith('/auth/v1/admin/users')).length;
+  return { fetch: fakeFetch as typeof fetch, requests, adminPagesRequested };
+}
+
+function lookupWith(api: ReturnType<typeof createFakeApi>, options: { pageSize?: number; maxPages?: number } = {}) {
+  return createEmailLookup({ supabaseUrl: SUPABASE_URL, serviceRoleKey: 'service-role', fetch: api.fetch, ...options });
+}
+
+Deno.test('rpc: answers in one request when the migration is applied', async () => {
+  const api = createFakeApi({ userCount: 10, rpc: 'installed' });
+  const result = await lookupWith(api)('User7@Example.com ');
+  assertEquals(result, { exists: true, methods: ['otp', 'apple'], emailConfirmed: true });
+  assertEquals(api.requests.length, 1);
+  assertEquals(api.adminPagesRequested(), 0);
+});
+
+Deno.test('rpc: a 404 falls back to admin paging', async () => {
+  const api = createFakeApi({ userCount: 10, rpc: 'notFound' });
+  const result = await lookupWith(api)('user3@example.com');
+  assertEquals(result, { exists: true, methods: ['password', 'otp', 'google'], emailConfirmed: false });
+  assertEquals(api.adminPagesRequested(), 1);
+});
+
+Deno.test('rpc: a missing function reported as PGRST202 falls back to admin paging', async () => {
+  const api = createFakeApi({ userCount: 10, rpc: 'pgrst202' });
+  const result = await lookupWith(api)('user4@example.com');
+  assertEquals(result.exists, true);
+  assertEquals(api.adminPagesRequested(), 1);
+});
+
+Deno.test('admin paging: finds a user past the first 50 on a late page', async () => {
+  const api = createFakeApi({ userCount: 5000 });
+  const result = await lookupWith(api)('user4321@example.com');
+  assertEquals(result.exists, true);
+  // 50 per page (the server's cap, not the 1000 asked for): user 4321 is on page 87.
+  assertEquals(api.adminPagesRequested(), 87);
+});
+
+Deno.test('admin paging: stops at x-total-count', async () => {
+  const api = createFakeApi({ userCount: 150, totalCountHeader: true });
+  const result = await lookupWith(api)('nobody@example.com');
+  assertEquals(result, { exists: false, methods: [], emailConfirmed: null });
+  assertEquals(api.adminPagesRequested(), 3);
+});
+
+Deno.test('admin paging: stops on a short page without x-total-count', async () => {
+  const api = createFakeApi({ userCount: 120 });
+  const result = await lookupWith(api)('nobody@example.com');
+  assertEquals(result.exists, false);
+  // 50 + 50 + 20: the short third page is the last one.
+  assertEquals(api.adminPagesRequested(), 3);
+});
+
+Deno.test('admin paging: a short first page needs an empty page to be sure', async () => {
+  const api = createFakeApi({ userCount: 20 });
+  const result = await lookupWith(api)('nobody@example.com');
+  assertEquals(result.exists, false);
+  assertEquals(api.adminPagesRequested(), 2);
+});
+
+Deno.test('admin paging: throws instead of answering past maxPages', async () => {
+  const api = createFakeApi({ userCount: 5000 });
+  await assertRejects(() => lookupWith(api, { maxPages: 10 })('nobody@example.com'), EmailLookupError);
+  assertEquals(api.adminPagesRequested(), 10);
+});
+
+Deno.test('an API error is thrown, never answered as "not registered"', async () => {
+  const api = createFakeApi({ userCount: 10 });
+  const lookup = createEmailLookup({ supabaseUrl: SUPABASE_URL, serviceRoleKey: 'wrong-key', fetch: api.fetch });
+  await assertRejects(() => lookup('user1@example.com'), EmailLookupError);
+});
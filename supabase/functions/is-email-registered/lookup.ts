@@ -0,0 +1,131 @@
+// Exact email lookup for is-email-registered.
+//
+// 1. RPC `email_check_user_methods` (supabase/migrations/*_email_check_user_methods.sql):
+//    one indexed query on auth.users, correct for any number of users.
+// 2. Without the migration: page through the Auth Admin API until the email shows up or
+//    every user was seen. `search` is not used: some GoTrue versions ignore it, and a
+//    single page then gave false "not registered" answers past the first 50 users.
+//
+// `fetch` is injectable so the lookup can run against a fake admin API.
+
+export type EmailLookupOptions = {
+  supabaseUrl: string;
+  serviceRoleKey: string;
+  fetch?: typeof fetch;
+  // Admin API fallback only
+  pageSize?: number;
+  maxPages?: number;
+};
+
+// 'password' | 'otp' | OAuth / phone provider ids ('google', 'apple', 'phone', ...)
+export type EmailLookupResult = { exists: boolean; methods: string[]; emailConfirmed: boolean | null };
+
+export class EmailLookupError extends Error {}
+
+const NOT_REGISTERED: EmailLookupResult = { exists: false, methods: [], emailConfirmed: null };
+
+// Identity providers that aren't a way to sign in on their own.
+const NON_METHOD_PROVIDERS = ['email', 'anonymous'];
+
+function toResult({ hasPassword, providers, emailConfirmed }: {
+  hasPassword: boolean;
+  providers: string[];
+  emailConfirmed: boolean;
+}): EmailLookupResult {
+  const methods = [
+    ...(hasPassword ? ['password'] : []),
+    // Any account with an email address can be sent a code.
+    'otp',
+    ...providers.filter((p) => !NON_METHOD_PROVIDERS.includes(p)),
+  ];
+  return { exists: true, methods: [...new Set(methods)], emailConfirmed };
+}
+
+export function createEmailLookup({
+  supabaseUrl,
+  serviceRoleKey,
+  fetch: fetchImpl = fetch,
+  pageSize = 1000,
+  maxPages = 1000,
+}: EmailLookupOptions) {
+  const headers = {
+    authorization: `Bearer ${serviceRoleKey}`,
+    apikey: serviceRoleKey,
+    accept: 'application/json',
+  };
+
+  // null = the RPC isn't installed (PostgREST answers 404 / PGRST202).
+  async function viaRpc(normalizedEmail: string): Promise<EmailLookupResult | null> {
+    const res = await fetchImpl(`${supabaseUrl}/rest/v1/rpc/email_check_user_methods`, {
+      method: 'POST',
+      headers: { ...headers, 'content-type': 'application/json' },
+      body: JSON.stringify({ p_email: normalizedEmail }),
+    });
+    if (!res.ok) {
+      const error = (await res.json().catch(() => null)) as any;
+      // PGRST202: no such function (older PostgREST versions don't answer it with a 404).
+      if (res.status === 404 || error?.code === 'PGRST202') return null;
+      throw new EmailLookupError(`lookup rpc ${res.status}`);
+    }
+    const row = (await res.json()) as any;
+    if (typeof row?.exists !== 'boolean') throw new EmailLookupError('lookup rpc: unexpected response');
+    if (!row.exists) return NOT_REGISTERED;
+    return toResult({
+      hasPassword: row.hasPassword === true,
+      providers: Array.isArray(row.providers) ? row.providers.map(String) : [],
+      emailConfirmed: row.emailConfirmed === true,
+    });
+  }
+
+  // The admin API doesn't say whether a password is set; an email identity is the best
+  // hint (it may also be an OTP-only account).
+  function fromAdminUser(user: any): EmailLookupResult {
+    const identities = Array.isArray(user?.identities) ? user.identities.map((i: any) => String(i?.provider)) : [];
+    const providers = Array.isArray(user?.app_metadata?.providers) ? user.app_metadata.providers.map(String) : [];
+    const all = [...new Set([...identities, ...providers])];
+    return toResult({
+      hasPassword: all.includes('email'),
+      providers: all,
+      emailConfirmed: Boolean(user?.email_confirmed_at),
+    });
+  }
+
+  async function viaAdminPages(normalizedEmail: string) {
+    let seen = 0;
+    // Users per page the server actually returns (it may cap per_page below pageSize).
+    let fullPage = 0;
+    for (let page = 1; page <= maxPages; page += 1) {
+      const res = await fetchImpl(`${supabaseUrl}/auth/v1/admin/users?page=${page}&per_page=${pageSize}`, {
+        method: 'GET',
+        headers,
+      });
+      if (!res.ok) throw new EmailLookupError(`admin users ${res.status}`);
+      const payload = (await res.json().catch(() => null)) as any;
+
+      // Handle common response shapes:
+      // - { users: [...] }
+      // - [ ...users ]
+      const users: any[] = Array.isArray(payload) ? payload : Array.isArray(payload?.users) ? payload.users : [];
+      const match = users.find((u) => String(u?.email ?? '').trim().toLowerCase() === normalizedEmail);
+      if (match) return fromAdminUser(match);
+
+      // The server may cap per_page below what we asked for: a page is only "short" (the
+      // last one) next to an earlier, fuller page. Otherwise an empty page or the reported
+      // total means we're done.
+      seen += users.length;
+      const total = Number.parseInt(res.headers.get('x-total-count') ?? '', 10);
+      if (users.length === 0 || (Number.isFinite(total) && seen >= total)) return NOT_REGISTERED;
+      if (users.length < fullPage) return NOT_REGISTERED;
+      fullPage = Math.max(fullPage, users.length);
+    }
+    // Never answer "not registered" without having looked at everyone.
+    throw new EmailLookupError(`admin users: more than ${maxPages} pages; apply the lookup migration`);
+  }
+
+  /** `{ exists, methods, emailConfirmed }`, or throws EmailLookupError when it can't tell. */
+  return async function lookupEmail(email: string): Promise<EmailLookupResult> {
+    const normalizedEmail = String(email ?? '').trim().toLowerCase();
+    const exact = await viaRpc(normalizedEmail);
+    return exact ?? viaAdminPages(normalizedEmail);
+  };
+}
@@ -0,0 +1,59 @@
+-- Rate-limit counters for the is-email-registered Edge Function.
+--
+-- Fixed windows keyed by an HMAC of "ip:<address>" / "email:<address>": no raw IPs or emails are stored.
+-- Only the service role (used by the function) can reach the table or the function.
+
+create table if not exists public.email_check_rate_limits (
+  key text primary key,
+  window_start timestamptz not null default now(),
+  hits integer not null default 0
+);
+
+alter table public.email_check_rate_limits enable row level security;
+-- No policies on purpose: anon / authenticated get nothing, the service role bypasses RLS.
+
+-- Count one hit for `p_key` and say whether it is still within `p_limit` for the window.
+-- Atomic (single upsert), so concurrent requests can't both slip under the limit.
+create or replace function public.email_check_rate_limit_hit(
+  p_key text,
+  p_limit integer,
+  p_window_seconds integer
+)
+returns table (allowed boolean, retry_after integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  entry public.email_check_rate_limits;
+  window_length interval := make_interval(secs => p_window_seconds);
+begin
+  insert into public.email_check_rate_limits as r (key, window_start, hits)
+  values (p_key, now(), 1)
+  on conflict (key) do update
+    set hits = case when r.window_start <= now() - window_length then 1 else r.hits + 1 end,
+        window_start = case when r.window_start <= now() - window_length then now() else r.window_start end
+  returning * into entry;
+
+  allowed := entry.hits <= p_limit;
+  retry_after := greatest(0, ceil(extract(epoch from (entry.window_start + window_length - now())))::integer);
+  return next;
+end;
+$$;
+
+revoke all on function public.email_check_rate_limit_hit(text, integer, integer) from public, anon, authenticated;
+grant execute on function public.email_check_rate_limit_hit(text, integer, integer) to service_role;
+
+-- Expired windows are reset on the next hit; this just keeps the table small.
+-- Schedule it with pg_cron if you like:
+--   select cron.schedule('email-check-rate-limits-prune', '0 * * * *', 'select public.email_check_rate_limits_prune()');
+create or replace function public.email_check_rate_limits_prune()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.email_check_rate_limits where window_start < now() - interval '1 day';
+$$;
+
+revoke all on function public.email_check_rate_limits_prune() from public, anon, authenticated;
@@ -0,0 +1,28 @@
+-- Exact "is this email registered?" lookup for the is-email-registered Edge Function.
+--
+-- GoTrue stores emails lowercased, and its unique index on auth.users(email) is partial
+-- (users_email_partial_key ... where is_sso_user = false). The predicate has to repeat
+-- `is_sso_user = false` or Postgres can't use that index and scans every user. SSO users
+-- can't sign in by email anyway (the same address can even belong to a separate non-SSO
+-- account), so they don't count as registered here.
+--
+-- EXPLAIN (auth.users with GoTrue's indexes, 200k users, generic plan for $1):
+--   without is_sso_user = false: Seq Scan on users, Filter: email = ...  (cost 0..4315)
+--   with it:                     Index Only Scan using users_email_partial_key  (cost 0.42..8.44)
+--
+-- Without this function the Edge Function falls back to paging through the Auth Admin API.
+
+create or replace function public.email_check_user_exists(p_email text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1 from auth.users where email = lower(trim(p_email)) and is_sso_user = false
+  );
+$$;
+
+revoke all on function public.email_check_user_exists(text) from public, anon, authenticated;
+grant execute on function public.email_check_user_exists(text) to service_role;
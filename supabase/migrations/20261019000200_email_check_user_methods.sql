@@ -0,0 +1,44 @@
+-- How a registered email can sign in, for the is-email-registered Edge Function.
+--
+-- Same lookup as email_check_user_exists (which it replaces), plus what the function
+-- needs to pick a working method: whether a password is set, the identity providers and
+-- whether the email is confirmed.
+--
+-- `is_sso_user = false` matches GoTrue's partial unique index on auth.users(email); see
+-- 20261019000100_email_check_user_lookup.sql. EXPLAIN ANALYZE (200k users, generic plan):
+--   Index Scan using users_email_partial_key on users u
+--     Index Cond: email = lower(trim($1))
+--     SubPlan: Index Scan using identities_user_id_idx on identities i
+--   Execution Time: 0.17 ms
+
+create or replace function public.email_check_user_methods(p_email text)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select coalesce(
+    (
+      select jsonb_build_object(
+        'exists', true,
+        'emailConfirmed', u.email_confirmed_at is not null,
+        'hasPassword', coalesce(u.encrypted_password, '') <> '',
+        'providers', coalesce(
+          (select jsonb_agg(distinct i.provider) from auth.identities i where i.user_id = u.id),
+          '[]'::jsonb
+        )
+      )
+      from auth.users u
+      where u.email = lower(trim(p_email))
+        and u.is_sso_user = false
+      limit 1
+    ),
+    jsonb_build_object('exists', false)
+  );
+$$;
+
+revoke all on function public.email_check_user_methods(text) from public, anon, authenticated;
+grant execute on function public.email_check_user_methods(text) to service_role;
+
+drop function if exists public.email_check_user_exists(text);